@@ -0,0 +1,127 @@
+#!/usr/bin/env node
+/**
+ * ArgOS Command Line
+ *
+ * Usage:
+ *   argos run <scenario.json|yaml> [--ticks N] [--seed N] [--out DIR]
+ *                             [--metrics-interval N] [--quiet]
+ *   argos serve-memory [--port N] [--directory DIR] [--failure-rate R] [--latency MS] [--quiet]
+ *
+ * run builds a world from the scenario file (see src/integration/scenario-loader.js
+ * for the format), runs it headless as fast as possible
+ * and writes metrics.jsonl, snapshot.json and summary.json to the output directory.
+ *
+ * serve-memory starts the reference memory server (src/memory/memory-server.js)
+ * that MEMORY_OPTIONS.STORAGE: 'cloud' syncs to, storing memories under DIR.
+ */
+
+import fs from 'fs/promises';
+import path from 'path';
+
+// Each command imports only what it needs, so serve-memory starts without
+// loading the simulation modules
+
+const USAGE = `Usage:
+  argos run <scenario.json|yaml> [--ticks N] [--seed N] [--out DIR] [--metrics-interval N] [--quiet]
+  argos serve-memory [--port N] [--directory DIR] [--failure-rate R] [--latency MS] [--quiet]`;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const positional = [];
+  const flags = {};
+  for (let i = 0; i < rest.length; i++) {
+    const arg = rest[i];
+    if (!arg.startsWith('--')) {
+      positional.push(arg);
+      continue;
+    }
+    const name = arg.slice(2);
+    if (name === 'quiet') {
+      flags.quiet = true;
+    } else {
+      const value = rest[++i];
+      if (value === undefined) throw new Error(`Missing value for --${name}`);
+      flags[name] = value;
+    }
+  }
+  return { command, positional, flags };
+}
+
+function parseInteger(value, name) {
+  const parsed = Number.parseInt(value, 10);
+  if (!Number.isFinite(parsed) || parsed < 0) throw new Error(`--${name} must be a non-negative integer`);
+  return parsed;
+}
+
+async function run(scenarioPath, flags) {
+  const outDir = path.resolve(flags.out || 'argos-output');
+  // Cognitive modules log per-agent events; batch runs only want the summary
+  const overrides = { LOG: flags.quiet ? () => {} : console.log };
+  if (flags.seed !== undefined) overrides.SEED = parseInteger(flags.seed, 'seed');
+  const metricsInterval = flags['metrics-interval'] !== undefined
+    ? parseInteger(flags['metrics-interval'], 'metrics-interval')
+    : 10;
+
+  const { loadScenarioFile } = await import('../src/integration/scenario-loader.js');
+  const { runHeadless } = await import('../src/integration/headless-runner.js');
+
+  const { cognitiveArchitecture, ticks: scenarioTicks, name } = await loadScenarioFile(scenarioPath, overrides);
+  const ticks = flags.ticks !== undefined ? parseInteger(flags.ticks, 'ticks') : scenarioTicks;
+  const world = cognitiveArchitecture.world;
+
+  await fs.mkdir(outDir, { recursive: true });
+  const result = await runHeadless(cognitiveArchitecture, { ticks, metricsInterval: Math.max(1, metricsInterval) });
+
+  const summary = {
+    scenario: path.resolve(scenarioPath),
+    name,
+    seed: world.rng.seed,
+    ticks: result.ticks,
+    elapsedMs: result.elapsedMs,
+    ticksPerSecond: result.elapsedMs > 0 ? (result.ticks * 1000) / result.elapsedMs : null,
+    finalMetrics: result.metrics[result.metrics.length - 1] || null,
+    memorySync: cognitiveArchitecture.memoryManager?.getSyncStatus() || null,
+    sharedPool: cognitiveArchitecture.memoryManager?.getSharedPoolStatus() || null
+  };
+
+  await fs.writeFile(path.join(outDir, 'metrics.jsonl'), result.metrics.map(m => JSON.stringify(m)).join('\n') + '\n');
+  await fs.writeFile(path.join(outDir, 'snapshot.json'), JSON.stringify(cognitiveArchitecture.snapshot()));
+  await fs.writeFile(path.join(outDir, 'summary.json'), JSON.stringify(summary, null, 2));
+
+  console.log(`ArgOS: ran ${result.ticks} ticks in ${result.elapsedMs} ms (seed ${summary.seed}), output in ${outDir}`);
+}
+
+// Runs until interrupted
+async function serveMemory(flags) {
+  const failureRate = flags['failure-rate'] !== undefined ? Number.parseFloat(flags['failure-rate']) : 0;
+  if (!(failureRate >= 0 && failureRate <= 1)) throw new Error('--failure-rate must be between 0 and 1');
+
+  const options = {
+    directory: path.resolve(flags.directory || 'argos-memory-server'),
+    failureRate,
+    log: flags.quiet ? () => {} : console.log
+  };
+  if (flags.port !== undefined) options.port = parseInteger(flags.port, 'port');
+  if (flags.latency !== undefined) options.latency = parseInteger(flags.latency, 'latency');
+
+  const { startMemoryServer } = await import('../src/memory/memory-server.js');
+  const server = await startMemoryServer(options);
+  process.once('SIGINT', () => server.close().finally(() => process.exit()));
+}
+
+async function main() {
+  const { command, positional, flags } = parseArgs(process.argv.slice(2));
+  if (command === 'run' && positional.length === 1) {
+    await run(positional[0], flags);
+  } else if (command === 'serve-memory' && positional.length === 0) {
+    await serveMemory(flags);
+  } else {
+    console.error(USAGE);
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(`ArgOS: ${error.message}`);
+  process.exitCode = 1;
+});
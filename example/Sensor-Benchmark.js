@@ -0,0 +1,73 @@
+/**
+ * ArgOS Sensor Benchmark
+ *
+ * Compares the spatial-hash sensor path against the brute-force scan on the
+ * same world, checking that both produce identical detections.
+ *
+ * Usage: node example/Sensor-Benchmark.js [entityCount] [ticks]
+ */
+
+import {
+  createWorld,
+  addEntity,
+  Position,
+  SensoryData,
+  createSensorSystem,
+  getDetections,
+  getRandomStream
+} from '../src/core/ArgOS-Framework.js';
+import { addComponent, hasComponent } from 'bitecs';
+
+const entityCount = parseInt(process.argv[2], 10) || 2000;
+const ticks = parseInt(process.argv[3], 10) || 10;
+const WORLD_SIZE = 400;
+
+const world = createWorld({ seed: 89 });
+const rng = getRandomStream(world, 'spawn');
+
+for (let i = 0; i < entityCount; i++) {
+  const entity = addEntity(world);
+  addComponent(world, Position, entity);
+  Position.x[entity] = rng.random() * WORLD_SIZE;
+  Position.y[entity] = rng.random() * WORLD_SIZE;
+
+  // Every fourth entity is a sensing agent
+  if (i % 4 === 0) {
+    addComponent(world, SensoryData, entity);
+    SensoryData.visionRange[entity] = 30;
+  }
+}
+
+const readDetections = () => {
+  const detections = [];
+  for (const entity of world.entities) {
+    if (!hasComponent(world, SensoryData, entity)) continue;
+    getDetections(world, entity).forEach(({ entity: detected, distance }) => {
+      detections.push(detected, distance);
+    });
+  }
+  return detections;
+};
+
+const benchmark = (label, system) => {
+  const start = performance.now();
+  for (let i = 0; i < ticks; i++) system(world);
+  const elapsed = performance.now() - start;
+  console.log(`${label}: ${(elapsed / ticks).toFixed(2)} ms/tick`);
+  return readDetections();
+};
+
+const bruteForce = benchmark('Brute force', createSensorSystem({ broadphase: false }));
+const broadphase = benchmark('Spatial hash', createSensorSystem());
+
+if (bruteForce.length === 0) {
+  console.error('No detections to compare');
+  process.exit(1);
+}
+
+const mismatch = bruteForce.findIndex((value, i) => value !== broadphase[i]);
+if (mismatch !== -1 || bruteForce.length !== broadphase.length) {
+  console.error(`Detections differ at index ${mismatch}`);
+  process.exit(1);
+}
+console.log(`Identical detections for ${entityCount} entities over ${ticks} ticks`);
@@ -0,0 +1,85 @@
+/**
+ * Quantum Observer Module
+ *
+ * Example cognitive module for the module registry. Installed observers
+ * collapse the reality flux of entities they perceive: each observation
+ * shortens the effect, and every collapse strengthens the observer's
+ * coherence, which slowly fades when nothing needs observing.
+ *
+ *   const simulation = await createCognitiveSimulation({ MODULES: [quantumObserverModule] });
+ *   simulation.modules.installQuantumObserver(agent);
+ */
+
+import { defineComponent, addComponent, hasComponent, Types } from 'bitecs';
+import {
+  Position,
+  RealityFlux,
+  getDetectedEntities,
+  getRandomStream
+} from '../../src/core/ArgOS-Framework.js';
+
+export const QuantumObserver = defineComponent({
+  coherence: Types.f32,   // 0-1, chance of collapsing an observed effect
+  collapses: Types.ui32
+});
+
+const COHERENCE_GAIN = 0.05;
+const COHERENCE_DECAY = 0.001;
+
+const createObserverSystem = () => (world) => {
+  const rng = getRandomStream(world, 'quantum-observer');
+  for (const agent of world.entities) {
+    if (!hasComponent(world, QuantumObserver, agent)) continue;
+
+    let collapsed = false;
+    for (const entity of getDetectedEntities(world, agent)) {
+      if (!hasComponent(world, RealityFlux, entity) || RealityFlux.effectType[entity] === 0) continue;
+      if (rng.random() >= QuantumObserver.coherence[agent]) continue;
+
+      RealityFlux.duration[entity] = Math.floor(RealityFlux.duration[entity] / 2);
+      RealityFlux.intensity[entity] *= 0.5;
+      QuantumObserver.collapses[agent]++;
+      collapsed = true;
+    }
+
+    QuantumObserver.coherence[agent] = collapsed
+      ? Math.min(1, QuantumObserver.coherence[agent] + COHERENCE_GAIN)
+      : Math.max(0.1, QuantumObserver.coherence[agent] - COHERENCE_DECAY);
+  }
+  return world;
+};
+
+export const quantumObserverModule = {
+  name: 'quantum-observer',
+  components: { QuantumObserver },
+  systems: [{ name: 'quantum-observer', phase: 'act', system: createObserverSystem() }],
+
+  report(agent, architecture) {
+    if (!hasComponent(architecture.world, QuantumObserver, agent)) return null;
+    return {
+      coherence: QuantumObserver.coherence[agent],
+      collapses: QuantumObserver.collapses[agent]
+    };
+  },
+
+  // Ring whose opacity follows coherence
+  render(ctx, agent, architecture, pixelsPerUnit) {
+    if (!hasComponent(architecture.world, QuantumObserver, agent)) return;
+    ctx.strokeStyle = `rgba(0, 255, 200, ${QuantumObserver.coherence[agent]})`;
+    ctx.lineWidth = 1;
+    ctx.beginPath();
+    ctx.arc(Position.x[agent] * pixelsPerUnit, Position.y[agent] * pixelsPerUnit, 9, 0, Math.PI * 2);
+    ctx.stroke();
+  },
+
+  api: (architecture) => ({
+    installQuantumObserver(agent, coherence = 0.3) {
+      if (!hasComponent(architecture.world, QuantumObserver, agent)) addComponent(architecture.world, QuantumObserver, agent);
+      QuantumObserver.coherence[agent] = coherence;
+      QuantumObserver.collapses[agent] = 0;
+      return agent;
+    }
+  })
+};
+
+export default quantumObserverModule;
@@ -16,10 +16,23 @@ import {
   Actions, 
   Goals, 
   CognitiveState, 
-  RealityFlux 
-} from './argos-framework.js';
-import { EnhancedMemory, MemoryManager } from './argos-memory-extension.js';
-import { defineComponent, defineQuery, defineSystem, Types, addComponent } from 'bitecs';
+  RealityFlux,
+  Environmental,
+  registerComponent,
+  registerSnapshotProvider,
+  encodeValue,
+  decodeValue,
+  remapEntity,
+  remapEntityKeys,
+  getRandomStream,
+  nextId,
+  getDetectedEntities,
+  onEntityRemoved,
+  emitEvent,
+  logMessage
+} from '../core/ArgOS-Framework.js';
+import { EnhancedMemory, MemoryManager } from '../memory/argos-memory-extension.js';
+import { defineComponent, defineQuery, defineSystem, Types, addComponent, hasComponent } from 'bitecs';
 
 // Configuration
 const CONSCIOUSNESS_CONFIG = {
@@ -27,7 +40,12 @@ const CONSCIOUSNESS_CONFIG = {
   DREAM_INTENSITY: 0.6,
   NARRATIVE_THRESHOLD: 0.4,
   SELF_REFLECTION_INTERVAL: 100,
+  DREAM_REPLAY_LIMIT: 10, // Episodic memories replayed (and rehearsed) per dream
   IMAGINATION_DEPTH: 3,
+  IMAGINATION_PRECEDENTS: 5, // Most similar past outcomes weighed when simulating a scenario
+  IMAGINATION_HORIZON: 10,   // Ticks ahead other agents' positions are predicted for a scenario
+  IMAGINATION_RIVAL_RADIUS: 15,  // How near a scenario's resources a rival must be expected
+  IMAGINATION_RIVAL_PENALTY: 0.1, // Success chance lost per expected rival, up to 0.3
   DREAM_ENABLED: true,
   REFLECTION_ENABLED: true,
   IMAGINATION_ENABLED: true,
@@ -51,6 +69,7 @@ class DreamState {
   constructor(agent, memoryManager) {
     this.agent = agent;
     this.memoryManager = memoryManager;
+    this.rng = getRandomStream(memoryManager.world, 'dream');
     this.dreamMemories = [];
     this.significantEntities = new Map();
     this.emotionalThemes = new Map();
@@ -67,41 +86,29 @@ class DreamState {
     this.dreamMemories = [];
     this.narrativeFragments = [];
     this.gatherSignificantMemories();
-    console.log(`Dream state activated for agent ${this.agent} with intensity ${this.intensity.toFixed(2)}`);
+    logMessage(this.memoryManager.world, `Dream state activated for agent ${this.agent} with intensity ${this.intensity.toFixed(2)}`);
+    emitEvent(this.memoryManager.world, 'dream:started', { agent: this.agent, intensity: this.intensity });
     return this;
   }
 
   deactivate() {
     this.isActive = false;
     this.consolidateDreamExperience();
-    console.log(`Dream state deactivated for agent ${this.agent} after ${this.duration} cycles`);
+    logMessage(this.memoryManager.world, `Dream state deactivated for agent ${this.agent} after ${this.duration} cycles`);
+    emitEvent(this.memoryManager.world, 'dream:ended', {
+      agent: this.agent,
+      duration: this.duration,
+      fragments: this.narrativeFragments,
+      theme: this.getDominantTheme()
+    });
     return this;
   }
 
   gatherSignificantMemories() {
     // Get important memories from short-term buffer
-    const memoryId = EnhancedMemory.memoryId[this.agent];
-    const capacity = EnhancedMemory.shortTermCapacity[this.agent];
     const currentTime = this.memoryManager.world.time;
-    const shortTermMemories = [];
-    
-    for (let i = 0; i < capacity; i++) {
-      const importance = EnhancedMemory.shortTermImportance[this.agent * 10 + i];
-      const timestamp = EnhancedMemory.shortTermTimestamps[this.agent * 10 + i];
-      if (importance > 0.6 && timestamp > 0 && currentTime - timestamp < 500) {
-        shortTermMemories.push({
-          entityId: EnhancedMemory.shortTermIds[this.agent * 10 + i],
-          entityType: EnhancedMemory.shortTermTypes[this.agent * 10 + i],
-          position: { 
-            x: EnhancedMemory.shortTermPositionsX[this.agent * 10 + i],
-            y: EnhancedMemory.shortTermPositionsY[this.agent * 10 + i]
-          },
-          timestamp,
-          importance,
-          fidelity: EnhancedMemory.shortTermFidelity[this.agent * 10 + i]
-        });
-      }
-    }
+    const shortTermMemories = this.memoryManager.getShortTermMemories(this.agent)
+      .filter(m => m.importance > 0.6 && m.timestamp > 0 && currentTime - m.timestamp < 500);
 
     // Process memories into themes and significant entities
     shortTermMemories.forEach(memory => {
@@ -119,6 +126,16 @@ class DreamState {
 
     // Sort by importance
     this.dreamMemories = shortTermMemories.sort((a, b) => b.importance - a.importance);
+
+    // Replaying the strongest recent episodes rehearses them
+    const replayed = this.memoryManager.queryMemories({
+      agent: this.agent,
+      importance: { min: 0.6 },
+      within: 500,
+      sort: '-importance',
+      limit: CONSCIOUSNESS_CONFIG.DREAM_REPLAY_LIMIT
+    });
+    this.memoryManager.rehearseMemories(replayed, 'dream');
   }
 
   update() {
@@ -142,11 +159,11 @@ class DreamState {
 
   generateDreamFragment() {
     // Select memories to combine (usually 2-3)
-    const memoryCount = Math.floor(1 + Math.random() * 2);
+    const memoryCount = 1 + this.rng.int(2);
     const selectedMemories = [];
     
     for (let i = 0; i < memoryCount && i < this.dreamMemories.length; i++) {
-      const index = Math.floor(Math.random() * this.dreamMemories.length);
+      const index = this.rng.int(this.dreamMemories.length);
       selectedMemories.push(this.dreamMemories[index]);
     }
     
@@ -166,11 +183,11 @@ class DreamState {
       transformations: this.generateTransformations(selectedMemories),
       emotionalTone: this.calculateEmotionalTone(),
       timestamp: this.memoryManager.world.time,
-      duration: 30 + Math.random() * 50
+      duration: 30 + this.rng.random() * 50
     };
     
     this.narrativeFragments.push(fragment);
-    console.log(`Dream fragment generated with theme ${primaryTheme}`);
+    logMessage(this.memoryManager.world, `Dream fragment generated with theme ${primaryTheme}`);
     
     return fragment;
   }
@@ -179,40 +196,40 @@ class DreamState {
     const transformations = [];
     
     // Spatial transformations
-    if (Math.random() < 0.7) {
+    if (this.rng.random() < 0.7) {
       const spatialShift = {
         type: 'spatial',
-        scale: 0.5 + Math.random() * 2,
-        rotation: Math.random() * Math.PI * 2,
+        scale: 0.5 + this.rng.random() * 2,
+        rotation: this.rng.random() * Math.PI * 2,
         translation: {
-          x: (Math.random() * 2 - 1) * 20,
-          y: (Math.random() * 2 - 1) * 20
+          x: (this.rng.random() * 2 - 1) * 20,
+          y: (this.rng.random() * 2 - 1) * 20
         }
       };
       transformations.push(spatialShift);
     }
     
     // Entity transformations
-    if (Math.random() < 0.4) {
+    if (this.rng.random() < 0.4) {
       const entityTypes = [0, 1, 2, 3]; // Resource, Obstacle, Hazard, Agent
       const sourceType = memories[0]?.entityType || 0;
       const availableTypes = entityTypes.filter(t => t !== sourceType);
-      const targetType = availableTypes[Math.floor(Math.random() * availableTypes.length)];
+      const targetType = this.rng.pick(availableTypes);
       
       transformations.push({
         type: 'entity',
         sourceType,
         targetType,
-        partial: Math.random() < 0.3
+        partial: this.rng.random() < 0.3
       });
     }
     
     // Temporal transformations
-    if (Math.random() < 0.5) {
+    if (this.rng.random() < 0.5) {
       transformations.push({
         type: 'temporal',
-        compression: 0.2 + Math.random() * 1.5,
-        reversal: Math.random() < 0.2
+        compression: 0.2 + this.rng.random() * 1.5,
+        reversal: this.rng.random() < 0.2
       });
     }
     
@@ -220,8 +237,8 @@ class DreamState {
   }
 
   calculateEmotionalTone() {
-    const baseEmotion = CognitiveState[this.agent]?.emotionalState || 50;
-    const variation = (Math.random() * 30 - 15);
+    const baseEmotion = CognitiveState.emotionalState[this.agent] || 50;
+    const variation = (this.rng.random() * 30 - 15);
     return Math.min(100, Math.max(0, baseEmotion + variation));
   }
 
@@ -232,21 +249,21 @@ class DreamState {
     if (!fragment) return;
     
     // Apply dream effects to cognitive state
-    if (CognitiveState[this.agent]) {
+    if (hasComponent(this.memoryManager.world, CognitiveState, this.agent)) {
       // Dream emotions leak into waking emotional state slightly
-      const emotionalBleed = (fragment.emotionalTone - CognitiveState[this.agent].emotionalState) * 0.01;
-      CognitiveState[this.agent].emotionalState += emotionalBleed;
+      const emotionalBleed = (fragment.emotionalTone - CognitiveState.emotionalState[this.agent]) * 0.01;
+      CognitiveState.emotionalState[this.agent] += emotionalBleed;
       
       // Dreams momentarily affect adaptability in proportion to transformations count
       const transformationEffect = fragment.transformations.length * 0.02;
-      CognitiveState[this.agent].adaptability = Math.min(
+      CognitiveState.adaptability[this.agent] = Math.min(
         100, 
-        CognitiveState[this.agent].adaptability + transformationEffect
+        CognitiveState.adaptability[this.agent] + transformationEffect
       );
     }
     
     // Apply dream effects to memory fidelity
-    EnhancedMemory.globalFidelity[this.agent] *= (0.995 + Math.random() * 0.01);
+    EnhancedMemory.globalFidelity[this.agent] *= (0.995 + this.rng.random() * 0.01);
   }
 
   consolidateDreamExperience() {
@@ -270,7 +287,7 @@ class DreamState {
     this.memoryManager.recordEpisodicMemory(this.agent, dreamMemory);
     
     // Increase self-awareness after dreaming
-    if (ConsciousnessState[this.agent]) {
+    if (hasComponent(this.memoryManager.world, ConsciousnessState, this.agent)) {
       ConsciousnessState.selfAwarenessLevel[this.agent] += 0.05;
       ConsciousnessState.narrativeComplexity[this.agent] += 0.02;
     }
@@ -329,8 +346,15 @@ class SelfReflection {
   }
 
   analyzeRecentBehaviors() {
-    // Analyze the agent's behavior patterns based on recent actions
-    const recentActions = []; // Would be populated from action history
+    // Analyze the agent's behavior patterns based on the actions behind memories
+    // since the last reflection; reflecting on them rehearses those memories
+    const recentMemories = this.memoryManager.queryMemories({
+      agent: this.agent,
+      within: CONSCIOUSNESS_CONFIG.SELF_REFLECTION_INTERVAL,
+      where: m => m.context.action !== null && m.context.action !== undefined
+    });
+    this.memoryManager.rehearseMemories(recentMemories, 'reflection');
+    const recentActions = recentMemories.map(m => m.context.action);
     const actionCounts = new Map();
     
     // Count action frequencies
@@ -351,7 +375,7 @@ class SelfReflection {
   evaluateGoalAchievement() {
     // Evaluate how well the agent has been achieving its goals
     const goal = Goals.primaryType[this.agent];
-    const successRate = Actions[this.agent]?.successRate || 0.5;
+    const successRate = Actions.successRate[this.agent] || 0.5;
     
     this.adaptationProgress.set(goal, successRate);
   }
@@ -431,7 +455,7 @@ class SelfReflection {
     if (!insight || insight.confidence < 0.4) return;
     
     // Apply insight to cognitive parameters
-    CognitiveState[this.agent].adaptability += 0.02;
+    CognitiveState.adaptability[this.agent] += 0.02;
     
     // Enhance memory importance for related patterns
     insight.patterns.forEach(pattern => {
@@ -454,6 +478,8 @@ class SelfReflection {
     
     // Increment integration index
     ConsciousnessState.integrationIndex[this.agent] += 0.03;
+    
+    emitEvent(this.memoryManager.world, 'insight:applied', { agent: this.agent, insight });
   }
 }
 
@@ -462,6 +488,7 @@ class Imagination {
   constructor(agent, memoryManager) {
     this.agent = agent;
     this.memoryManager = memoryManager;
+    this.rng = getRandomStream(memoryManager.world, 'imagination');
     this.scenarios = [];
     this.currentScenario = null;
     this.simulationResults = [];
@@ -469,16 +496,16 @@ class Imagination {
 
   generateScenario(context = {}) {
     // Only generate new scenarios occasionally
-    if (Math.random() > 0.3) return null;
+    if (this.rng.random() > 0.3) return null;
     
     // Use current sensory data and goals to set up scenario
     const goal = Goals.primaryType[this.agent];
     const currentPos = { x: Position.x[this.agent], y: Position.y[this.agent] };
-    const entityType = context.entityType || (Math.random() < 0.5 ? 0 : 2); // Resource or hazard
+    const entityType = context.entityType || (this.rng.random() < 0.5 ? 0 : 2); // Resource or hazard
     
     // Create a hypothetical scenario
     const scenario = {
-      id: `scenario-${this.agent}-${Date.now()}`,
+      id: `scenario-${this.agent}-${this.memoryManager.world.time}-${nextId(this.memoryManager.world, 'scenario')}`,
       baseGoal: goal,
       startPosition: { ...currentPos },
       entityType,
@@ -497,11 +524,11 @@ class Imagination {
 
   generateHypotheticalPositions(basePos, entityType) {
     const positions = [];
-    const count = 1 + Math.floor(Math.random() * 3);
+    const count = 1 + this.rng.int(3);
     
     for (let i = 0; i < count; i++) {
-      const distance = 5 + Math.random() * 15;
-      const angle = Math.random() * Math.PI * 2;
+      const distance = 5 + this.rng.random() * 15;
+      const angle = this.rng.random() * Math.PI * 2;
       positions.push({
         x: basePos.x + Math.cos(angle) * distance,
         y: basePos.y + Math.sin(angle) * distance,
@@ -534,12 +561,12 @@ class Imagination {
     });
     
     // Opportunistic strategy
-    if (Math.random() < 0.7) {
+    if (this.rng.random() < 0.7) {
       strategies.push({
         id: 'opportunistic',
         description: 'Adaptive approach based on changing conditions',
         steps: ['assess_environment', 'identify_opportunity', 'quick_action'],
-        estimatedSuccess: 0.5 + Math.random() * 0.3,
+        estimatedSuccess: 0.5 + this.rng.random() * 0.3,
         energyCost: 15
       });
     }
@@ -555,7 +582,7 @@ class Imagination {
     if (!strategy) return null;
     
     // Simulate outcome based on agent capabilities and strategy
-    const adaptability = CognitiveState[this.agent]?.adaptability || 50;
+    const adaptability = CognitiveState.adaptability[this.agent] || 50;
     const awareness = ConsciousnessState.selfAwarenessLevel[this.agent];
     
     // Calculate base success probability
@@ -565,16 +592,29 @@ class Imagination {
     successProb += (adaptability - 50) * 0.003;
     successProb += awareness * 0.05;
     
+    // Similar past encounters pull the estimate towards how they went
+    const precedents = this.recallPrecedents(this.currentScenario);
+    if (precedents) {
+      const weight = Math.min(0.5, precedents.count * 0.1);
+      successProb = successProb * (1 - weight) + precedents.successRate * weight;
+    }
+    
+    // Other agents expected to go for the same resources compete for them
+    const rivals = this.anticipateRivals(this.currentScenario);
+    successProb -= Math.min(0.3, rivals * CONSCIOUSNESS_CONFIG.IMAGINATION_RIVAL_PENALTY);
+    
     // Random component
-    successProb += (Math.random() * 0.3 - 0.15);
+    successProb += (this.rng.random() * 0.3 - 0.15);
     successProb = Math.min(0.95, Math.max(0.05, successProb));
     
     // Determine outcome
-    const success = Math.random() < successProb;
+    const success = this.rng.random() < successProb;
     const result = {
       scenarioId: this.currentScenario.id,
       strategy: strategy.id,
       success,
+      precedents: precedents ? precedents.count : 0,
+      rivals,
       alternatePath: this.generateAlternatePath(strategy, success),
       insightsGained: this.calculateInsightsGained(strategy, success),
       timestamp: this.memoryManager.world.time
@@ -590,6 +630,31 @@ class Imagination {
     return result;
   }
 
+  // Similarity-weighted success rate of the agent's remembered outcomes most like
+  // the scenario (same kind of entity near its start), or null without any
+  recallPrecedents(scenario) {
+    const precedents = this.memoryManager.recallSimilar(
+      this.agent,
+      { position: scenario.startPosition, entityType: scenario.entityType },
+      CONSCIOUSNESS_CONFIG.IMAGINATION_PRECEDENTS,
+      { where: m => m.context.success !== undefined }
+    );
+    if (precedents.length === 0) return null;
+    const totalSimilarity = precedents.reduce((total, p) => total + p.similarity, 0);
+    const successes = precedents.reduce((total, p) => total + (p.memory.context.success ? p.similarity : 0), 0);
+    return { successRate: successes / totalSimilarity, count: precedents.length };
+  }
+
+  // How many other agents the agent expects to be after the scenario's resources
+  // by its end, each counted by the confidence of its prediction
+  anticipateRivals(scenario) {
+    if (scenario.entityType !== 0) return 0;
+    return this.memoryManager.predictOthers(this.agent, CONSCIOUSNESS_CONFIG.IMAGINATION_HORIZON)
+      .filter(prediction => prediction.goalType === 1 && scenario.entityPositions.some(pos =>
+        Math.hypot(pos.x - prediction.position.x, pos.y - prediction.position.y) <= CONSCIOUSNESS_CONFIG.IMAGINATION_RIVAL_RADIUS))
+      .reduce((total, prediction) => total + prediction.confidence, 0);
+  }
+
   selectStrategyToTest() {
     if (!this.currentScenario || !this.currentScenario.strategies.length) return null;
     
@@ -597,7 +662,7 @@ class Imagination {
     
     // Select strategy with preference for higher estimated success
     const totalSuccess = strategies.reduce((sum, s) => sum + s.estimatedSuccess, 0);
-    let randomPoint = Math.random() * totalSuccess;
+    let randomPoint = this.rng.random() * totalSuccess;
     
     for (const strategy of strategies) {
       randomPoint -= strategy.estimatedSuccess;
@@ -614,14 +679,14 @@ class Imagination {
     const alternateSteps = [...strategy.steps];
     
     // Modify one step randomly
-    const stepToChange = Math.floor(Math.random() * alternateSteps.length);
+    const stepToChange = this.rng.int(alternateSteps.length);
     const alternativeActions = ['wait', 'retreat', 'circle', 'accelerate', 'zigzag'];
-    alternateSteps[stepToChange] = alternativeActions[Math.floor(Math.random() * alternativeActions.length)];
+    alternateSteps[stepToChange] = this.rng.pick(alternativeActions);
     
     return {
       modifiedStrategy: strategy.id + '_modified',
       newSteps: alternateSteps,
-      estimatedImprovement: 0.1 + Math.random() * 0.2
+      estimatedImprovement: 0.1 + this.rng.random() * 0.2
     };
   }
 
@@ -654,7 +719,7 @@ class Imagination {
     
     // Apply insights to consciousness state
     ConsciousnessState.imaginationCapacity[this.agent] += 0.01;
-    CognitiveState[this.agent].adaptability += result.insightsGained.adaptabilityIncrease;
+    CognitiveState.adaptability[this.agent] += result.insightsGained.adaptabilityIncrease;
   }
 
   getRelevantScenarios(context) {
@@ -695,7 +760,7 @@ class NarrativeConstruction {
     
     // Construct narrative structure
     const narrative = {
-      id: `narrative-${this.agent}-${Date.now()}`,
+      id: `narrative-${this.agent}-${this.memoryManager.world.time}-${nextId(this.memoryManager.world, 'narrative')}`,
       title: this.generateNarrativeTitle(),
       protagonist: this.agent,
       supporting: Array.from(this.characterRoles.entries())
@@ -716,6 +781,7 @@ class NarrativeConstruction {
     // Record narrative as a special memory
     this.recordNarrativeMemory(narrative);
     
+    emitEvent(this.memoryManager.world, 'narrative:generated', { agent: this.agent, narrative });
     return narrative;
   }
 
@@ -733,25 +799,8 @@ class NarrativeConstruction {
     });
     
     // Get short-term memories as well
-    const shortTermMemories = [];
-    const capacity = EnhancedMemory.shortTermCapacity[this.agent];
-    
-    for (let i = 0; i < capacity; i++) {
-      const importance = EnhancedMemory.shortTermImportance[this.agent * 10 + i];
-      if (importance > CONSCIOUSNESS_CONFIG.NARRATIVE_THRESHOLD) {
-        shortTermMemories.push({
-          entityId: EnhancedMemory.shortTermIds[this.agent * 10 + i],
-          entityType: EnhancedMemory.shortTermTypes[this.agent * 10 + i],
-          position: { 
-            x: EnhancedMemory.shortTermPositionsX[this.agent * 10 + i],
-            y: EnhancedMemory.shortTermPositionsY[this.agent * 10 + i]
-          },
-          timestamp: EnhancedMemory.shortTermTimestamps[this.agent * 10 + i],
-          importance,
-          fidelity: EnhancedMemory.shortTermFidelity[this.agent * 10 + i]
-        });
-      }
-    }
+    const shortTermMemories = this.memoryManager.getShortTermMemories(this.agent)
+      .filter(m => m.importance > CONSCIOUSNESS_CONFIG.NARRATIVE_THRESHOLD);
     
     return shortTermMemories.sort((a, b) => a.timestamp - b.timestamp);
   }
@@ -965,11 +1014,15 @@ export class ConsciousnessManager {
   constructor(memoryManager, options = {}) {
     this.memoryManager = memoryManager;
     this.options = { ...CONSCIOUSNESS_CONFIG, ...options };
+    this.rng = getRandomStream(memoryManager.world, 'consciousness');
     this.dreamStates = new Map();
     this.selfReflections = new Map();
     this.imaginations = new Map();
     this.narrativeConstructions = new Map();
     this.initialized = false;
+    registerComponent(memoryManager.world, 'ConsciousnessState', ConsciousnessState);
+    registerSnapshotProvider(memoryManager.world, 'consciousness', this);
+    onEntityRemoved(memoryManager.world, entity => this.removeAgent(entity));
   }
 
   async initialize() {
@@ -977,15 +1030,15 @@ export class ConsciousnessManager {
     const agentEntities = this.memoryManager.findAgentEntities();
     await Promise.all(agentEntities.map(agent => this.initializeAgentConsciousness(agent)));
     this.initialized = true;
-    console.log(`Consciousness Extension: Initialized for ${agentEntities.length} agents`);
+    logMessage(this.memoryManager.world, `Consciousness Extension: Initialized for ${agentEntities.length} agents`);
     return this;
   }
 
   async initializeAgentConsciousness(agent) {
-    if (ConsciousnessState[agent]) return;
+    if (hasComponent(this.memoryManager.world, ConsciousnessState, agent)) return;
     
     addComponent(this.memoryManager.world, ConsciousnessState, agent);
-    ConsciousnessState.dreamCyclePhase[agent] = Math.random();
+    ConsciousnessState.dreamCyclePhase[agent] = this.rng.random();
     ConsciousnessState.dreamingActive[agent] = 0;
     ConsciousnessState.lastReflectionTime[agent] = this.memoryManager.world.time || 0;
     ConsciousnessState.lastNarrativeTime[agent] = this.memoryManager.world.time || 0;
@@ -1007,8 +1060,16 @@ export class ConsciousnessManager {
     this.narrativeConstructions.set(agent, new NarrativeConstruction(agent, this.memoryManager));
   }
 
+  // Drop per-agent state when an agent is removed from the world
+  removeAgent(agent) {
+    this.dreamStates.delete(agent);
+    this.selfReflections.delete(agent);
+    this.imaginations.delete(agent);
+    this.narrativeConstructions.delete(agent);
+  }
+
   updateConsciousness(agent) {
-    if (!ConsciousnessState[agent]) return;
+    if (!hasComponent(this.memoryManager.world, ConsciousnessState, agent)) return;
     
     // Update dream cycle
     this.updateDreamState(agent);
@@ -1024,7 +1085,7 @@ export class ConsciousnessManager {
     }
     
     // Generate narrative occasionally
-    if (this.options.NARRATIVE_ENABLED && Math.random() < 0.01) {
+    if (this.options.NARRATIVE_ENABLED && this.rng.random() < 0.01) {
       this.generateNarrative(agent);
     }
     
@@ -1045,22 +1106,32 @@ export class ConsciousnessManager {
     // Check if agent should enter dream state
     if (!ConsciousnessState.dreamingActive[agent]) {
       // Enter dream state at specific phase points and when not otherwise occupied
-      if (ConsciousnessState.dreamCyclePhase[agent] > 0.85 && Math.random() < 0.1) {
+      if (ConsciousnessState.dreamCyclePhase[agent] > 0.85 && this.rng.random() < 0.1) {
         ConsciousnessState.dreamingActive[agent] = 1;
         dreamState.activate();
+        this.syncDreamingNeighbors(agent);
       }
     } else {
       // Update active dream state
       dreamState.update();
       
       // Check if dream state should end
-      if (dreamState.duration >= CONSCIOUSNESS_CONFIG.DREAM_CYCLE_LENGTH || Math.random() < 0.02) {
+      if (dreamState.duration >= CONSCIOUSNESS_CONFIG.DREAM_CYCLE_LENGTH || this.rng.random() < 0.02) {
         ConsciousnessState.dreamingActive[agent] = 0;
         dreamState.deactivate();
       }
     }
   }
 
+  // Agents that fall asleep next to other dreamers share the dream cycle
+  syncDreamingNeighbors(agent) {
+    const dreamers = getDetectedEntities(this.memoryManager.world, agent)
+      .filter(entity => hasComponent(this.memoryManager.world, ConsciousnessState, entity) && ConsciousnessState.dreamingActive[entity]);
+    if (dreamers.length === 0) return;
+    
+    emitEvent(this.memoryManager.world, 'consciousness:synced', { agents: [agent, ...dreamers] });
+  }
+
   performSelfReflection(agent) {
     const selfReflection = this.selfReflections.get(agent);
     if (!selfReflection) return;
@@ -1081,12 +1152,11 @@ export class ConsciousnessManager {
     if (!imagination) return;
     
     // Occasionally generate new scenarios
-    if (Math.random() < 0.05) {
+    if (this.rng.random() < 0.05) {
       // Create context based on current perceptions
       const context = {};
-      for (let j = 0; j < 10; j++) {
-        const entity = SensoryData.entitiesDetected[agent * 10 + j];
-        if (entity && Environmental[entity]) {
+      for (const entity of getDetectedEntities(this.memoryManager.world, agent)) {
+        if (hasComponent(this.memoryManager.world, Environmental, entity)) {
           context.entityType = Environmental.type[entity];
           break;
         }
@@ -1129,15 +1199,15 @@ export class ConsciousnessManager {
       currentIntegration * 0.95 + newIntegration * 0.05;
     
     // Apply consciousness integration to cognitive state
-    if (CognitiveState[agent]) {
+    if (hasComponent(this.memoryManager.world, CognitiveState, agent)) {
       // Higher integration improves adaptability
-      CognitiveState[agent].adaptability += 
+      CognitiveState.adaptability[agent] += 
         ConsciousnessState.integrationIndex[agent] * 0.001;
     }
   }
 
   getConsciousnessReport(agent) {
-    if (!ConsciousnessState[agent]) return null;
+    if (!hasComponent(this.memoryManager.world, ConsciousnessState, agent)) return null;
     
     return {
       agent,
@@ -1172,6 +1242,45 @@ export class ConsciousnessManager {
     if (!narrativeConstruction) return [];
     return narrativeConstruction.narrativeFragments;
   }
+
+  // Snapshot support
+  serialize() {
+    return encodeValue({
+      dreamStates: this.dreamStates,
+      selfReflections: this.selfReflections,
+      imaginations: this.imaginations,
+      narrativeConstructions: this.narrativeConstructions
+    }, { exclude: ['memoryManager', 'rng'] });
+  }
+
+  restore(data, entityMap) {
+    const world = this.memoryManager.world;
+    const state = decodeValue(data, { DreamState, SelfReflection, Imagination, NarrativeConstruction });
+    
+    // Reattach the references left out of the snapshot and renumber the agents
+    Object.entries(state).forEach(([key, instances]) => {
+      instances.forEach(instance => {
+        instance.memoryManager = this.memoryManager;
+        instance.agent = remapEntity(entityMap, instance.agent);
+      });
+      state[key] = remapEntityKeys(instances, entityMap);
+    });
+    state.dreamStates.forEach(dreamState => {
+      dreamState.significantEntities = remapEntityKeys(dreamState.significantEntities, entityMap);
+    });
+    state.narrativeConstructions.forEach(narrative => {
+      narrative.characterRoles = remapEntityKeys(narrative.characterRoles, entityMap);
+    });
+    state.dreamStates.forEach(dreamState => { dreamState.rng = getRandomStream(world, 'dream'); });
+    state.imaginations.forEach(imagination => { imagination.rng = getRandomStream(world, 'imagination'); });
+    
+    this.dreamStates = state.dreamStates;
+    this.selfReflections = state.selfReflections;
+    this.imaginations = state.imaginations;
+    this.narrativeConstructions = state.narrativeConstructions;
+    this.initialized = true;
+    return this;
+  }
 }
 
 // Consciousness System
@@ -1194,7 +1303,7 @@ export const createConsciousnessSystem = (consciousnessManager) => {
 
 // Integration with ArgOS
 export function integrateConsciousnessWithArgOS(world, memoryManager, options = {}) {
-  console.log("Initializing Consciousness Extension...");
+  logMessage(world, "Initializing Consciousness Extension...");
   const consciousnessManager = new ConsciousnessManager(memoryManager, options);
   const consciousnessSystem = createConsciousnessSystem(consciousnessManager);
   
@@ -1203,7 +1312,7 @@ export function integrateConsciousnessWithArgOS(world, memoryManager, options =
 
 // Visualization
 export function visualizeAgentConsciousness(ctx, agent, consciousnessManager, pixelsPerUnit = 5) {
-  if (!ConsciousnessState[agent]) return;
+  if (!hasComponent(consciousnessManager.memoryManager.world, ConsciousnessState, agent)) return;
   
   const x = Position.x[agent] * pixelsPerUnit;
   const y = Position.y[agent] * pixelsPerUnit;
@@ -1267,4 +1376,8 @@ export function visualizeAgentConsciousness(ctx, agent, consciousnessManager, pi
     ctx.beginPath();
     ctx.moveTo(x, y);
     ctx.lineTo(nodeX, nodeY);
-    ctx.strokeStyle = `rgba(39
+    ctx.strokeStyle = `rgba(39, 174, 96, ${0.3 * report.selfAwareness})`;
+    ctx.lineWidth = 0.5;
+    ctx.stroke();
+  }
+}
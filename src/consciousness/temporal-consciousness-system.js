@@ -16,19 +16,33 @@ import {
   defineQuery, 
   defineSystem, 
   Types, 
-  addComponent 
+  addComponent,
+  hasComponent
 } from 'bitecs';
 import { 
   Position, 
   SensoryData, 
   Goals, 
   CognitiveState, 
-  RealityFlux 
-} from './argos-framework.js';
+  RealityFlux,
+  registerComponent,
+  registerSnapshotProvider,
+  encodeValue,
+  decodeValue,
+  remapEntity,
+  remapEntityKeys,
+  getRandomStream,
+  nextId,
+  logMessage,
+  addEntity,
+  removeEntity,
+  onEntityRemoved,
+  emitEvent
+} from '../core/ArgOS-Framework.js';
 import { 
   EnhancedMemory, 
   MemoryManager 
-} from './argos-memory-extension.js';
+} from '../memory/argos-memory-extension.js';
 import { 
   ConsciousnessState
 } from './argos-consciousness-extension.js';
@@ -222,14 +236,14 @@ class FutureScenario {
  * Class representing a temporal pattern recognized by an agent
  */
 class TemporalPattern {
-  constructor(sequence = [], agentId = 0) {
+  constructor(sequence = [], agentId = 0, world) {
     this.sequence = sequence;       // Array of event types or states
     this.confidence = 0.5;          // Confidence in this pattern (0-1)
     this.occurrences = [];          // Timestamps when pattern was observed
     this.lastMatchedTime = 0;       // Last time this pattern was matched
     this.predictiveValue = 0.5;     // How useful for prediction (0-1)
     this.agentId = agentId;         // Agent who discovered this pattern
-    this.id = `pattern-${Date.now()}-${Math.floor(Math.random() * 1000)}`;
+    this.id = `pattern-${world.time}-${nextId(world, 'pattern')}`;
   }
   
   /**
@@ -664,11 +678,15 @@ export class TemporalConsciousnessSystem {
   constructor(world, memoryManager) {
     this.world = world;
     this.memoryManager = memoryManager;
+    this.rng = getRandomStream(world, 'temporal');
     this.futureScenarios = new Map(); // agentId -> FutureScenario[]
     this.temporalPatterns = new Map(); // agentId -> TemporalPattern[]
     this.narratives = new Map(); // agentId -> TemporalNarrative
     this.memoryReconstructor = new MemoryReconstructor(memoryManager);
     this.initialized = false;
+    registerComponent(world, 'TemporalConsciousness', TemporalConsciousness, ['futureScenarioEntities']);
+    registerSnapshotProvider(world, 'temporal', this);
+    onEntityRemoved(world, entity => this.removeAgent(entity));
   }
   
   /**
@@ -686,7 +704,7 @@ export class TemporalConsciousnessSystem {
     ));
     
     this.initialized = true;
-    console.log(`TemporalConsciousnessSystem: Initialized for ${agentEntities.length} agents`);
+    logMessage(this.world, `TemporalConsciousnessSystem: Initialized for ${agentEntities.length} agents`);
     return this;
   }
   
@@ -695,7 +713,7 @@ export class TemporalConsciousnessSystem {
    */
   async initializeAgentTemporalConsciousness(agent) {
     // Skip if agent already has temporal consciousness
-    if (TemporalConsciousness[agent]) return;
+    if (hasComponent(this.world, TemporalConsciousness, agent)) return;
     
     // Add the component
     addComponent(this.world, TemporalConsciousness, agent);
@@ -762,6 +780,11 @@ export class TemporalConsciousnessSystem {
       scenario.isStillValid(currentState)
     );
     
+    // Pruned scenarios no longer need their reference entities
+    agentScenarios
+      .filter(scenario => !validScenarios.includes(scenario))
+      .forEach(scenario => removeEntity(this.world, scenario.entityId));
+    
     // Generate new scenarios if needed
     if (validScenarios.length < TEMPORAL_CONFIG.FUTURE_SIMULATION_COUNT) {
       const newScenarioCount = TEMPORAL_CONFIG.FUTURE_SIMULATION_COUNT - validScenarios.length;
@@ -777,9 +800,9 @@ export class TemporalConsciousnessSystem {
     TemporalConsciousness.futureScenariosCount[agent] = Math.min(validScenarios.length, 15);
     for (let i = 0; i < validScenarios.length && i < 15; i++) {
       const scenario = validScenarios[i];
-      TemporalConsciousness.futureScenarioEntities[agent * 15 + i] = scenario.entityId;
-      TemporalConsciousness.futureScenararioProbabilities[agent * 15 + i] = scenario.probability;
-      TemporalConsciousness.futureScenarioTimestamps[agent * 15 + i] = scenario.timestamp;
+      TemporalConsciousness.futureScenarioEntities[agent][i] = scenario.entityId;
+      TemporalConsciousness.futureScenarioProbabilities[agent][i] = scenario.probability;
+      TemporalConsciousness.futureScenarioTimestamps[agent][i] = scenario.timestamp;
     }
     
     // Store updated scenarios
@@ -796,15 +819,18 @@ export class TemporalConsciousnessSystem {
     // Generate possible sequence of actions
     const possibleActions = this.getPossibleActions(agent);
     
+    // Past gathering near here grounds predicted gathering
+    const experience = { gatherSuccess: this.recallGatherExperience(agent, currentState) };
+    
     // Simulate sequence of steps
     let simulatedState = { ...currentState };
     for (let step = 0; step < TEMPORAL_CONFIG.FUTURE_SIMULATION_STEPS; step++) {
       // Choose action with some randomness
-      const actionIndex = Math.floor(Math.random() * possibleActions.length);
+      const actionIndex = this.rng.int(possibleActions.length);
       const action = possibleActions[actionIndex];
       
       // Predict next state using semantic patterns
-      const nextState = this.predictNextState(agent, simulatedState, action);
+      const nextState = this.predictNextState(agent, simulatedState, action, experience);
       
       // Add to scenario
       scenario.addState(nextState, action);
@@ -823,6 +849,24 @@ export class TemporalConsciousnessSystem {
     return scenario;
   }
   
+  /**
+   * Drop all per-agent state, including scenario entities, when an agent is removed
+   */
+  removeAgent(agent) {
+    const scenarios = this.futureScenarios.get(agent) || [];
+    this.futureScenarios.delete(agent);
+    this.temporalPatterns.delete(agent);
+    this.narratives.delete(agent);
+    
+    // Queued reconstructions are keyed by memory ID, which starts with the agent ID
+    const queue = this.memoryReconstructor.reconstructionQueue;
+    Array.from(queue.keys())
+      .filter(memoryId => String(memoryId).startsWith(`${agent}-`))
+      .forEach(memoryId => queue.delete(memoryId));
+    
+    scenarios.forEach(scenario => removeEntity(this.world, scenario.entityId));
+  }
+  
   /**
    * Create an entity to represent a scenario (for reference)
    */
@@ -897,9 +941,28 @@ export class TemporalConsciousnessSystem {
   }
   
   /**
-   * Predict the next state given current state and action
+   * Success rate of the agent's remembered gathering attempts most similar to
+   * its current state, or null when none are similar enough
    */
-  predictNextState(agent, currentState, action) {
+  recallGatherExperience(agent, currentState) {
+    const precedents = this.memoryManager.recallSimilar(
+      agent,
+      { position: currentState.position, entityType: 0 },
+      5,
+      {
+        where: memory => memory.context.success !== undefined,
+        minSimilarity: TEMPORAL_CONFIG.MEMORY_SIMILARITY_THRESHOLD
+      }
+    );
+    if (precedents.length === 0) return null;
+    return precedents.filter(p => p.memory.context.success).length / precedents.length;
+  }
+  
+  /**
+   * Predict the next state given current state and action; experience holds
+   * outcome rates recalled from similar memories
+   */
+  predictNextState(agent, currentState, action, experience = {}) {
     // Copy current state as starting point
     const nextState = { ...currentState };
     
@@ -938,25 +1001,25 @@ export class TemporalConsciousnessSystem {
         }
         break;
       
-      case 'gather':
-        // Simulate resource gathering
-        if (patterns.includes('resource_clustering')) {
-          // Apply pattern knowledge to increase success chance
-          nextState.resources = nextState.resources + (Math.random() > 0.3 ? 1 : 0);
-        } else {
-          // Default success rate
-          nextState.resources = nextState.resources + (Math.random() > 0.6 ? 1 : 0);
+      case 'gather': {
+        // Simulate resource gathering; pattern knowledge increases the success chance
+        let gatherChance = patterns.includes('resource_clustering') ? 0.7 : 0.4;
+        if (experience.gatherSuccess !== null && experience.gatherSuccess !== undefined) {
+          // Similar past attempts weigh as much as the general expectation
+          gatherChance = (gatherChance + experience.gatherSuccess) / 2;
         }
+        nextState.resources = nextState.resources + (this.rng.random() > 1 - gatherChance ? 1 : 0);
         break;
+      }
       
       case 'avoid':
         // Simulate hazard avoidance
         if (patterns.includes('hazard_shift_stability')) {
           // Apply pattern knowledge to decrease risk
-          nextState.hazards = Math.max(0, nextState.hazards - (Math.random() > 0.4 ? 1 : 0));
+          nextState.hazards = Math.max(0, nextState.hazards - (this.rng.random() > 0.4 ? 1 : 0));
         } else {
           // Default risk reduction
-          nextState.hazards = Math.max(0, nextState.hazards - (Math.random() > 0.7 ? 1 : 0));
+          nextState.hazards = Math.max(0, nextState.hazards - (this.rng.random() > 0.7 ? 1 : 0));
         }
         break;
       
@@ -968,24 +1031,24 @@ export class TemporalConsciousnessSystem {
     switch (goalType) {
       case 1: // Resource
         if (action.type === 'gather' || action.type === 'seekResource') {
-          nextState.goalProgress = Math.min(100, nextState.goalProgress + (5 + Math.random() * 10));
+          nextState.goalProgress = Math.min(100, nextState.goalProgress + (5 + this.rng.random() * 10));
         }
         break;
       case 2: // Avoid hazard
         if (action.type === 'avoid' || action.type === 'monitorHazard') {
-          nextState.goalProgress = Math.min(100, nextState.goalProgress + (10 + Math.random() * 15));
+          nextState.goalProgress = Math.min(100, nextState.goalProgress + (10 + this.rng.random() * 15));
         }
         break;
       case 3: // Social
         if (action.type === 'approach' || action.type === 'communicate') {
-          nextState.goalProgress = Math.min(100, nextState.goalProgress + (8 + Math.random() * 12));
+          nextState.goalProgress = Math.min(100, nextState.goalProgress + (8 + this.rng.random() * 12));
         }
         break;
     }
     
     // Add some random variation for emotional state
     nextState.emotionalState = Math.max(0, Math.min(100, 
-      nextState.emotionalState + (Math.random() * 10 - 5)
+      nextState.emotionalState + (this.rng.random() * 10 - 5)
     ));
     
     return nextState;
@@ -1062,6 +1125,7 @@ export class TemporalConsciousnessSystem {
           
           patterns[weakestIndex] = newPattern;
         }
+        emitEvent(this.world, 'temporal:pattern-detected', { agent, pattern: newPattern });
       }
     }
     
@@ -1078,9 +1142,9 @@ export class TemporalConsciousnessSystem {
     // Update component with pattern data
     TemporalConsciousness.patternCount[agent] = Math.min(patterns.length, 20);
     for (let i = 0; i < patterns.length && i < 20; i++) {
-      TemporalConsciousness.patternStrengths[agent * 20 + i] = patterns[i].confidence;
-      TemporalConsciousness.patternLastMatched[agent * 20 + i] = patterns[i].lastMatchedTime;
-      TemporalConsciousness.patternSequenceLength[agent * 20 + i] = patterns[i].sequence.length;
+      TemporalConsciousness.patternStrengths[agent][i] = patterns[i].confidence;
+      TemporalConsciousness.patternLastMatched[agent][i] = patterns[i].lastMatchedTime;
+      TemporalConsciousness.patternSequenceLength[agent][i] = patterns[i].sequence.length;
     }
   }
   
@@ -1144,7 +1208,7 @@ export class TemporalConsciousnessSystem {
         
         if (matchFound) {
           // Create new pattern
-          return new TemporalPattern(candidateSequence);
+          return new TemporalPattern(candidateSequence, 0, this.world);
         }
       }
     }
@@ -1174,7 +1238,7 @@ export class TemporalConsciousnessSystem {
     TemporalConsciousness.memoryUpdatePending[agent] = 1;
     const maxToUpdate = Math.min(memoriesToUpdate.length, 10);
     for (let i = 0; i < maxToUpdate; i++) {
-      TemporalConsciousness.memoriesToUpdate[agent * 10 + i] = memoriesToUpdate[i];
+      TemporalConsciousness.memoriesToUpdate[agent][i] = memoriesToUpdate[i];
     }
     
     // Queue memories for reconstruction
@@ -1284,7 +1348,7 @@ export class TemporalConsciousnessSystem {
    * Integrate temporal consciousness with overall consciousness
    */
   integrateWithConsciousness(agent) {
-    if (!ConsciousnessState[agent]) return;
+    if (!hasComponent(this.world, ConsciousnessState, agent)) return;
     
     // Enhance self-awareness through temporal continuity
     const temporalContribution = TemporalConsciousness.selfContinuity[agent] * 0.2;
@@ -1303,7 +1367,7 @@ export class TemporalConsciousnessSystem {
    * Get temporal consciousness report for an agent
    */
   getTemporalConsciousnessReport(agent) {
-    if (!TemporalConsciousness[agent]) return null;
+    if (!hasComponent(this.world, TemporalConsciousness, agent)) return null;
     
     // Get future scenarios
     const futureScenarios = this.futureScenarios.get(agent) || [];
@@ -1331,16 +1395,44 @@ export class TemporalConsciousnessSystem {
       lastMemoryUpdateTime: TemporalConsciousness.lastMemoryUpdateTime[agent]
     };
   }
-}
-
-// Helper functions
-function addComponent(world, component, entity) {
-  component.addTo(world)(entity);
+  
+  /**
+   * Serialize futures, patterns, narratives and pending reconstructions for a snapshot
+   */
+  serialize() {
+    return encodeValue({
+      futureScenarios: this.futureScenarios,
+      temporalPatterns: this.temporalPatterns,
+      narratives: this.narratives,
+      reconstructionQueue: this.memoryReconstructor.reconstructionQueue
+    });
+  }
+  
+  /**
+   * Restore state captured by serialize(); entityMap renumbers agents and scenario entities
+   */
+  restore(data, entityMap) {
+    const state = decodeValue(data, { FutureScenario, TemporalPattern, TemporalNarrative });
+    const remap = entity => remapEntity(entityMap, entity);
+    state.futureScenarios.forEach(scenarios => scenarios.forEach(scenario => {
+      scenario.agentId = remap(scenario.agentId);
+      scenario.entityId = remap(scenario.entityId);
+    }));
+    state.temporalPatterns.forEach(patterns => patterns.forEach(pattern => {
+      pattern.agentId = remap(pattern.agentId);
+    }));
+    this.futureScenarios = remapEntityKeys(state.futureScenarios, entityMap);
+    this.temporalPatterns = remapEntityKeys(state.temporalPatterns, entityMap);
+    this.narratives = remapEntityKeys(state.narratives, entityMap);
+    this.memoryReconstructor.reconstructionQueue = state.reconstructionQueue;
+    this.initialized = true;
+    return this;
+  }
 }
 
 // Export the system creation function
 export function createTemporalConsciousnessSystem(world, memoryManager) {
-  console.log("Initializing Temporal Consciousness System...");
+  logMessage(world, "Initializing Temporal Consciousness System...");
   const temporalConsciousnessManager = new TemporalConsciousnessSystem(world, memoryManager);
   const temporalConsciousnessSystem = temporalConsciousnessManager.createSystem();
   
@@ -1349,6 +1441,6 @@ export function createTemporalConsciousnessSystem(world, memoryManager) {
 
 // Integration with ArgOS
 export function integrateTemporalConsciousnessWithArgOS(world, memoryManager, options = {}) {
-  console.log("Integrating Temporal Consciousness with ArgOS...");
+  logMessage(world, "Integrating Temporal Consciousness with ArgOS...");
   return createTemporalConsciousnessSystem(world, memoryManager);
 }
@@ -5,7 +5,31 @@
  * Provides the foundation for the HESMS and Consciousness Extensions.
  */
 
-import { defineComponent, defineQuery, defineSystem, createWorld as createECSWorld, Types, addEntity as addECSEntity } from 'bitecs';
+import { defineComponent, defineQuery, defineSystem, enterQuery, exitQuery, hasComponent, entityExists, createWorld as createECSWorld, Types, addEntity as addECSEntity, removeEntity as removeECSEntity } from 'bitecs';
+import { SeededRandom, getRandomStream } from './random.js';
+import { SpatialHash } from './spatial-hash.js';
+import { SlotBuffer } from './slot-buffer.js';
+import { NavigationGrid } from './pathfinding.js';
+import { EventBus } from './events.js';
+import { Scheduler } from './scheduler.js';
+import { registerSnapshotProvider } from './snapshot.js';
+
+export { SeededRandom, RandomStream, getRandomStream } from './random.js';
+export { SpatialHash } from './spatial-hash.js';
+export { SlotBuffer } from './slot-buffer.js';
+export { NavigationGrid } from './pathfinding.js';
+export { EventBus, EVENT_TYPES, EVENT_ALIASES } from './events.js';
+export { Scheduler, PHASES } from './scheduler.js';
+export {
+  SNAPSHOT_VERSION,
+  snapshot,
+  restore,
+  registerSnapshotProvider,
+  encodeValue,
+  decodeValue,
+  remapEntity,
+  remapEntityKeys
+} from './snapshot.js';
 
 // Basic Components
 export const Position = defineComponent({
@@ -13,10 +37,9 @@ export const Position = defineComponent({
   y: Types.f32
 });
 
+// Detections live in per-world slot buffers sized by the world's sensory capacity
 export const SensoryData = defineComponent({
-  visionRange: Types.f32,
-  entitiesDetected: [Types.eid, 10],
-  entitiesDistance: [Types.f32, 10]
+  visionRange: Types.f32
 });
 
 export const Actions = defineComponent({
@@ -24,7 +47,10 @@ export const Actions = defineComponent({
   targetEntity: Types.eid,
   successRate: Types.f32,
   energyCost: Types.f32,
-  cooldown: Types.ui16
+  cooldown: Types.ui16,
+  outcome: Types.i8,        // Last resolved action: 1: Succeeded, -1: Failed, 0: None
+  reward: Types.f32,        // Yield gained by the last successful action
+  outcomeTime: Types.ui32   // World time the last outcome was resolved
 });
 
 export const Goals = defineComponent({
@@ -52,16 +78,179 @@ export const RealityFlux = defineComponent({
 
 export const Environmental = defineComponent({
   type: Types.ui8,  // 0: Resource, 1: Obstacle, 2: Hazard
-  value: Types.f32,
-  depletion: Types.f32,
-  respawnTime: Types.ui16
+  value: Types.f32,         // Resources: yield left to harvest
+  depletion: Types.f32,     // Resources: yield taken by one harvest
+  respawnTime: Types.ui16,  // Resources: ticks a depleted resource takes to regrow
+  capacity: Types.f32,      // Resources: yield restored on respawn
+  respawnTimer: Types.ui16  // Resources: ticks left until respawn
+});
+
+export const Energy = defineComponent({
+  current: Types.f32,
+  max: Types.f32
+});
+
+export const Health = defineComponent({
+  current: Types.f32,
+  max: Types.f32
 });
 
+// Resource economy
+// Applied by the resource system to resources created without their own values
+export const RESOURCE_DEFAULTS = {
+  value: 10,
+  depletion: 2,
+  respawnTime: 300
+};
+export const HARVEST_RANGE = 2;
+
+export const isResourceAvailable = (world, entity) =>
+  hasComponent(world, Environmental, entity) && Environmental.type[entity] === 0 && Environmental.value[entity] > 0;
+
+// Take one harvest from a resource; returns the yield gained
+export const harvestResource = (world, resource) => {
+  const value = Environmental.value[resource];
+  const amount = Math.min(value, Environmental.depletion[resource] || value);
+  Environmental.value[resource] = value - amount;
+  
+  if (Environmental.value[resource] <= 0) {
+    Environmental.value[resource] = 0;
+    Environmental.respawnTimer[resource] = Environmental.respawnTime[resource];
+  }
+  
+  return amount;
+};
+
+// What the agent's action achieved this tick (or ticksAgo ticks earlier), or null if nothing resolved
+export const getActionOutcome = (world, agent, ticksAgo = 0) => {
+  if (!hasComponent(world, Actions, agent) || Actions.outcome[agent] === 0 || Actions.outcomeTime[agent] !== world.time - ticksAgo) return null;
+  return {
+    target: Actions.targetEntity[agent],
+    success: Actions.outcome[agent] > 0,
+    reward: Actions.reward[agent]
+  };
+};
+
+const setActionOutcome = (world, agent, success, reward = 0) => {
+  Actions.outcome[agent] = success ? 1 : -1;
+  Actions.reward[agent] = reward;
+  Actions.outcomeTime[agent] = world.time;
+};
+
+// Sensory slots
+export const DEFAULT_SENSORY_CAPACITY = 10;
+
+// Marks an empty entity slot. 0 is a real entity id, and Uint32 slots cannot hold -1
+export const NO_ENTITY = 0xFFFFFFFF;
+
+export const getSensoryCapacity = (world) => world.sensoryCapacity || DEFAULT_SENSORY_CAPACITY;
+
+const getSensoryBuffers = (world) => {
+  if (!world.sensoryBuffers) {
+    const capacity = getSensoryCapacity(world);
+    world.sensoryBuffers = {
+      entities: new SlotBuffer(Uint32Array, capacity, NO_ENTITY),
+      distances: new SlotBuffer(Float32Array, capacity, 999)
+    };
+  }
+  return world.sensoryBuffers;
+};
+
+// Detected entities with distances, nearest first
+export const getDetections = (world, agent) => {
+  const { entities, distances } = getSensoryBuffers(world);
+  const detections = [];
+  for (let i = 0; i < entities.slots; i++) {
+    const entity = entities.get(agent, i);
+    if (entity === NO_ENTITY) continue;
+    detections.push({ entity, distance: distances.get(agent, i) });
+  }
+  return detections;
+};
+
+export const getDetectedEntities = (world, agent) =>
+  getDetections(world, agent).map(detection => detection.entity);
+
+export const setDetections = (world, agent, detections) => {
+  const { entities, distances } = getSensoryBuffers(world);
+  entities.reset(agent);
+  distances.reset(agent);
+  detections.slice(0, entities.slots).forEach((detection, i) => {
+    entities.set(agent, i, detection.entity);
+    distances.set(agent, i, detection.distance);
+  });
+};
+
+// Drop a removed entity from every agent's detections
+const forgetDetectedEntity = (world, removed) => {
+  for (const agent of world.entities) {
+    const detections = getDetections(world, agent);
+    if (detections.some(detection => detection.entity === removed)) {
+      setDetections(world, agent, detections.filter(detection => detection.entity !== removed));
+    }
+  }
+};
+
+// Spatial broadphase
+export const getSpatialHash = (world) => {
+  if (!world.spatialHash) world.spatialHash = new SpatialHash();
+  return world.spatialHash;
+};
+
+// Obstacle navigation
+export const getNavigationGrid = (world) => {
+  if (!world.navigation) world.navigation = new NavigationGrid({ bounds: world.bounds });
+  return world.navigation;
+};
+
+// Cognitive events
+export const getEventBus = (world) => {
+  if (!world.events) world.events = new EventBus();
+  return world.events;
+};
+
+// Publishes an event stamped with the current world time
+export const emitEvent = (world, type, payload) =>
+  getEventBus(world).emit(type, { time: world.time, ...payload });
+
+// System phases and intervals
+export const getScheduler = (world) => {
+  if (!world.scheduler) world.scheduler = new Scheduler();
+  return world.scheduler;
+};
+
+const isObstacle = (world, entity) => hasComponent(world, Environmental, entity) && Environmental.type[entity] === 1;
+
+// Call after writing Position outside the movement system so sensing sees the new cell
+// and moved obstacles trigger replanning
+export const updateEntityPosition = (world, entity) => {
+  getSpatialHash(world).update(entity, Position.x[entity], Position.y[entity]);
+  if (isObstacle(world, entity)) getNavigationGrid(world).setObstacle(entity, Position.x[entity], Position.y[entity]);
+};
+
 // Basic Systems
-export const createMovementSystem = () => {
+// options.pathfinding: false moves straight at the target (obstacles still block)
+export const createMovementSystem = (options = {}) => {
   const query = defineQuery([Position, Goals]);
+  const enteredMovers = enterQuery(query);
+  const exitedMovers = exitQuery(query);
+  const environmentQuery = defineQuery([Position, Environmental]);
+  const enteredEnvironment = enterQuery(environmentQuery);
+  const exitedEnvironment = exitQuery(environmentQuery);
+  const usePathfinding = options.pathfinding !== false;
+  const waypointReach = 0.5;
   
   return (world) => {
+    const grid = getNavigationGrid(world);
+    
+    // Keep the grid in sync with obstacles appearing and disappearing
+    enteredEnvironment(world).forEach(entity => {
+      if (isObstacle(world, entity)) grid.setObstacle(entity, Position.x[entity], Position.y[entity]);
+    });
+    exitedEnvironment(world).forEach(entity => grid.removeObstacle(entity));
+    enteredMovers(world).forEach(entity => grid.forgetRoute(entity));
+    exitedMovers(world).forEach(entity => grid.forgetRoute(entity));
+    
     const entities = query(world);
     const deltaTime = world.time - (world.lastTime || 0);
     const moveSpeed = 0.05;
@@ -72,76 +261,114 @@ export const createMovementSystem = () => {
       
       if (targetX === 0 && targetY === 0) return;
       
-      const dx = targetX - Position.x[entity];
-      const dy = targetY - Position.y[entity];
-      const distance = Math.sqrt(dx * dx + dy * dy);
+      const x = Position.x[entity];
+      const y = Position.y[entity];
+      const distance = Math.sqrt((targetX - x) ** 2 + (targetY - y) ** 2);
       
-      if (distance > 1) {
-        Position.x[entity] += (dx / distance) * moveSpeed * deltaTime;
-        Position.y[entity] += (dy / distance) * moveSpeed * deltaTime;
-      } else {
+      if (distance <= 1) {
         // If close enough to target, mark goal as complete
         Goals.completionPercentage[entity] = 100;
+        return;
+      }
+      
+      // Head for the next waypoint on the route, or straight at the target after the last one
+      let nextX = targetX;
+      let nextY = targetY;
+      
+      if (usePathfinding) {
+        const route = grid.route(entity, x, y, targetX, targetY);
+        while (route.index < route.waypoints.length &&
+          Math.hypot(route.waypoints[route.index].x - x, route.waypoints[route.index].y - y) <= waypointReach) {
+          route.index++;
+        }
+        
+        if (route.index < route.waypoints.length) {
+          nextX = route.waypoints[route.index].x;
+          nextY = route.waypoints[route.index].y;
+        } else if (!route.complete) {
+          // Target is walled off; give up at the closest reachable point
+          Goals.completionPercentage[entity] = 100;
+          return;
+        }
+      }
+      
+      const dx = nextX - x;
+      const dy = nextY - y;
+      const legLength = Math.sqrt(dx * dx + dy * dy);
+      if (legLength === 0) return;
+      
+      const step = moveSpeed * deltaTime;
+      const newX = x + (dx / legLength) * step;
+      const newY = y + (dy / legLength) * step;
+      
+      // Obstacles block movement; slide along them when only one axis is blocked.
+      // Agents caught inside a cell by a teleported obstacle may always leave.
+      if (!grid.isBlocked(newX, newY) || grid.isBlocked(x, y)) {
+        Position.x[entity] = newX;
+        Position.y[entity] = newY;
+      } else if (!grid.isBlocked(newX, y)) {
+        Position.x[entity] = newX;
+      } else if (!grid.isBlocked(x, newY)) {
+        Position.y[entity] = newY;
+      } else {
+        // Boxed in: drop the goal so a new one is chosen
+        grid.forgetRoute(entity);
+        Goals.completionPercentage[entity] = 100;
+        return;
       }
+      updateEntityPosition(world, entity);
     });
     
     return world;
   };
 };
 
-export const createSensorSystem = () => {
+export const createSensorSystem = (options = {}) => {
   const query = defineQuery([Position, SensoryData]);
+  const positionQuery = defineQuery([Position]);
+  const enteredPosition = enterQuery(positionQuery);
+  const exitedPosition = exitQuery(positionQuery);
+  const useBroadphase = options.broadphase !== false;
   
   return (world) => {
     const entities = query(world);
+    const spatialHash = getSpatialHash(world);
+    const capacity = getSensoryCapacity(world);
+    
+    // Track entities that gained or lost a position since the last pass
+    enteredPosition(world).forEach(entity => updateEntityPosition(world, entity));
+    exitedPosition(world).forEach(entity => spatialHash.remove(entity));
+    // bitECS numbers entities process-wide, so a recycled id can sit out of order
+    const allEntities = useBroadphase ? null : [...world.entities].sort((a, b) => a - b);
     
     entities.forEach(entity => {
       const x = Position.x[entity];
       const y = Position.y[entity];
       const range = SensoryData.visionRange[entity] || 30;
       
-      // Reset detected entities
-      for (let i = 0; i < 10; i++) {
-        SensoryData.entitiesDetected[entity * 10 + i] = 0;
-        SensoryData.entitiesDistance[entity * 10 + i] = 999;
-      }
+      // Candidates in ascending entity order, so both paths keep the same first detections in range
+      const candidates = useBroadphase
+        ? spatialHash.queryRadius(x, y, range).sort((a, b) => a - b)
+        : allEntities;
       
       // Find entities in range
-      let detectedCount = 0;
-      for (let i = 0; i < world.entities.length; i++) {
-        if (i === entity || !Position[i]) continue;
+      const detected = [];
+      for (const i of candidates) {
+        if (i === entity || !hasComponent(world, Position, i)) continue;
         
-        const otherX = Position.x[i];
-        const otherY = Position.y[i];
-        const dx = otherX - x;
-        const dy = otherY - y;
+        const dx = Position.x[i] - x;
+        const dy = Position.y[i] - y;
         const distance = Math.sqrt(dx * dx + dy * dy);
         
-        if (distance <= range && detectedCount < 10) {
-          SensoryData.entitiesDetected[entity * 10 + detectedCount] = i;
-          SensoryData.entitiesDistance[entity * 10 + detectedCount] = distance;
-          detectedCount++;
+        if (distance <= range) {
+          detected.push({ entity: i, distance });
+          if (detected.length === capacity) break;
         }
       }
       
-      // Sort detected entities by distance
-      for (let i = 0; i < detectedCount - 1; i++) {
-        for (let j = i + 1; j < detectedCount; j++) {
-          const idxI = entity * 10 + i;
-          const idxJ = entity * 10 + j;
-          if (SensoryData.entitiesDistance[idxI] > SensoryData.entitiesDistance[idxJ]) {
-            // Swap distance
-            const tempDist = SensoryData.entitiesDistance[idxI];
-            SensoryData.entitiesDistance[idxI] = SensoryData.entitiesDistance[idxJ];
-            SensoryData.entitiesDistance[idxJ] = tempDist;
-            
-            // Swap entity
-            const tempEnt = SensoryData.entitiesDetected[idxI];
-            SensoryData.entitiesDetected[idxI] = SensoryData.entitiesDetected[idxJ];
-            SensoryData.entitiesDetected[idxJ] = tempEnt;
-          }
-        }
-      }
+      // Sort detected entities by distance (stable, so ties keep entity order)
+      detected.sort((a, b) => a.distance - b.distance);
+      setDetections(world, entity, detected);
     });
     
     return world;
@@ -153,6 +380,7 @@ export const createDecisionSystem = () => {
   
   return (world) => {
     const entities = query(world);
+    const rng = getRandomStream(world, 'decision');
     
     entities.forEach(entity => {
       // Only make a new decision if the current goal is complete or no goal
@@ -164,20 +392,18 @@ export const createDecisionSystem = () => {
       
       // Default to exploration
       let goalType = 0;
-      let targetX = Position.x[entity] + (Math.random() * 40 - 20);
-      let targetY = Position.y[entity] + (Math.random() * 40 - 20);
+      let targetX = Position.x[entity] + (rng.random() * 40 - 20);
+      let targetY = Position.y[entity] + (rng.random() * 40 - 20);
       let targetEntity = 0;
       let priority = 20;
       
       // Check for resources or hazards in sensory range
-      for (let i = 0; i < 10; i++) {
-        const detectedEntity = SensoryData.entitiesDetected[entity * 10 + i];
-        if (detectedEntity === 0) continue;
-        
-        if (Environmental[detectedEntity]) {
+      for (const detectedEntity of getDetectedEntities(world, entity)) {
+        if (hasComponent(world, Environmental, detectedEntity)) {
           const type = Environmental.type[detectedEntity];
           
           if (type === 0) { // Resource
+            if (!isResourceAvailable(world, detectedEntity)) continue;
             goalType = 1;
             targetX = Position.x[detectedEntity];
             targetY = Position.y[detectedEntity];
@@ -198,7 +424,7 @@ export const createDecisionSystem = () => {
               break;
             }
           }
-        } else if (SensoryData[detectedEntity] && Math.random() < 0.2) {
+        } else if (hasComponent(world, SensoryData, detectedEntity) && rng.random() < 0.2) {
           // Sometimes interact with other agents
           goalType = 3;
           targetX = Position.x[detectedEntity];
@@ -210,9 +436,9 @@ export const createDecisionSystem = () => {
       }
       
       // Random exploration based on curiosity
-      if (goalType === 0 && Math.random() * 100 < curiosity) {
-        const angle = Math.random() * Math.PI * 2;
-        const distance = 10 + Math.random() * 20;
+      if (goalType === 0 && rng.random() * 100 < curiosity) {
+        const angle = rng.random() * Math.PI * 2;
+        const distance = 10 + rng.random() * 20;
         targetX = Position.x[entity] + Math.cos(angle) * distance;
         targetY = Position.y[entity] + Math.sin(angle) * distance;
       }
@@ -232,9 +458,40 @@ export const createDecisionSystem = () => {
 
 export const createActionSystem = () => {
   const query = defineQuery([Actions, Goals]);
+  const environmentQuery = defineQuery([Position, Environmental]);
+  
+  // The goal's resource if the agent has reached it, else the nearest available one in reach
+  const findHarvestTarget = (world, agent, preferred) => {
+    const x = Position.x[agent];
+    const y = Position.y[agent];
+    const inReach = (entity) => hasComponent(world, Position, entity) && hasComponent(world, Environmental, entity) &&
+      Environmental.type[entity] === 0 && Math.hypot(Position.x[entity] - x, Position.y[entity] - y) <= HARVEST_RANGE;
+    
+    if (preferred && inReach(preferred)) return preferred;
+    
+    let nearest = null;
+    let nearestDistance = Infinity;
+    environmentQuery(world).forEach(entity => {
+      if (!isResourceAvailable(world, entity) || !inReach(entity)) return;
+      const distance = Math.hypot(Position.x[entity] - x, Position.y[entity] - y);
+      if (distance < nearestDistance) {
+        nearest = entity;
+        nearestDistance = distance;
+      }
+    });
+    return nearest;
+  };
+  
+  // Performing an action burns a fraction of its energy cost
+  const spendEnergy = (world, entity) => {
+    if (!hasComponent(world, Energy, entity)) return;
+    const cost = Actions.energyCost[entity] * VITALITY_DEFAULTS.actionCostFactor;
+    Energy.current[entity] = Math.max(0, Energy.current[entity] - cost);
+  };
   
   return (world) => {
     const entities = query(world);
+    const rng = getRandomStream(world, 'action');
     
     entities.forEach(entity => {
       if (Actions.cooldown[entity] > 0) {
@@ -269,8 +526,33 @@ export const createActionSystem = () => {
           break;
       }
       
-      // Random success check (we don't actually use this for anything right now)
-      if (Math.random() > Actions.successRate[entity]) {
+      // Resource goals resolve once the agent reaches a resource
+      if (goalType === 1 && hasComponent(world, Position, entity)) {
+        const resource = findHarvestTarget(world, entity, targetEntity);
+        if (resource === null) return; // Still travelling
+        
+        Actions.targetEntity[entity] = resource;
+        spendEnergy(world, entity);
+        
+        if (!isResourceAvailable(world, resource)) {
+          // Arrived at a depleted resource
+          setActionOutcome(world, entity, false);
+          Goals.completionPercentage[entity] = 100;
+          Actions.cooldown[entity] = 5;
+        } else if (rng.random() > Actions.successRate[entity]) {
+          setActionOutcome(world, entity, false);
+          Actions.cooldown[entity] = 20;
+        } else {
+          setActionOutcome(world, entity, true, harvestResource(world, resource));
+          Goals.completionPercentage[entity] = 100;
+          Actions.cooldown[entity] = 5;
+        }
+        return;
+      }
+      
+      // Random success check for actions without a concrete effect yet
+      spendEnergy(world, entity);
+      if (rng.random() > Actions.successRate[entity]) {
         // Action failed
         Actions.cooldown[entity] = 20; // Longer cooldown for failures
       } else {
@@ -283,19 +565,124 @@ export const createActionSystem = () => {
   };
 };
 
+// Fills in economy defaults for new resources and regrows depleted ones
+export const createResourceSystem = () => {
+  const query = defineQuery([Environmental]);
+  const enteredResources = enterQuery(query);
+  
+  return (world) => {
+    enteredResources(world).forEach(entity => {
+      if (Environmental.type[entity] !== 0 || Environmental.capacity[entity] > 0) return;
+      
+      Environmental.capacity[entity] = Environmental.value[entity] || RESOURCE_DEFAULTS.value;
+      Environmental.value[entity] = Environmental.capacity[entity];
+      if (!Environmental.depletion[entity]) Environmental.depletion[entity] = RESOURCE_DEFAULTS.depletion;
+      if (!Environmental.respawnTime[entity]) Environmental.respawnTime[entity] = RESOURCE_DEFAULTS.respawnTime;
+    });
+    
+    query(world).forEach(entity => {
+      if (Environmental.type[entity] !== 0 || Environmental.value[entity] > 0) return;
+      
+      if (Environmental.respawnTimer[entity] > 0) {
+        Environmental.respawnTimer[entity]--;
+      } else {
+        Environmental.value[entity] = Environmental.capacity[entity];
+      }
+    });
+    
+    return world;
+  };
+};
+
+// Agent lifecycle
+export const VITALITY_DEFAULTS = {
+  energy: 100,
+  health: 100,
+  metabolism: 0.02,       // Energy burned per tick just by living
+  actionCostFactor: 0.1,  // Share of Actions.energyCost burned per action
+  energyPerYield: 5,      // Energy gained per unit of harvested yield
+  starvationDamage: 0.5,  // Health lost per tick with no energy left
+  recoveryRate: 0.02,     // Health regained per tick while energy is above half
+  hazardRadius: 4,
+  hazardDamage: 1         // Health lost per tick near a hazard (a hazard's value overrides it)
+};
+
+// Metabolism, feeding, hazard damage and starvation; agents whose health
+// runs out are removed from the world
+export const createVitalitySystem = (options = {}) => {
+  const settings = { ...VITALITY_DEFAULTS, ...options };
+  const query = defineQuery([Energy, Health]);
+  const environmentQuery = defineQuery([Position, Environmental]);
+  
+  return (world) => {
+    const hazards = environmentQuery(world).filter(entity => Environmental.type[entity] === 2);
+    const dead = [];
+    
+    query(world).forEach(entity => {
+      let energy = Energy.current[entity] - settings.metabolism;
+      
+      const outcome = getActionOutcome(world, entity);
+      if (outcome?.success) energy += outcome.reward * settings.energyPerYield;
+      
+      energy = Math.min(Energy.max[entity], Math.max(0, energy));
+      Energy.current[entity] = energy;
+      
+      let health = Health.current[entity];
+      
+      if (hasComponent(world, Position, entity)) {
+        hazards.forEach(hazard => {
+          const distance = Math.hypot(Position.x[hazard] - Position.x[entity], Position.y[hazard] - Position.y[entity]);
+          if (distance <= settings.hazardRadius) {
+            health -= Environmental.value[hazard] > 0 ? Environmental.value[hazard] : settings.hazardDamage;
+          }
+        });
+      }
+      
+      if (energy <= 0) {
+        health -= settings.starvationDamage;
+      } else if (energy > Energy.max[entity] / 2) {
+        health += settings.recoveryRate;
+      }
+      
+      Health.current[entity] = Math.min(Health.max[entity], health);
+      if (health <= 0) dead.push(entity);
+    });
+    
+    dead.forEach(entity => removeEntity(world, entity));
+    
+    return world;
+  };
+};
+
 export const createRealityFluxSystem = () => {
   const query = defineQuery([RealityFlux]);
   
   return (world) => {
+    const rng = getRandomStream(world, 'reality-flux');
+    
     // Global reality shifts
     if (world.realityWave) {
-      world.realityWave.timer--;
+      const wave = world.realityWave;
       
-      if (world.realityWave.timer <= 0) {
-        world.realityWave.active = !world.realityWave.active;
-        world.realityWave.timer = world.realityWave.active ? 100 : 500; // Active for 100 ticks, inactive for 500
+      if (wave.enabled === false) {
+        wave.active = false;
+      } else if (wave.schedule) {
+        // Explicit windows: [{ start, duration }] in world ticks
+        const active = wave.schedule.some(w => world.time >= w.start && world.time < w.start + w.duration);
+        if (active !== wave.active) {
+          wave.active = active;
+          logMessage(world, `Reality wave ${wave.active ? 'active' : 'inactive'}`);
+        }
+      } else {
+        wave.timer--;
         
-        console.log(`Reality wave ${world.realityWave.active ? 'active' : 'inactive'}`);
+        if (wave.timer <= 0) {
+          wave.active = !wave.active;
+          // Active for 100 ticks, inactive for 500 unless the world overrides it
+          wave.timer = wave.active ? (wave.activeDuration ?? 100) : (wave.inactiveDuration ?? 500);
+          
+          logMessage(world, `Reality wave ${wave.active ? 'active' : 'inactive'}`);
+        }
       }
     } else {
       world.realityWave = { active: false, timer: 500 };
@@ -313,12 +700,13 @@ export const createRealityFluxSystem = () => {
         }
         
         // Apply reality flux effects based on type
-        if (Position[entity]) {
+        if (hasComponent(world, Position, entity)) {
           switch (RealityFlux.effectType[entity]) {
             case 1: // Teleport
-              if (Math.random() < 0.1) {
-                Position.x[entity] += (Math.random() * 10 - 5);
-                Position.y[entity] += (Math.random() * 10 - 5);
+              if (rng.random() < 0.1) {
+                Position.x[entity] += (rng.random() * 10 - 5);
+                Position.y[entity] += (rng.random() * 10 - 5);
+                updateEntityPosition(world, entity);
               }
               break;
             case 2: // Phase
@@ -329,11 +717,11 @@ export const createRealityFluxSystem = () => {
               break;
           }
         }
-      } else if (world.realityWave?.active && Math.random() < 0.01) {
+      } else if (world.realityWave?.active && rng.random() < 0.01) {
         // Random reality flux during a reality wave
-        RealityFlux.effectType[entity] = Math.floor(Math.random() * 3) + 1;
-        RealityFlux.intensity[entity] = 0.5 + Math.random() * 0.5;
-        RealityFlux.duration[entity] = 10 + Math.floor(Math.random() * 20);
+        RealityFlux.effectType[entity] = rng.int(3) + 1;
+        RealityFlux.intensity[entity] = 0.5 + rng.random() * 0.5;
+        RealityFlux.duration[entity] = 10 + rng.int(20);
       }
     });
     
@@ -363,19 +751,20 @@ export const createRenderSystem = () => {
     }
     
     // Draw entities
-    for (let i = 0; i < world.entities.length; i++) {
-      if (!Position[i]) continue;
+    for (const i of world.entities) {
+      if (!hasComponent(world, Position, i)) continue;
       
       const x = Position.x[i] * pixelsPerUnit;
       const y = Position.y[i] * pixelsPerUnit;
       
       // Draw entity based on its components
-      if (Environmental[i]) {
+      if (hasComponent(world, Environmental, i)) {
         const type = Environmental.type[i];
         
         switch (type) {
           case 0: // Resource
-            ctx.fillStyle = '#f1c40f'; // Yellow
+            // Yellow, dimmed while depleted
+            ctx.fillStyle = Environmental.capacity[i] > 0 && Environmental.value[i] <= 0 ? '#7d6608' : '#f1c40f';
             ctx.beginPath();
             ctx.arc(x, y, 4, 0, Math.PI * 2);
             ctx.fill();
@@ -400,7 +789,7 @@ export const createRenderSystem = () => {
             ctx.fill();
             break;
         }
-      } else if (SensoryData[i]) {
+      } else if (hasComponent(world, SensoryData, i)) {
         // Agent
         ctx.fillStyle = '#2ecc71'; // Green
         ctx.beginPath();
@@ -408,7 +797,7 @@ export const createRenderSystem = () => {
         ctx.fill();
         
         // Draw goal direction
-        if (Goals[i]) {
+        if (hasComponent(world, Goals, i)) {
           const targetX = Goals.targetX[i] * pixelsPerUnit;
           const targetY = Goals.targetY[i] * pixelsPerUnit;
           
@@ -445,7 +834,7 @@ export const createRenderSystem = () => {
         }
         
         // Draw reality flux effect
-        if (RealityFlux[i] && RealityFlux.effectType[i] > 0) {
+        if (hasComponent(world, RealityFlux, i) && RealityFlux.effectType[i] > 0) {
           const effectType = RealityFlux.effectType[i];
           const intensity = RealityFlux.intensity[i] || 0.5;
           
@@ -495,10 +884,31 @@ export const createRenderSystem = () => {
 };
 
 // World creation and entity management
-export const createWorld = () => {
+// options: seed (reproducible random draws), spatialCellSize, sensoryCapacity (detection slots per agent),
+// width/height (navigation bounds), navigationCellSize, obstacleRadius, timestep (ms per tick for advance()),
+// log (progress messages; console.log by default)
+export const createWorld = (options = {}) => {
   const world = createECSWorld();
+  world.rng = new SeededRandom(options.seed);
+  world.log = options.log || console.log;
+  world.spatialHash = new SpatialHash(options.spatialCellSize);
+  world.bounds = options.width && options.height ? { width: options.width, height: options.height } : null;
+  world.navigation = new NavigationGrid({
+    bounds: world.bounds,
+    cellSize: options.navigationCellSize,
+    obstacleRadius: options.obstacleRadius
+  });
+  world.sensoryCapacity = options.sensoryCapacity ?? DEFAULT_SENSORY_CAPACITY;
+  world.events = new EventBus();
+  world.scheduler = new Scheduler({ timestep: options.timestep });
+  registerSnapshotProvider(world, 'scheduler', world.scheduler);
   world.time = 0;
+  world.counters = {};
   world.entities = [];
+  world.removedEntities = new Set();
+  world.removalHandlers = new Set();
+  // Component fields holding entity ids, renumbered when a snapshot is restored
+  world.entityFields = { Actions: ['targetEntity'], Goals: ['targetEntity'] };
   world.components = {
     Position,
     SensoryData,
@@ -506,39 +916,123 @@ export const createWorld = () => {
     Goals,
     CognitiveState,
     RealityFlux,
-    Environmental
+    Environmental,
+    Energy,
+    Health
   };
   world.systems = [];
   
   return world;
 };
 
+// Ids that must stay unique for the life of a world, unlike entity ids which are
+// recycled; one sequence per name, starting at 1 so 0 can mean "none"
+export const nextId = (world, name) => {
+  if (!world.counters) world.counters = {};
+  world.counters[name] = (world.counters[name] || 0) + 1;
+  return world.counters[name];
+};
+
+// Progress messages go through the world's logger (createWorld({ log })) so batch runs can silence them
+export const logMessage = (world, ...args) => (world.log || console.log)(...args);
+
+// Extensions register their components so snapshots include them;
+// entityFields names the fields that hold entity ids
+export const registerComponent = (world, name, component, entityFields = []) => {
+  world.components = { ...world.components, [name]: component };
+  if (entityFields.length > 0) world.entityFields = { ...world.entityFields, [name]: entityFields };
+};
+
+// Component stores are typed arrays shared by every world and keep whatever a
+// removed entity (or an earlier world) with the same id left behind
+const clearComponentData = (component, entity) => {
+  Object.values(component).forEach(store => {
+    if (ArrayBuffer.isView(store[entity])) store[entity].fill(0);
+    else if (ArrayBuffer.isView(store)) store[entity] = 0;
+  });
+};
+
 export const addEntity = (world) => {
   const entity = addECSEntity(world);
-  world.entities.push(entity);
+  if (isEntityRemoved(world, entity)) {
+    // bitECS recycled the id of one of this world's removed entities
+    world.removedEntities.delete(entity);
+  } else {
+    world.entities.push(entity);
+  }
+  Object.values(world.components || {}).forEach(component => clearComponentData(component, entity));
   return entity;
 };
 
-export const createDefaultSystems = () => [
-  // Update world time
-  (world) => {
-    world.lastTime = world.time;
-    world.time++;
-    return world;
+// Register cleanup for per-entity state kept outside components; returns an unsubscribe function
+export const onEntityRemoved = (world, handler) => {
+  if (!world.removalHandlers) world.removalHandlers = new Set();
+  world.removalHandlers.add(handler);
+  return () => world.removalHandlers.delete(handler);
+};
+
+export const isEntityRemoved = (world, entity) => !!world.removedEntities?.has(entity);
+
+// Removes an entity and everything that refers to it. The id stays listed in
+// world.entities (and in world.removedEntities) until bitECS recycles it.
+export const removeEntity = (world, entity) => {
+  if (!Number.isInteger(entity) || !entityExists(world, entity)) return false;
+  
+  // Handlers run first so they can still read the entity's components
+  world.removalHandlers?.forEach(handler => handler(entity, world));
+  
+  getSpatialHash(world).remove(entity);
+  const grid = getNavigationGrid(world);
+  grid.removeObstacle(entity);
+  grid.forgetRoute(entity);
+  setDetections(world, entity, []);
+  // Only positioned entities can be sensed
+  if (hasComponent(world, Position, entity)) forgetDetectedEntity(world, entity);
+  
+  removeECSEntity(world, entity);
+  if (!world.removedEntities) world.removedEntities = new Set();
+  world.removedEntities.add(entity);
+  emitEvent(world, 'entity:removed', { entity });
+  return true;
+};
+
+// Core systems with the phase each one belongs to
+export const createDefaultSchedule = () => [
+  {
+    name: 'time',
+    phase: 'sense',
+    // Update world time
+    system: (world) => {
+      world.lastTime = world.time;
+      world.time++;
+      return world;
+    }
   },
-  createSensorSystem(),
-  createDecisionSystem(),
-  createActionSystem(),
-  createMovementSystem(),
-  createRealityFluxSystem()
+  { name: 'resources', phase: 'sense', system: createResourceSystem() },
+  { name: 'sensors', phase: 'sense', system: createSensorSystem() },
+  { name: 'decision', phase: 'decide', system: createDecisionSystem() },
+  { name: 'action', phase: 'act', system: createActionSystem() },
+  { name: 'vitality', phase: 'act', system: createVitalitySystem() },
+  { name: 'movement', phase: 'act', system: createMovementSystem() },
+  { name: 'reality-flux', phase: 'act', system: createRealityFluxSystem() }
 ];
 
+export const createDefaultSystems = () => createDefaultSchedule().map(entry => entry.system);
+
+// intervals: system name -> run every N ticks
+export const addDefaultSystems = (world, intervals = {}) => {
+  const scheduler = getScheduler(world);
+  createDefaultSchedule().forEach(({ name, phase, system }) => {
+    scheduler.add(system, { name, phase, interval: intervals[name] });
+  });
+  return world;
+};
+
 // Run world simulation for a number of steps
-export const runSimulation = (world, steps = 1) => {
+export const runSimulation = async (world, steps = 1) => {
+  const scheduler = getScheduler(world);
   for (let i = 0; i < steps; i++) {
-    for (const system of world.systems) {
-      system(world);
-    }
+    await scheduler.tick(world);
   }
   return world;
 };
@@ -547,13 +1041,32 @@ export const runSimulation = (world, steps = 1) => {
 export default {
   createWorld,
   addEntity,
+  removeEntity,
+  onEntityRemoved,
+  isEntityRemoved,
   runSimulation,
   createDefaultSystems,
+  addDefaultSystems,
+  getScheduler,
+  registerComponent,
+  getRandomStream,
+  getSpatialHash,
+  getNavigationGrid,
+  getEventBus,
+  emitEvent,
+  harvestResource,
+  getActionOutcome,
+  updateEntityPosition,
+  getSensoryCapacity,
+  getDetections,
+  getDetectedEntities,
   Position,
   SensoryData,
   Actions,
   Goals,
   CognitiveState,
   RealityFlux,
-  Environmental
+  Environmental,
+  Energy,
+  Health
 };
@@ -0,0 +1,130 @@
+/**
+ * ArgOS Framework - Event Bus
+ *
+ * Typed publish/subscribe for cognitive events. Every event type declares the
+ * payload fields it carries and their types. Schemas and subscriptions are
+ * checked when they are made; an emitted payload that does not match its
+ * schema is reported once and not delivered, so a listener can rely on the
+ * fields it reads. Neither a bad payload nor a listener error interrupts the
+ * simulation tick that emitted the event.
+ */
+
+// Event type -> required payload fields and their types ('array' or a typeof result)
+export const EVENT_TYPES = {
+  'memory:recorded': { agent: 'number', memory: 'object', time: 'number' },
+  'memory:adopted': { agent: 'number', source: 'object', time: 'number' },  // Shared pool memory or pattern taken in
+  'dream:started': { agent: 'number', intensity: 'number', time: 'number' },
+  'dream:ended': { agent: 'number', duration: 'number', fragments: 'array', theme: 'string', time: 'number' },
+  'trust:updated': { agent: 'number', source: 'number', confirmed: 'boolean', trust: 'number', time: 'number' }, // Heard knowledge checked
+  'message:delivered': { sender: 'number', receiver: 'number', message: 'object', memory: 'object', time: 'number' },
+  'insight:applied': { agent: 'number', insight: 'object', time: 'number' },
+  'narrative:generated': { agent: 'number', narrative: 'object', time: 'number' },
+  'consciousness:synced': { agents: 'array', time: 'number' },     // Nearby agents dreaming together
+  'temporal:pattern-detected': { agent: 'number', pattern: 'object', time: 'number' },
+  'environment:transition': { agent: 'number', from: 'number', to: 'number', similarity: 'number', time: 'number' },
+  'knowledge:generalized': { agent: 'number', level: 'string', knowledge: 'object', sources: 'number', time: 'number' },
+  'entity:removed': { entity: 'number', time: 'number' }
+};
+
+// Short names used by the showcase and earlier examples
+export const EVENT_ALIASES = {
+  dream: 'dream:started',
+  insight: 'insight:applied',
+  narrative: 'narrative:generated',
+  'consciousness-sync': 'consciousness:synced'
+};
+
+const FIELD_TYPES = ['array', 'number', 'string', 'boolean', 'object', 'function'];
+
+const matchesType = (value, type) =>
+  type === 'array' ? Array.isArray(value) : typeof value === type && value !== null;
+
+export class EventBus {
+  constructor() {
+    this.types = new Map(Object.entries(EVENT_TYPES));
+    this.listeners = new Map(); // event type -> Set of handlers
+    this.reported = new Set();  // Emit problems already warned about
+  }
+
+  // Extensions declare their own event types before emitting them
+  define(type, schema) {
+    if (this.types.has(type)) throw new Error(`Event type already defined: ${type}`);
+    if (!schema || typeof schema !== 'object') throw new TypeError(`Event ${type}: schema must be an object of field -> type`);
+    Object.entries(schema).forEach(([field, fieldType]) => {
+      if (!FIELD_TYPES.includes(fieldType)) {
+        throw new TypeError(`Event ${type}: ${field} has unknown type ${fieldType} (expected one of ${FIELD_TYPES.join(', ')})`);
+      }
+    });
+    this.types.set(type, schema);
+    return this;
+  }
+
+  resolve(type) {
+    const resolved = EVENT_ALIASES[type] || type;
+    if (!this.types.has(resolved)) throw new Error(`Unknown event type: ${type}`);
+    return resolved;
+  }
+
+  // Returns an unsubscribe function
+  on(type, handler) {
+    if (typeof handler !== 'function') throw new TypeError('Event handler must be a function');
+    const resolved = this.resolve(type);
+    if (!this.listeners.has(resolved)) this.listeners.set(resolved, new Set());
+    this.listeners.get(resolved).add(handler);
+    return () => this.off(resolved, handler);
+  }
+
+  once(type, handler) {
+    const unsubscribe = this.on(type, (payload) => {
+      unsubscribe();
+      handler(payload);
+    });
+    return unsubscribe;
+  }
+
+  off(type, handler) {
+    const listeners = this.listeners.get(this.resolve(type));
+    return listeners ? listeners.delete(handler) : false;
+  }
+
+  listenerCount(type) {
+    return this.listeners.get(this.resolve(type))?.size || 0;
+  }
+
+  // Returns the number of listeners called; an unknown type or a payload that
+  // does not match the schema is warned about (once) and not delivered
+  emit(type, payload) {
+    const schema = this.types.get(type);
+    if (!schema) return this.report(`Unknown event type: ${type}`);
+    for (const [field, fieldType] of Object.entries(schema)) {
+      if (!matchesType(payload?.[field], fieldType)) {
+        return this.report(`Event ${type}: ${field} must be ${fieldType === 'array' ? 'an array' : `a ${fieldType}`}`);
+      }
+    }
+
+    const listeners = this.listeners.get(type);
+    if (!listeners) return 0;
+    // Copy: once-handlers unsubscribe while we iterate
+    const handlers = [...listeners];
+    handlers.forEach(handler => {
+      try {
+        handler(payload);
+      } catch (error) {
+        console.error(`ArgOS: ${type} listener failed:`, error);
+      }
+    });
+    return handlers.length;
+  }
+
+  report(problem) {
+    if (!this.reported.has(problem)) {
+      this.reported.add(problem);
+      console.warn(`ArgOS: ${problem}; event not delivered`);
+    }
+    return 0;
+  }
+
+  clear() {
+    this.listeners.clear();
+  }
+}
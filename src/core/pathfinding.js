@@ -0,0 +1,241 @@
+/**
+ * ArgOS Framework - Pathfinding
+ *
+ * Grid navigation around obstacles (Environmental type 1). Each obstacle marks
+ * the cells it covers as blocked; agents follow A* routes through free cells.
+ * Any obstacle being added, removed or moved bumps the grid version, which
+ * makes every cached route replan on its next step.
+ */
+
+// [dx, dy, cost] for the 8-connected neighbourhood
+const NEIGHBORS = [
+  [1, 0, 1], [-1, 0, 1], [0, 1, 1], [0, -1, 1],
+  [1, 1, Math.SQRT2], [1, -1, Math.SQRT2], [-1, 1, Math.SQRT2], [-1, -1, Math.SQRT2]
+];
+
+// Binary min-heap of [priority, value] pairs for the open set
+class MinHeap {
+  constructor() {
+    this.items = [];
+  }
+
+  get size() {
+    return this.items.length;
+  }
+
+  push(priority, value) {
+    const items = this.items;
+    items.push([priority, value]);
+    let i = items.length - 1;
+    while (i > 0) {
+      const parent = (i - 1) >> 1;
+      if (items[parent][0] <= items[i][0]) break;
+      [items[parent], items[i]] = [items[i], items[parent]];
+      i = parent;
+    }
+  }
+
+  pop() {
+    const items = this.items;
+    const top = items[0];
+    const last = items.pop();
+    if (items.length > 0) {
+      items[0] = last;
+      let i = 0;
+      for (;;) {
+        const left = i * 2 + 1;
+        const right = left + 1;
+        let smallest = i;
+        if (left < items.length && items[left][0] < items[smallest][0]) smallest = left;
+        if (right < items.length && items[right][0] < items[smallest][0]) smallest = right;
+        if (smallest === i) break;
+        [items[smallest], items[i]] = [items[i], items[smallest]];
+        i = smallest;
+      }
+    }
+    return top[1];
+  }
+}
+
+export class NavigationGrid {
+  constructor(options = {}) {
+    this.cellSize = options.cellSize ?? 2;
+    this.obstacleRadius = options.obstacleRadius ?? 1;
+    this.bounds = options.bounds || null;          // { width, height } in world units, null: unbounded
+    this.maxSearchNodes = options.maxSearchNodes ?? 5000;
+    this.blocked = new Map();       // cell key -> number of obstacles covering it
+    this.obstacleCells = new Map(); // obstacle -> cell keys it covers
+    this.routes = new Map();        // agent -> cached route
+    this.version = 0;
+  }
+
+  cellOf(value) {
+    return Math.floor(value / this.cellSize);
+  }
+
+  key(cx, cy) {
+    return `${cx},${cy}`;
+  }
+
+  inBounds(cx, cy) {
+    if (!this.bounds) return true;
+    return cx >= 0 && cy >= 0 &&
+      cx < Math.ceil(this.bounds.width / this.cellSize) &&
+      cy < Math.ceil(this.bounds.height / this.cellSize);
+  }
+
+  isBlockedCell(cx, cy) {
+    return this.blocked.has(this.key(cx, cy));
+  }
+
+  isBlocked(x, y) {
+    return this.isBlockedCell(this.cellOf(x), this.cellOf(y));
+  }
+
+  setObstacle(entity, x, y) {
+    const r = this.obstacleRadius;
+    const keys = [];
+    for (let cx = this.cellOf(x - r); cx <= this.cellOf(x + r); cx++) {
+      for (let cy = this.cellOf(y - r); cy <= this.cellOf(y + r); cy++) {
+        keys.push(this.key(cx, cy));
+      }
+    }
+
+    const previous = this.obstacleCells.get(entity);
+    if (previous && previous.length === keys.length && previous.every((key, i) => key === keys[i])) return;
+
+    this.releaseCells(entity);
+    keys.forEach(key => this.blocked.set(key, (this.blocked.get(key) || 0) + 1));
+    this.obstacleCells.set(entity, keys);
+    this.version++;
+  }
+
+  removeObstacle(entity) {
+    if (this.releaseCells(entity)) this.version++;
+  }
+
+  releaseCells(entity) {
+    const keys = this.obstacleCells.get(entity);
+    if (!keys) return false;
+
+    keys.forEach(key => {
+      const count = this.blocked.get(key) - 1;
+      if (count > 0) this.blocked.set(key, count);
+      else this.blocked.delete(key);
+    });
+    this.obstacleCells.delete(entity);
+    return true;
+  }
+
+  // A* from one point to another. Returns cell-centre waypoints (start and goal
+  // cells excluded) and whether the goal cell was reached; when it cannot be,
+  // the route ends at the closest reachable cell instead.
+  findPath(fromX, fromY, toX, toY) {
+    const start = [this.cellOf(fromX), this.cellOf(fromY)];
+    let goal = [this.cellOf(toX), this.cellOf(toY)];
+
+    if (this.bounds) {
+      const maxX = Math.ceil(this.bounds.width / this.cellSize) - 1;
+      const maxY = Math.ceil(this.bounds.height / this.cellSize) - 1;
+      goal = [Math.min(maxX, Math.max(0, goal[0])), Math.min(maxY, Math.max(0, goal[1]))];
+    }
+
+    const goalKey = this.key(goal[0], goal[1]);
+    const startKey = this.key(start[0], start[1]);
+    if (startKey === goalKey) return { waypoints: [], complete: true };
+
+    const heuristic = (cx, cy) => {
+      const dx = Math.abs(cx - goal[0]);
+      const dy = Math.abs(cy - goal[1]);
+      return (dx + dy) + (Math.SQRT2 - 2) * Math.min(dx, dy);
+    };
+
+    const open = new MinHeap();
+    const cells = new Map([[startKey, start]]);
+    const cost = new Map([[startKey, 0]]);
+    const cameFrom = new Map();
+    const closed = new Set();
+    let closestKey = startKey;
+    let closestDistance = heuristic(start[0], start[1]);
+    let expanded = 0;
+
+    open.push(closestDistance, startKey);
+
+    while (open.size > 0 && expanded < this.maxSearchNodes) {
+      const currentKey = open.pop();
+      if (closed.has(currentKey)) continue;
+      closed.add(currentKey);
+      expanded++;
+
+      const [cx, cy] = cells.get(currentKey);
+      const distance = heuristic(cx, cy);
+      if (distance < closestDistance) {
+        closestDistance = distance;
+        closestKey = currentKey;
+      }
+      if (currentKey === goalKey) break;
+
+      for (const [dx, dy, stepCost] of NEIGHBORS) {
+        const nx = cx + dx;
+        const ny = cy + dy;
+        if (!this.inBounds(nx, ny) || this.isBlockedCell(nx, ny)) continue;
+        // No cutting corners past an obstacle
+        if (dx !== 0 && dy !== 0 && (this.isBlockedCell(cx + dx, cy) || this.isBlockedCell(cx, cy + dy))) continue;
+
+        const neighborKey = this.key(nx, ny);
+        const nextCost = cost.get(currentKey) + stepCost;
+        if (closed.has(neighborKey) || nextCost >= (cost.get(neighborKey) ?? Infinity)) continue;
+
+        cells.set(neighborKey, [nx, ny]);
+        cost.set(neighborKey, nextCost);
+        cameFrom.set(neighborKey, currentKey);
+        open.push(nextCost + heuristic(nx, ny), neighborKey);
+      }
+    }
+
+    const complete = closestKey === goalKey;
+    const path = [];
+    for (let key = closestKey; key !== startKey; key = cameFrom.get(key)) {
+      path.unshift(cells.get(key));
+    }
+    if (complete) path.pop();
+
+    // Keep only the cells where the direction changes
+    const waypoints = [];
+    path.forEach(([cx, cy], i) => {
+      const next = path[i + 1];
+      const previous = i > 0 ? path[i - 1] : start;
+      if (next && next[0] - cx === cx - previous[0] && next[1] - cy === cy - previous[1]) return;
+      waypoints.push({ x: (cx + 0.5) * this.cellSize, y: (cy + 0.5) * this.cellSize });
+    });
+
+    return { waypoints, complete };
+  }
+
+  // Cached route for an agent, replanned when its target or the grid changes
+  route(entity, fromX, fromY, toX, toY) {
+    let route = this.routes.get(entity);
+    if (!route || route.version !== this.version || route.targetX !== toX || route.targetY !== toY) {
+      route = {
+        ...this.findPath(fromX, fromY, toX, toY),
+        targetX: toX,
+        targetY: toY,
+        version: this.version,
+        index: 0
+      };
+      this.routes.set(entity, route);
+    }
+    return route;
+  }
+
+  forgetRoute(entity) {
+    this.routes.delete(entity);
+  }
+
+  clear() {
+    this.blocked.clear();
+    this.obstacleCells.clear();
+    this.routes.clear();
+    this.version++;
+  }
+}
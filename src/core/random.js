@@ -0,0 +1,88 @@
+/**
+ * ArgOS Framework - Seeded Random Source
+ *
+ * Deterministic random numbers for reproducible simulations. Each world owns
+ * a single SeededRandom; subsystems draw from named substreams so adding or
+ * removing a system never shifts the sequence seen by any other system.
+ */
+
+// Hash a string into a 32-bit seed (FNV-1a)
+const hashString = (str) => {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    hash ^= str.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+};
+
+// A single deterministic stream (mulberry32)
+export class RandomStream {
+  constructor(seed) {
+    this.state = seed >>> 0;
+  }
+
+  // Drop-in replacement for Math.random()
+  random() {
+    this.state = (this.state + 0x6D2B79F5) >>> 0;
+    let t = this.state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  }
+
+  range(min, max) {
+    return min + this.random() * (max - min);
+  }
+
+  int(max) {
+    return Math.floor(this.random() * max);
+  }
+
+  pick(items) {
+    return items[this.int(items.length)];
+  }
+}
+
+// World-level random source with named substreams
+export class SeededRandom {
+  constructor(seed) {
+    this.seed = (seed ?? Date.now()) >>> 0;
+    this.streams = new Map();
+  }
+
+  stream(name) {
+    if (!this.streams.has(name)) {
+      this.streams.set(name, new RandomStream(hashString(`${this.seed}:${name}`)));
+    }
+    return this.streams.get(name);
+  }
+
+  getState() {
+    const streams = {};
+    this.streams.forEach((stream, name) => {
+      streams[name] = stream.state;
+    });
+    return { seed: this.seed, streams };
+  }
+
+  // Streams are updated in place so systems holding a stream keep drawing from it
+  setState(state) {
+    const saved = state.streams || {};
+    this.seed = state.seed >>> 0;
+    this.streams.forEach((stream, name) => {
+      stream.state = name in saved ? saved[name] >>> 0 : hashString(`${this.seed}:${name}`);
+    });
+    Object.entries(saved).forEach(([name, value]) => {
+      this.stream(name).state = value >>> 0;
+    });
+    return this;
+  }
+}
+
+// Substream accessor used by every system; worlds created outside createWorld
+// get a time-seeded source attached on first use
+export const getRandomStream = (world, name) => {
+  if (!world.rng) world.rng = new SeededRandom();
+  return world.rng.stream(name);
+};
@@ -0,0 +1,120 @@
+/**
+ * ArgOS Framework - System Scheduler
+ *
+ * Runs systems in named phases so ordering no longer depends on the order
+ * they were pushed: agents sense the world, remember what they sensed, think
+ * about it, decide, act, and finally the world is drawn. Systems may run every
+ * tick or every N ticks, and async systems are awaited before the next system
+ * starts. advance() turns wall-clock time into a whole number of fixed ticks.
+ */
+
+export const PHASES = ['sense', 'remember', 'think', 'decide', 'act', 'render'];
+
+export class Scheduler {
+  constructor(options = {}) {
+    this.timestep = options.timestep ?? 1000 / 60;    // Milliseconds of simulated time per tick
+    this.maxTicksPerAdvance = options.maxTicksPerAdvance ?? 5;
+    this.phases = new Map(PHASES.map(phase => [phase, []]));
+    this.accumulator = 0;
+    this.tickCount = 0;
+  }
+
+  // options: phase (default 'act'), interval (run every N ticks), offset (tick
+  // within the interval), name. Returns a function that removes the system.
+  add(system, options = {}) {
+    if (typeof system !== 'function') throw new TypeError('System must be a function');
+    const phase = options.phase || 'act';
+    if (!this.phases.has(phase)) throw new Error(`Unknown phase: ${phase} (expected one of ${PHASES.join(', ')})`);
+    const interval = options.interval ?? 1;
+    if (!Number.isInteger(interval) || interval < 1) throw new Error(`Interval must be a positive integer: ${interval}`);
+
+    this.phases.get(phase).push({
+      system,
+      phase,
+      interval,
+      offset: (options.offset ?? 0) % interval,
+      name: options.name || system.name || 'anonymous'
+    });
+    return () => this.remove(system);
+  }
+
+  remove(system) {
+    let removed = false;
+    this.phases.forEach((entries, phase) => {
+      const remaining = entries.filter(entry => entry.system !== system);
+      removed = removed || remaining.length !== entries.length;
+      this.phases.set(phase, remaining);
+    });
+    return removed;
+  }
+
+  has(system) {
+    return this.systems().some(entry => entry.system === system);
+  }
+
+  // Scheduled systems in execution order
+  systems() {
+    return PHASES.flatMap(phase => this.phases.get(phase));
+  }
+
+  async runPhase(world, phase) {
+    // Copy: systems may add or remove systems while the phase runs
+    for (const entry of [...this.phases.get(phase)]) {
+      if ((this.tickCount - entry.offset) % entry.interval !== 0) continue;
+      const result = entry.system(world);
+      if (result && typeof result.then === 'function') await result;
+    }
+
+    // Systems pushed straight onto world.systems run at the end of the act phase
+    if (phase === 'act' && world.systems) {
+      for (const system of [...world.systems]) {
+        const result = system(world);
+        if (result && typeof result.then === 'function') await result;
+      }
+    }
+  }
+
+  // One simulation tick through every phase (render included unless options.render is false)
+  async tick(world, options = {}) {
+    for (const phase of PHASES) {
+      if (phase === 'render' && options.render === false) continue;
+      await this.runPhase(world, phase);
+    }
+    this.tickCount++;
+    return world;
+  }
+
+  // Accumulates elapsed milliseconds and runs as many fixed ticks as they
+  // cover, then renders once. Time beyond maxTicksPerAdvance is dropped so a
+  // slow frame cannot snowball into ever longer catch-up bursts.
+  async advance(world, elapsed) {
+    this.accumulator += Math.max(0, elapsed);
+    let ticks = 0;
+    while (this.accumulator >= this.timestep && ticks < this.maxTicksPerAdvance) {
+      await this.tick(world, { render: false });
+      this.accumulator -= this.timestep;
+      ticks++;
+    }
+    if (ticks === this.maxTicksPerAdvance) this.accumulator = Math.min(this.accumulator, this.timestep);
+
+    await this.runPhase(world, 'render');
+    return ticks;
+  }
+
+  reset() {
+    this.accumulator = 0;
+    this.tickCount = 0;
+  }
+
+  // Systems are code and are scheduled again by their owners; the tick count
+  // decides which interval systems run next, so it travels with snapshots
+  serialize() {
+    return { tickCount: this.tickCount, accumulator: this.accumulator };
+  }
+
+  restore(data) {
+    this.tickCount = data.tickCount;
+    this.accumulator = data.accumulator;
+    return this;
+  }
+}
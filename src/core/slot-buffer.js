@@ -0,0 +1,68 @@
+/**
+ * ArgOS Framework - Slot Buffer
+ *
+ * Fixed number of typed slots per entity, stored flat as entity * slots + i.
+ * Unlike bitECS array fields the slot count is chosen at runtime, so it can
+ * be set per world; storage grows as higher entity ids appear.
+ */
+
+export class SlotBuffer {
+  constructor(ArrayType, slots, fillValue = 0, initialEntities = 256) {
+    this.ArrayType = ArrayType;
+    this.slots = slots;
+    this.fillValue = fillValue;
+    this.data = new ArrayType(slots * initialEntities).fill(fillValue);
+  }
+
+  ensureEntity(entity) {
+    const required = (entity + 1) * this.slots;
+    if (required <= this.data.length) return;
+
+    let length = this.data.length || this.slots;
+    while (length < required) length *= 2;
+    const grown = new this.ArrayType(length).fill(this.fillValue);
+    grown.set(this.data);
+    this.data = grown;
+  }
+
+  get(entity, slot) {
+    const index = entity * this.slots + slot;
+    return index < this.data.length ? this.data[index] : this.fillValue;
+  }
+
+  set(entity, slot, value) {
+    this.ensureEntity(entity);
+    this.data[entity * this.slots + slot] = value;
+  }
+
+  reset(entity, value = this.fillValue) {
+    this.ensureEntity(entity);
+    this.data.fill(value, entity * this.slots, (entity + 1) * this.slots);
+  }
+
+  entitySlots(entity) {
+    return Array.from({ length: this.slots }, (_, i) => this.get(entity, i));
+  }
+
+  serialize() {
+    return { slots: this.slots, data: Array.from(this.data) };
+  }
+
+  // entityMap (saved id -> new id, from a snapshot restore) moves each saved
+  // entity's slots to its new id
+  restore(saved, entityMap) {
+    this.slots = saved.slots;
+    if (!entityMap) {
+      this.data = this.ArrayType.from(saved.data);
+      return this;
+    }
+    this.data = new this.ArrayType(saved.data.length).fill(this.fillValue);
+    entityMap.forEach((entity, savedEntity) => {
+      const start = savedEntity * this.slots;
+      if (start >= saved.data.length) return;
+      this.ensureEntity(entity);
+      this.data.set(saved.data.slice(start, start + this.slots), entity * this.slots);
+    });
+    return this;
+  }
+}
@@ -0,0 +1,189 @@
+/**
+ * ArgOS Framework - World Snapshots
+ *
+ * snapshot(world) captures a versioned, JSON-safe document containing the
+ * entity list, every component registered in world.components, world time,
+ * the reality wave, the random source, the id counters and the state of each
+ * registered snapshot provider (memory, consciousness and extension managers).
+ * restore(document, world) rebuilds that state so long simulations can be
+ * checkpointed and resumed after a crash.
+ *
+ * bitECS numbers entities process-wide, so restored entities get whatever ids
+ * addEntity hands out. restore maps each saved id to its new one and passes that
+ * map to providers as provider.restore(data, entityMap) so they can renumber the
+ * entity ids they hold; world.entityFields lists the component fields to renumber.
+ */
+
+import { hasComponent, addComponent } from 'bitecs';
+import { createWorld, addEntity, removeEntity, isEntityRemoved } from './ArgOS-Framework.js';
+
+export const SNAPSHOT_VERSION = 1;
+
+// Managers register here so their state travels with the world
+export const registerSnapshotProvider = (world, name, provider) => {
+  if (!world.snapshotProviders) world.snapshotProviders = new Map();
+  world.snapshotProviders.set(name, provider);
+};
+
+// Saved entity id -> id in the restored world; ids the map does not know pass through
+export const remapEntity = (entityMap, entity) => entityMap?.get(entity) ?? entity;
+
+// Copy of a Map keyed by entity id, rekeyed through entityMap
+export const remapEntityKeys = (map, entityMap) =>
+  new Map(Array.from(map, ([entity, value]) => [remapEntity(entityMap, entity), value]));
+
+// Value codec: Maps, Sets, typed arrays and class instances survive a JSON round trip.
+// Keys listed in options.exclude (back-references such as memoryManager) are dropped.
+export const encodeValue = (value, options = {}) => {
+  const exclude = options.exclude || [];
+
+  if (value instanceof Map) {
+    return { $map: Array.from(value, ([key, entry]) => [encodeValue(key, options), encodeValue(entry, options)]) };
+  }
+  if (value instanceof Set) {
+    return { $set: Array.from(value, entry => encodeValue(entry, options)) };
+  }
+  if (ArrayBuffer.isView(value)) return Array.from(value);
+  if (Array.isArray(value)) return value.map(entry => encodeValue(entry, options));
+  if (value === null || typeof value !== 'object') {
+    return typeof value === 'function' ? undefined : value;
+  }
+
+  const fields = {};
+  Object.entries(value).forEach(([key, entry]) => {
+    if (!exclude.includes(key)) fields[key] = encodeValue(entry, options);
+  });
+
+  const prototype = Object.getPrototypeOf(value);
+  return prototype && prototype !== Object.prototype
+    ? { $class: value.constructor.name, fields }
+    : fields;
+};
+
+// Inverse of encodeValue; classes maps $class names to constructors to revive
+export const decodeValue = (value, classes = {}) => {
+  if (Array.isArray(value)) return value.map(entry => decodeValue(entry, classes));
+  if (value === null || typeof value !== 'object') return value;
+
+  if (value.$map) {
+    return new Map(value.$map.map(([key, entry]) => [decodeValue(key, classes), decodeValue(entry, classes)]));
+  }
+  if (value.$set) return new Set(value.$set.map(entry => decodeValue(entry, classes)));
+
+  const source = value.$class ? value.fields : value;
+  const target = value.$class && classes[value.$class]
+    ? Object.create(classes[value.$class].prototype)
+    : {};
+  Object.entries(source).forEach(([key, entry]) => {
+    target[key] = decodeValue(entry, classes);
+  });
+  return target;
+};
+
+const serializeComponents = (world) => {
+  const components = {};
+  Object.entries(world.components || {}).forEach(([name, component]) => {
+    const entities = world.entities.filter(entity =>
+      !isEntityRemoved(world, entity) && hasComponent(world, component, entity)
+    );
+    const fields = {};
+    Object.keys(component).forEach(field => {
+      const store = component[field];
+      fields[field] = entities.map(entity =>
+        ArrayBuffer.isView(store[entity]) ? Array.from(store[entity]) : store[entity]
+      );
+    });
+    components[name] = { entities, fields };
+  });
+  return components;
+};
+
+const restoreComponents = (world, components, entityMap) => {
+  Object.entries(components).forEach(([name, { entities, fields }]) => {
+    const component = world.components?.[name];
+    if (!component) {
+      console.warn(`Snapshot: component ${name} is not registered in this world, skipping`);
+      return;
+    }
+    const entityFields = world.entityFields?.[name] || [];
+    entities.forEach((saved, i) => {
+      const entity = remapEntity(entityMap, saved);
+      if (!hasComponent(world, component, entity)) addComponent(world, component, entity);
+      Object.entries(fields).forEach(([field, values]) => {
+        const store = component[field];
+        if (!store) return;
+        const remapped = entityFields.includes(field);
+        if (ArrayBuffer.isView(store[entity])) {
+          store[entity].set(remapped ? values[i].map(value => remapEntity(entityMap, value)) : values[i]);
+        } else {
+          store[entity] = remapped ? remapEntity(entityMap, values[i]) : values[i];
+        }
+      });
+    });
+  });
+};
+
+export const snapshot = (world) => {
+  const providers = {};
+  world.snapshotProviders?.forEach((provider, name) => {
+    providers[name] = provider.serialize();
+  });
+
+  return {
+    version: SNAPSHOT_VERSION,
+    createdAt: new Date().toISOString(),
+    world: {
+      time: world.time,
+      lastTime: world.lastTime,
+      realityWave: world.realityWave ? { ...world.realityWave } : null,
+      sensoryCapacity: world.sensoryCapacity,
+      rng: world.rng?.getState() || null,
+      counters: { ...world.counters },
+      entities: [...world.entities],
+      removedEntities: [...(world.removedEntities || [])]
+    },
+    components: serializeComponents(world),
+    providers
+  };
+};
+
+// Restores into a world with no entities yet; register providers before calling
+export const restore = (document, world) => {
+  if (document?.version !== SNAPSHOT_VERSION) {
+    throw new Error(`Unsupported snapshot version: ${document?.version}`);
+  }
+
+  const state = document.world;
+  if (!world) {
+    world = createWorld({ seed: state.rng?.seed, sensoryCapacity: state.sensoryCapacity });
+  }
+  if (world.entities.length > 0) {
+    throw new Error('Snapshot can only be restored into a world without entities');
+  }
+
+  const entityMap = new Map();
+  state.entities.forEach(saved => entityMap.set(saved, addEntity(world)));
+  // Dead entities come back removed, so references to them stay distinct
+  (state.removedEntities || []).forEach(saved => removeEntity(world, entityMap.get(saved)));
+  // Kept for callers that still hold saved ids
+  world.restoredEntities = entityMap;
+
+  restoreComponents(world, document.components, entityMap);
+
+  world.time = state.time;
+  world.lastTime = state.lastTime;
+  world.realityWave = state.realityWave ? { ...state.realityWave } : undefined;
+  if (state.rng && world.rng) world.rng.setState(state.rng);
+  world.counters = { ...state.counters };
+
+  Object.entries(document.providers || {}).forEach(([name, data]) => {
+    const provider = world.snapshotProviders?.get(name);
+    if (provider) {
+      provider.restore(data, entityMap);
+    } else {
+      console.warn(`Snapshot: no provider registered for ${name}, skipping`);
+    }
+  });
+
+  return world;
+};
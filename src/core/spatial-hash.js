@@ -0,0 +1,69 @@
+/**
+ * ArgOS Framework - Spatial Hash
+ *
+ * Uniform-grid broadphase over entity positions. The movement and
+ * reality-flux teleport paths keep it current, so range queries only visit
+ * the cells overlapping the query circle instead of every entity.
+ */
+
+export class SpatialHash {
+  constructor(cellSize = 10) {
+    this.cellSize = cellSize;
+    this.cells = new Map();       // cell key -> Set of entities
+    this.entityCells = new Map(); // entity -> cell key
+  }
+
+  cellKey(x, y) {
+    return `${Math.floor(x / this.cellSize)},${Math.floor(y / this.cellSize)}`;
+  }
+
+  update(entity, x, y) {
+    const key = this.cellKey(x, y);
+    const previousKey = this.entityCells.get(entity);
+    if (previousKey === key) return;
+
+    if (previousKey !== undefined) this.removeFromCell(previousKey, entity);
+    if (!this.cells.has(key)) this.cells.set(key, new Set());
+    this.cells.get(key).add(entity);
+    this.entityCells.set(entity, key);
+  }
+
+  remove(entity) {
+    const key = this.entityCells.get(entity);
+    if (key === undefined) return;
+    this.removeFromCell(key, entity);
+    this.entityCells.delete(entity);
+  }
+
+  removeFromCell(key, entity) {
+    const cell = this.cells.get(key);
+    if (!cell) return;
+    cell.delete(entity);
+    if (cell.size === 0) this.cells.delete(key);
+  }
+
+  has(entity) {
+    return this.entityCells.has(entity);
+  }
+
+  // Candidate entities in every cell overlapping the circle; callers apply the exact distance test
+  queryRadius(x, y, radius) {
+    const candidates = [];
+    const minX = Math.floor((x - radius) / this.cellSize);
+    const maxX = Math.floor((x + radius) / this.cellSize);
+    const minY = Math.floor((y - radius) / this.cellSize);
+    const maxY = Math.floor((y + radius) / this.cellSize);
+    for (let i = minX; i <= maxX; i++) {
+      for (let j = minY; j <= maxY; j++) {
+        const cell = this.cells.get(`${i},${j}`);
+        if (cell) candidates.push(...cell);
+      }
+    }
+    return candidates;
+  }
+
+  clear() {
+    this.cells.clear();
+    this.entityCells.clear();
+  }
+}
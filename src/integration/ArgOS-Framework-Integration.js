@@ -43,408 +43,29 @@ and knowledge systems into logical components.
 // STEP 2: Update Framework Integration File
 // =====================================================================
 
-// Import the new systems
-import { 
-  TemporalConsciousness,
-  createTemporalConsciousnessSystem,
-  integrateTemporalConsciousnessWithArgOS
-} from '../consciousness/temporal-consciousness-system.js';
-
-import { 
-  CrossRealityKnowledge,
-  createCrossRealitySystem,
-  integrateCrossRealityWithArgOS
-} from '../knowledge/cross-reality-knowledge.js';
-
-// Extend the ArgOSCognitiveArchitecture class to include the new components
-export class ArgOSCognitiveArchitecture {
-  constructor(simulationWorld, options = {}) {
-    this.world = simulationWorld || createWorld();
-    this.options = { ...INTEGRATION_CONFIG, ...options };
-    
-    // Existing managers and systems
-    this.memoryManager = null;
-    this.memorySystem = null;
-    this.decisionSystem = null;
-    this.consciousnessManager = null;
-    this.consciousnessSystem = null;
-    
-    // New extension managers and systems
-    this.temporalConsciousnessManager = null;
-    this.temporalConsciousnessSystem = null;
-    this.crossRealityManager = null;
-    this.crossRealitySystem = null;
-    
-    this.initialized = false;
-    this.enhancedRenderSystem = null;
-  }
-
-  // Update the configuration with new extension options
-  static get DEFAULT_CONFIG() {
-    return {
-      ENABLE_ENHANCED_MEMORY: true,
-      ENABLE_CONSCIOUSNESS: true,
-      ENABLE_VISUALIZATION: true,
-      
-      // New extension toggles
-      ENABLE_TEMPORAL_CONSCIOUSNESS: true,
-      ENABLE_CROSS_REALITY_KNOWLEDGE: true,
-      
-      MEMORY_OPTIONS: {
-        ENABLE_CLOUD_SYNC: false,
-        MEMORY_SYNC_INTERVAL: 20,
-        SEMANTIC_UPDATE_INTERVAL: 60
-      },
-      CONSCIOUSNESS_OPTIONS: {
-        DREAM_ENABLED: true,
-        REFLECTION_ENABLED: true,
-        IMAGINATION_ENABLED: true,
-        NARRATIVE_ENABLED: true
-      },
-      
-      // Configuration for new extensions
-      TEMPORAL_CONSCIOUSNESS_OPTIONS: {
-        FUTURE_SIMULATION_STEPS: 5,
-        PATTERN_DETECTION_THRESHOLD: 0.65,
-        MEMORY_RECONSTRUCTION_INTERVAL: 50,
-        NARRATIVE_UPDATE_INTERVAL: 25
-      },
-      CROSS_REALITY_OPTIONS: {
-        ABSTRACTION_CONFIDENCE_THRESHOLD: 0.6,
-        GENERALIZATION_INTERVAL: 50,
-        ENVIRONMENT_TRANSITION_THRESHOLD: 0.6
-      }
-    };
-  }
-
-  // Update initialize method to include the new extensions
-  async initialize() {
-    if (this.initialized) return this;
-    console.log("Initializing ArgOS Cognitive Architecture...");
-    
-    // Initialize HESMS (original)
-    if (this.options.ENABLE_ENHANCED_MEMORY) {
-      const hesms = integrateHESMSWithArgOS(this.world, this.options.MEMORY_OPTIONS);
-      this.memoryManager = hesms.memoryManager;
-      this.memorySystem = hesms.memorySystem;
-      this.decisionSystem = hesms.decisionSystem;
-      await this.memoryManager.initialize();
-    }
-    
-    // Initialize Consciousness Extension (original)
-    if (this.options.ENABLE_CONSCIOUSNESS && this.memoryManager) {
-      const consciousness = integrateConsciousnessWithArgOS(
-        this.world, 
-        this.memoryManager, 
-        this.options.CONSCIOUSNESS_OPTIONS
-      );
-      this.consciousnessManager = consciousness.consciousnessManager;
-      this.consciousnessSystem = consciousness.consciousnessSystem;
-      await this.consciousnessManager.initialize();
-    }
-    
-    // Initialize Temporal Consciousness Extension (new)
-    if (this.options.ENABLE_TEMPORAL_CONSCIOUSNESS && this.memoryManager) {
-      const temporalConsciousness = integrateTemporalConsciousnessWithArgOS(
-        this.world,
-        this.memoryManager,
-        this.options.TEMPORAL_CONSCIOUSNESS_OPTIONS
-      );
-      this.temporalConsciousnessManager = temporalConsciousness.temporalConsciousnessManager;
-      this.temporalConsciousnessSystem = temporalConsciousness.temporalConsciousnessSystem;
-      await this.temporalConsciousnessManager.initialize();
-    }
-    
-    // Initialize Cross-Reality Knowledge Extension (new)
-    if (this.options.ENABLE_CROSS_REALITY_KNOWLEDGE && this.memoryManager) {
-      const crossReality = integrateCrossRealityWithArgOS(
-        this.world,
-        this.memoryManager,
-        this.options.CROSS_REALITY_OPTIONS
-      );
-      this.crossRealityManager = crossReality.crossRealityManager;
-      this.crossRealitySystem = crossReality.crossRealitySystem;
-      await this.crossRealityManager.initialize();
-    }
-    
-    // Create enhanced render system
-    if (this.options.ENABLE_VISUALIZATION) {
-      this.enhancedRenderSystem = this.createEnhancedRenderSystem();
-    }
-    
-    this.initialized = true;
-    return this;
-  }
-
-  // Update systems collection to include new extensions
-  getSystems() {
-    const systems = [];
-    
-    // Add original systems
-    if (this.memorySystem) systems.push(this.memorySystem);
-    if (this.consciousnessSystem) systems.push(this.consciousnessSystem);
-    if (this.decisionSystem) systems.push(this.decisionSystem);
-    
-    // Add new extension systems
-    if (this.temporalConsciousnessSystem) systems.push(this.temporalConsciousnessSystem);
-    if (this.crossRealitySystem) systems.push(this.crossRealitySystem);
-    
-    return systems;
-  }
-
-  // Update createEnhancedRenderSystem to visualize new extensions
-  createEnhancedRenderSystem() {
-    const baseRenderSystem = createRenderSystem();
-    const memoryManager = this.memoryManager;
-    const consciousnessManager = this.consciousnessManager;
-    const temporalConsciousnessManager = this.temporalConsciousnessManager;
-    const crossRealityManager = this.crossRealityManager;
-    
-    // Extend the base render system to include memory and consciousness visualization
-    return (world, canvas) => {
-      baseRenderSystem(world, canvas);
-      
-      if (!canvas) return world;
-      
-      const ctx = canvas.getContext('2d');
-      const agents = Array.from({ length: world.entities.length }, (_, i) => i)
-        .filter(i => Position[i] && SensoryData[i]);
-      
-      const pixelsPerUnit = 5; // Scale factor for visualization
-      
-      // Draw memory visualizations
-      if (memoryManager && this.options.ENABLE_ENHANCED_MEMORY) {
-        agents.forEach(agent => {
-          visualizeAgentMemory(ctx, agent, memoryManager, pixelsPerUnit);
-        });
-      }
-      
-      // Draw consciousness visualizations
-      if (consciousnessManager && this.options.ENABLE_CONSCIOUSNESS) {
-        agents.forEach(agent => {
-          visualizeAgentConsciousness(ctx, agent, consciousnessManager, pixelsPerUnit);
-        });
-      }
-      
-      // Draw temporal consciousness visualizations (new)
-      if (temporalConsciousnessManager && this.options.ENABLE_TEMPORAL_CONSCIOUSNESS) {
-        agents.forEach(agent => {
-          this.visualizeTemporalConsciousness(ctx, agent, temporalConsciousnessManager, pixelsPerUnit);
-        });
-      }
-      
-      // Draw cross-reality knowledge visualizations (new)
-      if (crossRealityManager && this.options.ENABLE_CROSS_REALITY_KNOWLEDGE) {
-        agents.forEach(agent => {
-          this.visualizeCrossRealityKnowledge(ctx, agent, crossRealityManager, pixelsPerUnit);
-        });
-      }
-      
-      return world;
-    };
-  }
-
-  // Add visualization for temporal consciousness
-  visualizeTemporalConsciousness(ctx, agent, temporalConsciousnessManager, pixelsPerUnit) {
-    if (!TemporalConsciousness[agent]) return;
-    
-    const x = Position.x[agent] * pixelsPerUnit;
-    const y = Position.y[agent] * pixelsPerUnit;
-    
-    // Get agent's temporal consciousness data
-    const report = temporalConsciousnessManager.getTemporalConsciousnessReport(agent);
-    if (!report) return;
-    
-    // Draw future projections as faint trajectory lines
-    const futureScenarios = report.futureScenarios || [];
-    if (futureScenarios.length > 0) {
-      ctx.save();
-      ctx.globalAlpha = 0.3;
-      
-      futureScenarios.forEach((scenario, index) => {
-        const probability = scenario.probability || 0.5;
-        
-        // Draw trajectory line with opacity based on probability
-        ctx.strokeStyle = `rgba(65, 105, 225, ${probability * 0.7})`;
-        ctx.lineWidth = 1;
-        ctx.setLineDash([2, 2]);
-        
-        // Draw a future path line
-        ctx.beginPath();
-        ctx.moveTo(x, y);
-        
-        // Calculate a future point based on current direction and scenario
-        const angle = index * (Math.PI / futureScenarios.length);
-        const distance = 15 * probability;
-        ctx.lineTo(
-          x + Math.cos(angle) * distance,
-          y + Math.sin(angle) * distance
-        );
-        ctx.stroke();
-      });
-      
-      ctx.restore();
-    }
-    
-    // Draw narrative coherence as a subtle glow
-    const coherence = report.narrative?.coherence || 0.5;
-    if (coherence > 0.4) {
-      const glowSize = 8 * coherence;
-      const gradient = ctx.createRadialGradient(x, y, 0, x, y, glowSize);
-      gradient.addColorStop(0, `rgba(147, 112, 219, ${coherence * 0.4})`);
-      gradient.addColorStop(1, 'rgba(147, 112, 219, 0)');
-      
-      ctx.fillStyle = gradient;
-      ctx.beginPath();
-      ctx.arc(x, y, glowSize, 0, Math.PI * 2);
-      ctx.fill();
-    }
-  }
-
-  // Add visualization for cross-reality knowledge
-  visualizeCrossRealityKnowledge(ctx, agent, crossRealityManager, pixelsPerUnit) {
-    if (!CrossRealityKnowledge[agent]) return;
-    
-    const x = Position.x[agent] * pixelsPerUnit;
-    const y = Position.y[agent] * pixelsPerUnit;
-    
-    // Get agent's cross-reality knowledge data
-    const report = crossRealityManager.getCrossRealityReport(agent);
-    if (!report) return;
-    
-    // Draw abstraction level as a colored aura
-    const abstractionLevel = report.abstractionLevel || 0.3;
-    const auraSize = 7 + (abstractionLevel * 5);
-    
-    // Color based on which level of knowledge is dominant
-    const counts = report.knowledgeCounts || { low: 0, mid: 0, high: 0 };
-    let auraColor;
-    
-    if (counts.high > counts.mid && counts.high > counts.low) {
-      // High-level knowledge dominant - blue
-      auraColor = `rgba(30, 144, 255, ${0.2 + abstractionLevel * 0.3})`;
-    } else if (counts.mid > counts.low) {
-      // Mid-level knowledge dominant - purple
-      auraColor = `rgba(138, 43, 226, ${0.2 + abstractionLevel * 0.3})`;
-    } else {
-      // Low-level knowledge dominant - green
-      auraColor = `rgba(46, 139, 87, ${0.2 + abstractionLevel * 0.3})`;
-    }
-    
-    ctx.fillStyle = auraColor;
-    ctx.beginPath();
-    ctx.arc(x, y, auraSize, 0, Math.PI * 2);
-    ctx.fill();
-    
-    // Draw environment transition indicator if agent recently changed environments
-    const environmentSimilarity = report.environmentSimilarity || 1.0;
-    if (environmentSimilarity < 0.8) {
-      // Lower similarity = stronger transition effect
-      const transitionStrength = (1 - environmentSimilarity) * 0.7;
-      const pulseSize = 10 + Math.sin(Date.now() / 300) * 3;
-      
-      ctx.strokeStyle = `rgba(255, 165, 0, ${transitionStrength})`;
-      ctx.lineWidth = 1.5;
-      ctx.setLineDash([3, 3]);
-      ctx.beginPath();
-      ctx.arc(x, y, pulseSize, 0, Math.PI * 2);
-      ctx.stroke();
-      ctx.setLineDash([]);
-    }
-  }
-
-  // Update createAgent to include new components
-  createAgent(config = {}) {
-    const agent = addEntity(this.world);
-    
-    // Add required components to agent (original)
-    if (!Position[agent]) {
-      Position.addTo(this.world)(agent);
-      Position.x[agent] = config.x || Math.random() * 100;
-      Position.y[agent] = config.y || Math.random() * 100;
-    }
-    
-    if (!SensoryData[agent]) {
-      SensoryData.addTo(this.world)(agent);
-    }
-    
-    if (!Actions[agent]) {
-      Actions.addTo(this.world)(agent);
-    }
-    
-    if (!Goals[agent]) {
-      Goals.addTo(this.world)(agent);
-      Goals.primaryType[agent] = config.goalType || 0;
-    }
-    
-    if (!CognitiveState[agent]) {
-      CognitiveState.addTo(this.world)(agent);
-      CognitiveState.emotionalState[agent] = config.emotional || 50;
-      CognitiveState.adaptability[agent] = config.adaptability || 50;
-    }
-    
-    if (!RealityFlux[agent]) {
-      RealityFlux.addTo(this.world)(agent);
-    }
-    
-    // Initialize memory and consciousness for this agent
-    if (this.initialized) {
-      if (this.memoryManager) {
-        this.memoryManager.initializeAgentMemory(agent);
-      }
-      
-      if (this.consciousnessManager) {
-        this.consciousnessManager.initializeAgentConsciousness(agent);
-      }
-      
-      // Initialize new extensions for this agent
-      if (this.temporalConsciousnessManager) {
-        this.temporalConsciousnessManager.initializeAgentTemporalConsciousness(agent);
-      }
-      
-      if (this.crossRealityManager) {
-        this.crossRealityManager.initializeAgentCrossRealityKnowledge(agent);
-      }
-    }
-    
-    return agent;
-  }
-
-  // Add a method to get extended agent stats
-  getExtendedAgentStats(agent) {
-    if (!this.initialized) return null;
-    
-    // Get basic stats
-    const basicStats = this.getAgentStats(agent);
-    if (!basicStats) return null;
-    
-    // Add temporal consciousness stats
-    let temporalStats = null;
-    if (this.temporalConsciousnessManager && TemporalConsciousness[agent]) {
-      temporalStats = this.temporalConsciousnessManager.getTemporalConsciousnessReport(agent);
-    }
-    
-    // Add cross-reality knowledge stats
-    let crossRealityStats = null;
-    if (this.crossRealityManager && CrossRealityKnowledge[agent]) {
-      crossRealityStats = this.crossRealityManager.getCrossRealityReport(agent);
-    }
-    
-    // Combine all stats
-    return {
-      ...basicStats,
-      temporalConsciousness: temporalStats,
-      crossRealityKnowledge: crossRealityStats
-    };
-  }
-}
+// The temporal consciousness and cross-reality knowledge extensions are part of
+// ArgOSCognitiveArchitecture in ArgOS-Integration.js. Like HESMS and the
+// consciousness extension they are registered in COGNITIVE_EXTENSIONS and share
+// its initialization path; both are opt-in:
+//
+//   const simulation = await createCognitiveSimulation({
+//     ENABLE_TEMPORAL_CONSCIOUSNESS: true,
+//     ENABLE_CROSS_REALITY_KNOWLEDGE: true
+//   });
+
+import { hasComponent } from 'bitecs';
+import { TemporalConsciousness } from '../consciousness/temporal-consciousness-system.js';
+import { CrossRealityKnowledge } from '../knowlage/cross-reality-knowledge';
+import { EnhancedMemory } from '../memory/argos-memory-extension.js';
+import { ConsciousnessState } from '../consciousness/argos-consciousness-extension.js';
+import { RealityFlux } from '../core/ArgOS-Framework.js';
 
 // =====================================================================
 // STEP 3: Update Demo Application
 // =====================================================================
 
 // Import the updated integration file
-import { ArgOSCognitiveArchitecture, createCognitiveSimulation } from '../integration/ArgOS-Framework-Integration.js';
+import { createCognitiveSimulation } from './ArgOS-Integration.js';
 
 // Add UI elements to visualize and control the new extensions
 function addExtensionControls() {
@@ -504,41 +125,41 @@ function addExtensionControls() {
 // These would be added to an API interface if you have one
 
 // Get agent's temporal consciousness data
-function getAgentTemporalConsciousnessData(agentId) {
+function getAgentTemporalConsciousnessData(simulation, agentId) {
   if (!simulation || !simulation.temporalConsciousnessManager) return null;
   return simulation.temporalConsciousnessManager.getTemporalConsciousnessReport(agentId);
 }
 
 // Get agent's cross-reality knowledge data
-function getAgentCrossRealityKnowledgeData(agentId) {
+function getAgentCrossRealityKnowledgeData(simulation, agentId) {
   if (!simulation || !simulation.crossRealityManager) return null;
   return simulation.crossRealityManager.getCrossRealityReport(agentId);
 }
 
 // Get all environment profiles from cross-reality system
-function getEnvironmentProfiles() {
+function getEnvironmentProfiles(simulation) {
   if (!simulation || !simulation.crossRealityManager) return [];
   return Array.from(simulation.crossRealityManager.environments.values())
     .map(env => env.getSummary());
 }
 
 // Trigger an environment transition for testing
-function triggerEnvironmentTransition(agentId, newEnvironmentId) {
+function triggerEnvironmentTransition(simulation, agentId, newEnvironmentId) {
   if (!simulation || !simulation.world) return false;
   
   // Create a reality flux to simulate environment change
-  if (RealityFlux[agentId]) {
+  if (hasComponent(simulation.world, RealityFlux, agentId)) {
     RealityFlux.effectType[agentId] = 1; // Teleport effect
     
     // Set a timeout to reset the effect
     setTimeout(() => {
-      if (RealityFlux[agentId]) {
+      if (hasComponent(simulation.world, RealityFlux, agentId)) {
         RealityFlux.effectType[agentId] = 0;
       }
     }, 2000);
     
     // Force environment ID update if we have cross-reality system
-    if (simulation.crossRealityManager && CrossRealityKnowledge[agentId]) {
+    if (simulation.crossRealityManager && hasComponent(simulation.world, CrossRealityKnowledge, agentId)) {
       CrossRealityKnowledge.currentEnvironmentId[agentId] = newEnvironmentId;
     }
     
@@ -624,17 +245,17 @@ async function runIntegrationTest() {
   
   // Verify components were added correctly
   console.log("Components verification:");
-  console.log("- EnhancedMemory:", EnhancedMemory[agent] ? "OK" : "Missing");
-  console.log("- ConsciousnessState:", ConsciousnessState[agent] ? "OK" : "Missing");
-  console.log("- TemporalConsciousness:", TemporalConsciousness[agent] ? "OK" : "Missing");
-  console.log("- CrossRealityKnowledge:", CrossRealityKnowledge[agent] ? "OK" : "Missing");
+  console.log("- EnhancedMemory:", hasComponent(simulation.world, EnhancedMemory, agent) ? "OK" : "Missing");
+  console.log("- ConsciousnessState:", hasComponent(simulation.world, ConsciousnessState, agent) ? "OK" : "Missing");
+  console.log("- TemporalConsciousness:", hasComponent(simulation.world, TemporalConsciousness, agent) ? "OK" : "Missing");
+  console.log("- CrossRealityKnowledge:", hasComponent(simulation.world, CrossRealityKnowledge, agent) ? "OK" : "Missing");
   
   // Get agent stats
   const stats = simulation.getExtendedAgentStats(agent);
   console.log("Agent Stats:", stats);
   
   // Test environment transition
-  triggerEnvironmentTransition(agent, 2);
+  triggerEnvironmentTransition(simulation, agent, 2);
   console.log("Triggered environment transition");
   
   // Run more steps after transition
@@ -691,6 +312,5 @@ export {
   getAgentTemporalConsciousnessData,
   getAgentCrossRealityKnowledgeData,
   getEnvironmentProfiles,
-  triggerEnvironmentTransition,
-  EXTENSION_CONFIG
+  triggerEnvironmentTransition
 };
@@ -1,8 +1,9 @@
 /**
  * ArgOS Framework Integration
  * 
- * Integrates HESMS (Hierarchical Episodic-Semantic Memory System) and 
- * the Consciousness Extension with the core ArgOS simulation framework.
+ * Integrates HESMS (Hierarchical Episodic-Semantic Memory System), the
+ * Consciousness Extension and the opt-in Temporal Consciousness and
+ * Cross-Reality Knowledge extensions with the core ArgOS simulation framework.
  * 
  * Provides a single interface for initializing and managing the complete
  * cognitive architecture for simulation agents.
@@ -10,8 +11,9 @@
  * Part of Project 89's advanced cognitive simulation exploration.
  */
 
+import { addComponent, hasComponent } from 'bitecs';
+
 import { 
-  World,
   createWorld,
   addEntity,
   Position, 
@@ -21,30 +23,72 @@ import {
   CognitiveState, 
   RealityFlux,
   Environmental,
-  createDefaultSystems,
-  createRenderSystem
-} from './argos-framework.js';
+  Energy,
+  Health,
+  VITALITY_DEFAULTS,
+  removeEntity,
+  isEntityRemoved,
+  addDefaultSystems,
+  createRenderSystem,
+  getRandomStream,
+  getEventBus,
+  getScheduler,
+  snapshot,
+  restore,
+  registerSnapshotProvider,
+  logMessage
+} from '../core/ArgOS-Framework.js';
 
 import { 
   EnhancedMemory, 
   MemoryManager, 
   integrateHESMSWithArgOS,
   visualizeAgentMemory
-} from './argos-memory-extension.js';
+} from '../memory/argos-memory-extension.js';
 
 import {
   ConsciousnessState,
   integrateConsciousnessWithArgOS,
   visualizeAgentConsciousness
-} from './argos-consciousness-extension.js';
+} from '../consciousness/argos-consciousness-extension.js';
+
+import {
+  TemporalConsciousness,
+  integrateTemporalConsciousnessWithArgOS
+} from '../consciousness/temporal-consciousness-system.js';
+
+import {
+  CrossRealityKnowledge,
+  integrateCrossRealityWithArgOS
+} from '../knowlage/cross-reality-knowledge';
+
+import {
+  Lineage,
+  createReproductionSystem,
+  spawnOffspring
+} from './reproduction.js';
+
+import {
+  Communication,
+  CommunicationChannel,
+  createCommunicationSystem
+} from './communication.js';
+
+import { ModuleRegistry } from './module-registry.js';
 
 // Configuration
-const INTEGRATION_CONFIG = {
+export const INTEGRATION_CONFIG = {
   ENABLE_ENHANCED_MEMORY: true,
   ENABLE_CONSCIOUSNESS: true,
+  ENABLE_TEMPORAL_CONSCIOUSNESS: false,
+  ENABLE_CROSS_REALITY_KNOWLEDGE: false,
   ENABLE_VISUALIZATION: true,
+  ENABLE_REPRODUCTION: true,
+  ENABLE_COMMUNICATION: false, // Agents in sensory range exchange warnings, resource locations and patterns
   MEMORY_OPTIONS: {
     ENABLE_CLOUD_SYNC: false,
+    STORAGE: null, // Memory persistence: 'memory', 'filesystem', 'cloud' or an adapter (see storage-adapters.js)
+    STORAGE_OPTIONS: {},
     MEMORY_SYNC_INTERVAL: 20,
     SEMANTIC_UPDATE_INTERVAL: 60,
     CONSOLIDATION_INTERVAL: 100,
@@ -56,12 +100,95 @@ const INTEGRATION_CONFIG = {
     IMAGINATION_ENABLED: true,
     NARRATIVE_ENABLED: true
   },
+  TEMPORAL_CONSCIOUSNESS_OPTIONS: {},
+  CROSS_REALITY_OPTIONS: {},
+  REPRODUCTION_OPTIONS: {
+    MAX_POPULATION: 50,
+    INHERIT_SEMANTIC_MEMORY: true
+  },
+  COMMUNICATION_OPTIONS: {}, // See COMMUNICATION_CONFIG in communication.js
   WORLD_WIDTH: 160,
   WORLD_HEIGHT: 120,
-  PIXELS_PER_UNIT: 5
+  PIXELS_PER_UNIT: 5,
+  SEED: null, // Fixed seed for reproducible runs (null: time-based)
+  SENSORY_CAPACITY: 10, // Entities each agent can perceive at once
+  TIMESTEP_MS: 1000 / 60, // Simulated time per tick when driven by wall-clock frames
+  SYSTEM_INTERVALS: {}, // System name -> run every N ticks, e.g. { consciousness: 2 }
+  YIELD_INTERVAL: 10, // runSimulation() yields to the event loop every N ticks (0: never)
+  LOG: console.log, // Progress messages from every module; () => {} silences them
+  MODULES: [] // Third-party cognitive modules (see module-registry.js)
 };
 
 // Main Integration Class
+// Cognitive extensions in initialization order. Each is switched on by its
+// option; all but HESMS build on the memory manager. setup() stores the
+// extension's manager and systems on the architecture and returns the manager,
+// initializeAgent() brings an agent created after initialization up to date.
+const COGNITIVE_EXTENSIONS = [
+  {
+    name: 'memory',
+    option: 'ENABLE_ENHANCED_MEMORY',
+    setup: (architecture) => {
+      const hesms = integrateHESMSWithArgOS(architecture.world, architecture.options.MEMORY_OPTIONS);
+      architecture.memoryManager = hesms.memoryManager;
+      architecture.memorySystem = hesms.memorySystem;
+      architecture.decisionSystem = hesms.decisionSystem;
+      return hesms.memoryManager;
+    },
+    initializeAgent: (architecture, agent) => architecture.memoryManager.initializeAgentMemory(agent)
+  },
+  {
+    name: 'consciousness',
+    option: 'ENABLE_CONSCIOUSNESS',
+    requiresMemory: true,
+    setup: (architecture) => {
+      const consciousness = integrateConsciousnessWithArgOS(
+        architecture.world,
+        architecture.memoryManager,
+        architecture.options.CONSCIOUSNESS_OPTIONS
+      );
+      architecture.consciousnessManager = consciousness.consciousnessManager;
+      architecture.consciousnessSystem = consciousness.consciousnessSystem;
+      return consciousness.consciousnessManager;
+    },
+    initializeAgent: (architecture, agent) => architecture.consciousnessManager.initializeAgentConsciousness(agent)
+  },
+  {
+    name: 'temporal',
+    option: 'ENABLE_TEMPORAL_CONSCIOUSNESS',
+    requiresMemory: true,
+    setup: (architecture) => {
+      const temporal = integrateTemporalConsciousnessWithArgOS(
+        architecture.world,
+        architecture.memoryManager,
+        architecture.options.TEMPORAL_CONSCIOUSNESS_OPTIONS
+      );
+      architecture.temporalConsciousnessManager = temporal.temporalConsciousnessManager;
+      architecture.temporalConsciousnessSystem = temporal.temporalConsciousnessSystem;
+      return temporal.temporalConsciousnessManager;
+    },
+    initializeAgent: (architecture, agent) =>
+      architecture.temporalConsciousnessManager.initializeAgentTemporalConsciousness(agent)
+  },
+  {
+    name: 'cross-reality',
+    option: 'ENABLE_CROSS_REALITY_KNOWLEDGE',
+    requiresMemory: true,
+    setup: (architecture) => {
+      const crossReality = integrateCrossRealityWithArgOS(
+        architecture.world,
+        architecture.memoryManager,
+        architecture.options.CROSS_REALITY_OPTIONS
+      );
+      architecture.crossRealityManager = crossReality.crossRealityManager;
+      architecture.crossRealitySystem = crossReality.crossRealitySystem;
+      return crossReality.crossRealityManager;
+    },
+    initializeAgent: (architecture, agent) =>
+      architecture.crossRealityManager.initializeAgentCrossRealityKnowledge(agent)
+  }
+];
+
 export class ArgOSCognitiveArchitecture {
   constructor(simulationWorld, options = {}) {
     this.world = simulationWorld || createWorld();
@@ -71,43 +198,76 @@ export class ArgOSCognitiveArchitecture {
     this.decisionSystem = null;
     this.consciousnessManager = null;
     this.consciousnessSystem = null;
+    this.temporalConsciousnessManager = null;
+    this.temporalConsciousnessSystem = null;
+    this.crossRealityManager = null;
+    this.crossRealitySystem = null;
+    this.reproductionSystem = null;
+    this.communicationChannel = null;
+    this.communicationSystem = null;
+    this.extensions = []; // Enabled entries of COGNITIVE_EXTENSIONS
+    this.modules = new ModuleRegistry(this);
     this.initialized = false;
     this.enhancedRenderSystem = null;
+
+    (this.options.MODULES || []).forEach(module => this.modules.register(module));
+
+    // Options travel with snapshots so restoreCognitiveSimulation can rebuild the same
+    // setup; modules and custom storage adapters hold code, so callers pass them again
+    // when restoring
+    registerSnapshotProvider(this.world, 'architecture', {
+      serialize: () => {
+        const { MODULES, ...options } = this.options;
+        if (options.MEMORY_OPTIONS?.STORAGE && typeof options.MEMORY_OPTIONS.STORAGE === 'object') {
+          options.MEMORY_OPTIONS = { ...options.MEMORY_OPTIONS, STORAGE: null };
+        }
+        return { options };
+      },
+      restore: () => {}
+    });
   }
 
   async initialize() {
     if (this.initialized) return this;
-    console.log("Initializing ArgOS Cognitive Architecture...");
+    logMessage(this.world, "Initializing ArgOS Cognitive Architecture...");
 
     try {
-      // Initialize HESMS
-      if (this.options.ENABLE_ENHANCED_MEMORY) {
-        const hesms = integrateHESMSWithArgOS(this.world, this.options.MEMORY_OPTIONS);
-        this.memoryManager = hesms.memoryManager;
-        this.memorySystem = hesms.memorySystem;
-        this.decisionSystem = hesms.decisionSystem;
-        await this.memoryManager.initialize();
+      // HESMS, consciousness, temporal consciousness and cross-reality knowledge
+      for (const extension of COGNITIVE_EXTENSIONS) {
+        if (!this.options[extension.option]) continue;
+        if (extension.requiresMemory && !this.memoryManager) {
+          console.warn(`ArgOS: ${extension.name} extension requires ENABLE_ENHANCED_MEMORY; skipped`);
+          continue;
+        }
+        const manager = extension.setup(this);
+        await manager.initialize();
+        this.extensions.push(extension);
       }
 
-      // Initialize Consciousness Extension
-      if (this.options.ENABLE_CONSCIOUSNESS && this.memoryManager) {
-        const consciousness = integrateConsciousnessWithArgOS(
-          this.world, 
-          this.memoryManager, 
-          this.options.CONSCIOUSNESS_OPTIONS
-        );
-        this.consciousnessManager = consciousness.consciousnessManager;
-        this.consciousnessSystem = consciousness.consciousnessSystem;
-        await this.consciousnessManager.initialize();
+      // Offspring inherit mutated traits and, with memory enabled, semantic patterns
+      if (this.options.ENABLE_REPRODUCTION) {
+        this.reproductionSystem = createReproductionSystem(this, this.options.REPRODUCTION_OPTIONS);
       }
 
+      // Messages are remembered, so communication needs HESMS
+      if (this.options.ENABLE_COMMUNICATION) {
+        if (this.memoryManager) {
+          this.communicationChannel = new CommunicationChannel(this.world, this.memoryManager, this.options.COMMUNICATION_OPTIONS);
+          this.communicationSystem = createCommunicationSystem(this.communicationChannel);
+        } else {
+          console.warn('ArgOS: communication requires ENABLE_ENHANCED_MEMORY; skipped');
+        }
+      }
+
+      await this.modules.installAll();
+
       // Create enhanced render system
       if (this.options.ENABLE_VISUALIZATION) {
         this.enhancedRenderSystem = this.createEnhancedRenderSystem();
       }
 
       this.initialized = true;
-      console.log("Initialization complete.");
+      logMessage(this.world, "Initialization complete.");
     } catch (error) {
       console.error("Initialization failed:", error);
       throw error;
@@ -115,18 +275,39 @@ export class ArgOSCognitiveArchitecture {
     return this;
   }
 
+  // Cognitive systems with their scheduler phases
+  getSystemSchedule() {
+    return [
+      { name: 'memory', phase: 'remember', system: this.memorySystem },
+      { name: 'communication', phase: 'think', system: this.communicationSystem },
+      { name: 'consciousness', phase: 'think', system: this.consciousnessSystem },
+      { name: 'temporal', phase: 'think', system: this.temporalConsciousnessSystem },
+      { name: 'cross-reality', phase: 'think', system: this.crossRealitySystem },
+      { name: 'memory-decision', phase: 'decide', system: this.decisionSystem },
+      { name: 'reproduction', phase: 'act', system: this.reproductionSystem },
+      ...this.modules.getSystemSchedule()
+    ].filter(entry => entry.system);
+  }
+
   getSystems() {
-    const systems = [];
-    if (this.memorySystem) systems.push(this.memorySystem);
-    if (this.consciousnessSystem) systems.push(this.consciousnessSystem);
-    if (this.decisionSystem) systems.push(this.decisionSystem);
-    return systems;
+    return this.getSystemSchedule().map(entry => entry.system);
+  }
+
+  // Adds the cognitive systems to the world's scheduler (once)
+  scheduleSystems(scheduler = getScheduler(this.world)) {
+    const intervals = this.options.SYSTEM_INTERVALS || {};
+    this.getSystemSchedule().forEach(({ name, phase, interval, system }) => {
+      if (!scheduler.has(system)) scheduler.add(system, { name, phase, interval: intervals[name] ?? interval });
+    });
+    return scheduler;
   }
 
   createEnhancedRenderSystem() {
     const baseRenderSystem = createRenderSystem();
     const memoryManager = this.memoryManager;
     const consciousnessManager = this.consciousnessManager;
+    const temporalConsciousnessManager = this.temporalConsciousnessManager;
+    const crossRealityManager = this.crossRealityManager;
     const pixelsPerUnit = this.options.PIXELS_PER_UNIT;
 
     return (world, canvas) => {
@@ -134,8 +315,8 @@ export class ArgOSCognitiveArchitecture {
       if (!canvas) return world;
 
       const ctx = canvas.getContext('2d');
-      const agents = Array.from({ length: world.entities.length }, (_, i) => i)
-        .filter(i => Position[i] && SensoryData[i]);
+      const agents = world.entities
+        .filter(i => hasComponent(world, Position, i) && hasComponent(world, SensoryData, i));
 
       if (memoryManager && this.options.ENABLE_ENHANCED_MEMORY) {
         agents.forEach(agent => {
@@ -149,52 +330,179 @@ export class ArgOSCognitiveArchitecture {
         });
       }
 
+      if (temporalConsciousnessManager) {
+        agents.forEach(agent => {
+          this.visualizeTemporalConsciousness(ctx, agent, temporalConsciousnessManager, pixelsPerUnit);
+        });
+      }
+
+      if (crossRealityManager) {
+        agents.forEach(agent => {
+          this.visualizeCrossRealityKnowledge(ctx, agent, crossRealityManager, pixelsPerUnit);
+        });
+      }
+
+      this.modules.render(ctx, agents, pixelsPerUnit);
+
       return world;
     };
   }
 
+  // Future projections as faint trajectory lines, narrative coherence as a glow
+  visualizeTemporalConsciousness(ctx, agent, temporalConsciousnessManager, pixelsPerUnit) {
+    if (!hasComponent(this.world, TemporalConsciousness, agent)) return;
+
+    const report = temporalConsciousnessManager.getTemporalConsciousnessReport(agent);
+    if (!report) return;
+
+    const x = Position.x[agent] * pixelsPerUnit;
+    const y = Position.y[agent] * pixelsPerUnit;
+
+    const futureScenarios = report.futureScenarios || [];
+    if (futureScenarios.length > 0) {
+      ctx.save();
+      ctx.globalAlpha = 0.3;
+      ctx.lineWidth = 1;
+      ctx.setLineDash([2, 2]);
+
+      futureScenarios.forEach((scenario, index) => {
+        const probability = scenario.probability || 0.5;
+        const angle = index * (Math.PI / futureScenarios.length);
+        const distance = 15 * probability;
+
+        ctx.strokeStyle = `rgba(65, 105, 225, ${probability * 0.7})`;
+        ctx.beginPath();
+        ctx.moveTo(x, y);
+        ctx.lineTo(x + Math.cos(angle) * distance, y + Math.sin(angle) * distance);
+        ctx.stroke();
+      });
+
+      ctx.restore();
+    }
+
+    const coherence = report.narrative?.coherence || 0.5;
+    if (coherence > 0.4) {
+      const glowSize = 8 * coherence;
+      const gradient = ctx.createRadialGradient(x, y, 0, x, y, glowSize);
+      gradient.addColorStop(0, `rgba(147, 112, 219, ${coherence * 0.4})`);
+      gradient.addColorStop(1, 'rgba(147, 112, 219, 0)');
+
+      ctx.fillStyle = gradient;
+      ctx.beginPath();
+      ctx.arc(x, y, glowSize, 0, Math.PI * 2);
+      ctx.fill();
+    }
+  }
+
+  // Aura colored by the dominant knowledge level, pulsing ring after an environment transition
+  visualizeCrossRealityKnowledge(ctx, agent, crossRealityManager, pixelsPerUnit) {
+    if (!hasComponent(this.world, CrossRealityKnowledge, agent)) return;
+
+    const report = crossRealityManager.getCrossRealityReport(agent);
+    if (!report) return;
+
+    const x = Position.x[agent] * pixelsPerUnit;
+    const y = Position.y[agent] * pixelsPerUnit;
+    const abstractionLevel = report.abstractionLevel || 0.3;
+    const auraSize = 7 + (abstractionLevel * 5);
+    const alpha = 0.2 + abstractionLevel * 0.3;
+    const counts = report.knowledgeCounts || { low: 0, mid: 0, high: 0 };
+
+    if (counts.high > counts.mid && counts.high > counts.low) {
+      ctx.fillStyle = `rgba(30, 144, 255, ${alpha})`;  // High-level knowledge
+    } else if (counts.mid > counts.low) {
+      ctx.fillStyle = `rgba(138, 43, 226, ${alpha})`;  // Mid-level knowledge
+    } else {
+      ctx.fillStyle = `rgba(46, 139, 87, ${alpha})`;   // Low-level knowledge
+    }
+    ctx.beginPath();
+    ctx.arc(x, y, auraSize, 0, Math.PI * 2);
+    ctx.fill();
+
+    const environmentSimilarity = report.environmentSimilarity ?? 1.0;
+    if (environmentSimilarity < 0.8) {
+      const pulseSize = 10 + Math.sin(Date.now() / 300) * 3;
+      ctx.strokeStyle = `rgba(255, 165, 0, ${(1 - environmentSimilarity) * 0.7})`;
+      ctx.lineWidth = 1.5;
+      ctx.setLineDash([3, 3]);
+      ctx.beginPath();
+      ctx.arc(x, y, pulseSize, 0, Math.PI * 2);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+  }
+
   createAgent(config = {}) {
     const agent = addEntity(this.world);
+    const rng = getRandomStream(this.world, 'spawn');
+
+    addComponent(this.world, Position, agent);
+    Position.x[agent] = config.x ?? rng.random() * this.options.WORLD_WIDTH;
+    Position.y[agent] = config.y ?? rng.random() * this.options.WORLD_HEIGHT;
+
+    addComponent(this.world, SensoryData, agent);
+    if (config.visionRange !== undefined) SensoryData.visionRange[agent] = config.visionRange;
+    addComponent(this.world, Actions, agent);
 
-    Position.addTo(this.world)(agent);
-    Position.x[agent] = config.x || Math.random() * this.options.WORLD_WIDTH;
-    Position.y[agent] = config.y || Math.random() * this.options.WORLD_HEIGHT;
+    addComponent(this.world, Goals, agent);
+    Goals.primaryType[agent] = config.goalType ?? rng.int(3);
 
-    SensoryData.addTo(this.world)(agent);
-    Actions.addTo(this.world)(agent);
+    addComponent(this.world, CognitiveState, agent);
+    CognitiveState.emotionalState[agent] = config.emotional ?? (40 + rng.random() * 20);
+    CognitiveState.adaptability[agent] = config.adaptability ?? (40 + rng.random() * 30);
+    if (config.curiosity !== undefined) CognitiveState.curiosity[agent] = config.curiosity;
+    if (config.socialAffinity !== undefined) CognitiveState.socialAffinity[agent] = config.socialAffinity;
 
-    Goals.addTo(this.world)(agent);
-    Goals.primaryType[agent] = config.goalType ?? Math.floor(Math.random() * 3);
+    addComponent(this.world, RealityFlux, agent);
 
-    CognitiveState.addTo(this.world)(agent);
-    CognitiveState.emotionalState[agent] = config.emotional ?? (40 + Math.random() * 20);
-    CognitiveState.adaptability[agent] = config.adaptability ?? (40 + Math.random() * 30);
+    addComponent(this.world, Energy, agent);
+    Energy.max[agent] = config.energy ?? VITALITY_DEFAULTS.energy;
+    Energy.current[agent] = Energy.max[agent];
 
-    RealityFlux.addTo(this.world)(agent);
+    addComponent(this.world, Health, agent);
+    Health.max[agent] = config.health ?? VITALITY_DEFAULTS.health;
+    Health.current[agent] = Health.max[agent];
 
     if (this.initialized) {
-      if (this.memoryManager) this.memoryManager.initializeAgentMemory(agent);
-      if (this.consciousnessManager) this.consciousnessManager.initializeAgentConsciousness(agent);
+      this.extensions.forEach(extension => extension.initializeAgent(this, agent));
+      this.modules.initializeAgent(agent);
     }
 
     return agent;
   }
 
-  createEnvironmentalEntity(type, x, y) {
+  // config: optional value, depletion and respawnTime for the Environmental component
+  createEnvironmentalEntity(type, x, y, config = {}) {
     const entity = addEntity(this.world);
+    const rng = getRandomStream(this.world, 'spawn');
 
-    Position.addTo(this.world)(entity);
-    Position.x[entity] = x ?? Math.random() * this.options.WORLD_WIDTH;
-    Position.y[entity] = y ?? Math.random() * this.options.WORLD_HEIGHT;
+    addComponent(this.world, Position, entity);
+    Position.x[entity] = x ?? rng.random() * this.options.WORLD_WIDTH;
+    Position.y[entity] = y ?? rng.random() * this.options.WORLD_HEIGHT;
 
-    Environmental.addTo(this.world)(entity);
+    addComponent(this.world, Environmental, entity);
     Environmental.type[entity] = type; // 0: Resource, 1: Obstacle, 2: Hazard
+    if (config.value !== undefined) Environmental.value[entity] = config.value;
+    if (config.depletion !== undefined) Environmental.depletion[entity] = config.depletion;
+    if (config.respawnTime !== undefined) Environmental.respawnTime[entity] = config.respawnTime;
+
+    // Reality waves can shift obstacles; agents replan around them
+    if (type === 1) addComponent(this.world, RealityFlux, entity);
 
     return entity;
   }
 
+  spawnOffspring(parent) {
+    return spawnOffspring(this, parent, this.options.REPRODUCTION_OPTIONS);
+  }
+
+  // Managers drop their per-agent state through the world's removal handlers
+  removeAgent(agent) {
+    return removeEntity(this.world, agent);
+  }
+
   getAgentStats(agent) {
-    if (!this.initialized || !EnhancedMemory[agent]) return null;
+    if (!this.initialized || isEntityRemoved(this.world, agent) || !hasComponent(this.world, EnhancedMemory, agent)) return null;
 
     const memoryId = EnhancedMemory.memoryId[agent];
     const episodicMemories = this.memoryManager?.episodicQueue.get(memoryId)?.length || 0;
@@ -206,55 +514,94 @@ export class ArgOSCognitiveArchitecture {
       agent,
       position: { x: Position.x[agent], y: Position.y[agent] },
       goal: Goals.primaryType[agent],
-      emotional: CognitiveState[agent]?.emotionalState,
-      adaptability: CognitiveState[agent]?.adaptability,
+      emotional: CognitiveState.emotionalState[agent],
+      adaptability: CognitiveState.adaptability[agent],
+      curiosity: CognitiveState.curiosity[agent],
+      socialAffinity: CognitiveState.socialAffinity[agent],
+      generation: hasComponent(this.world, Lineage, agent) ? Lineage.generation[agent] : 0,
+      energy: Energy.current[agent],
+      health: Health.current[agent],
       memoryFidelity: EnhancedMemory.globalFidelity[agent],
       episodicMemories,
       longTermMemories,
       semanticPatterns: patterns,
-      consciousness
+      consciousness,
+      communication: this.communicationChannel?.getReport(agent) || null,
+      knownAgents: this.memoryManager?.getBeliefs(agent).length || 0,
+      modules: this.modules.reports(agent)
     };
   }
 
-  runSimulation(steps = 100, stepCallback = null) {
-    if (!this.initialized) {
-      console.warn("Cognitive architecture not initialized. Call initialize() first.");
-      return Promise.resolve();
-    }
+  // getAgentStats plus the temporal and cross-reality reports of enabled extensions
+  getExtendedAgentStats(agent) {
+    const stats = this.getAgentStats(agent);
+    if (!stats) return null;
+
+    return {
+      ...stats,
+      temporalConsciousness: hasComponent(this.world, TemporalConsciousness, agent)
+        ? this.temporalConsciousnessManager?.getTemporalConsciousnessReport(agent) || null
+        : null,
+      crossRealityKnowledge: hasComponent(this.world, CrossRealityKnowledge, agent)
+        ? this.crossRealityManager?.getCrossRealityReport(agent) || null
+        : null
+    };
+  }
 
-    const systems = this.getSystems();
-    let currentStep = 0;
+  snapshot() {
+    return snapshot(this.world);
+  }
 
-    return new Promise((resolve) => {
-      function runStep() {
-        if (currentStep >= steps) {
-          resolve();
-          return;
-        }
+  // Cognitive events ('dream:started', 'memory:recorded', ... or the short
+  // names 'dream', 'insight', 'narrative', 'consciousness-sync'); returns an unsubscribe function
+  on(type, handler) {
+    return getEventBus(this.world).on(type, handler);
+  }
 
-        systems.forEach(system => system(this.world));
-        if (stepCallback) stepCallback(this.world, currentStep);
+  once(type, handler) {
+    return getEventBus(this.world).once(type, handler);
+  }
 
-        currentStep++;
-        setTimeout(runStep, 0);
-      }.bind(this);
+  off(type, handler) {
+    return getEventBus(this.world).off(type, handler);
+  }
 
-      runStep();
-    });
+  async runSimulation(steps = 100, stepCallback = null) {
+    if (!this.initialized) {
+      console.warn("Cognitive architecture not initialized. Call initialize() first.");
+      return;
+    }
+
+    const scheduler = this.scheduleSystems();
+    const yieldInterval = this.options.YIELD_INTERVAL;
+    for (let currentStep = 0; currentStep < steps; currentStep++) {
+      await scheduler.tick(this.world);
+      if (stepCallback) stepCallback(this.world, currentStep);
+
+      // Yield every few ticks so pages stay responsive; a timer per tick would
+      // cap long runs at the browser's minimum timer delay
+      if (yieldInterval > 0 && (currentStep + 1) % yieldInterval === 0 && currentStep < steps - 1) {
+        await new Promise(resolve => setTimeout(resolve, 0));
+      }
+    }
   }
 }
 
 // Helper Function to Create a Complete Simulation
 export async function createCognitiveSimulation(options = {}) {
-  const world = createWorld();
-  const defaultSystems = createDefaultSystems();
-  defaultSystems.forEach(system => world.systems.push(system));
+  const world = createWorld({
+    seed: options.SEED ?? INTEGRATION_CONFIG.SEED,
+    sensoryCapacity: options.SENSORY_CAPACITY ?? INTEGRATION_CONFIG.SENSORY_CAPACITY,
+    width: options.WORLD_WIDTH ?? INTEGRATION_CONFIG.WORLD_WIDTH,
+    height: options.WORLD_HEIGHT ?? INTEGRATION_CONFIG.WORLD_HEIGHT,
+    timestep: options.TIMESTEP_MS ?? INTEGRATION_CONFIG.TIMESTEP_MS,
+    log: options.LOG ?? INTEGRATION_CONFIG.LOG
+  });
+  addDefaultSystems(world, options.SYSTEM_INTERVALS);
 
   const cognitiveArchitecture = new ArgOSCognitiveArchitecture(world, options);
   await cognitiveArchitecture.initialize();
-
-  const cognitiveSystems = cognitiveArchitecture.getSystems();
-  cognitiveSystems.forEach(system => world.systems.push(system));
+  cognitiveArchitecture.scheduleSystems();
 
   if (options.ENABLE_VISUALIZATION !== false && cognitiveArchitecture.enhancedRenderSystem) {
     world.renderSystem = cognitiveArchitecture.enhancedRenderSystem;
@@ -263,6 +610,18 @@ export async function createCognitiveSimulation(options = {}) {
   return cognitiveArchitecture;
 }
 
+// Rebuild a simulation from a snapshot document using the options it was saved with
+export async function restoreCognitiveSimulation(document, options = {}) {
+  const savedOptions = document.providers?.architecture?.options || {};
+  const cognitiveArchitecture = await createCognitiveSimulation({
+    ...savedOptions,
+    ...options,
+    SEED: document.world.rng?.seed
+  });
+  restore(document, cognitiveArchitecture.world);
+  return cognitiveArchitecture;
+}
+
 // Demo Setup
 export async function runDemoSimulation(
   elementId, 
@@ -310,13 +669,19 @@ export async function runDemoSimulation(
     cognitiveArchitecture.createEnvironmentalEntity(2);
   }
 
-  function animate() {
-    world.systems.forEach(system => system(world));
-    world.renderSystem(world, canvas);
+  // Fixed ticks per elapsed frame time; the canvas is drawn once per frame
+  const scheduler = getScheduler(world);
+  scheduler.add(world => world.renderSystem(world, canvas), { phase: 'render', name: 'canvas' });
+
+  let lastFrame = null;
+  async function animate(timestamp) {
+    const elapsed = lastFrame === null ? scheduler.timestep : timestamp - lastFrame;
+    lastFrame = timestamp;
+    await scheduler.advance(world, elapsed);
     requestAnimationFrame(animate);
   }
 
-  animate();
+  requestAnimationFrame(animate);
   return cognitiveArchitecture;
 }
 
@@ -324,6 +689,7 @@ export async function runDemoSimulation(
 export default {
   ArgOSCognitiveArchitecture,
   createCognitiveSimulation,
+  restoreCognitiveSimulation,
   runDemoSimulation,
   INTEGRATION_CONFIG
 };
@@ -0,0 +1,238 @@
+/**
+ * ArgOS Agent Communication
+ *
+ * Agents tell the agents they can see what they know first-hand: warnings about
+ * hazards, resource locations and semantic patterns. A message reaches every
+ * agent the sender detects within RANGE. Each sender sends at most BANDWIDTH
+ * messages per tick (more with a social goal), and repeats a message about the
+ * same thing only after REPEAT_INTERVAL ticks. Each receiver takes in at most
+ * INBOX_CAPACITY messages per tick and drops the rest.
+ *
+ * A delivered message becomes an episodic memory of the receiver, tagged
+ * 'heard', with context.source naming the sender. The decision system acts on
+ * these, and heard knowledge is never retold. Patterns also join the receiver's
+ * semantic memory at reduced confidence. Receivers weight what they hear by
+ * their trust in the sender (see trust-model.js) and ignore senders trusted less
+ * than the memory manager's MIN_TRUST.
+ */
+
+import { defineComponent, defineQuery, addComponent, hasComponent, Types } from 'bitecs';
+import {
+  Position,
+  SensoryData,
+  Goals,
+  Environmental,
+  registerComponent,
+  registerSnapshotProvider,
+  remapEntity,
+  getDetections,
+  onEntityRemoved,
+  emitEvent
+} from '../core/ArgOS-Framework.js';
+import { EnhancedMemory } from '../memory/argos-memory-extension.js';
+
+export const COMMUNICATION_CONFIG = {
+  RANGE: 15,                  // Farthest a detected agent can be to hear a message
+  BANDWIDTH: 2,               // Messages an agent sends per tick
+  SOCIAL_BANDWIDTH_BONUS: 2,  // Extra messages per tick for agents with a social goal
+  INBOX_CAPACITY: 4,          // Messages an agent takes in per tick
+  REPEAT_INTERVAL: 100,       // Ticks before a sender repeats a message about the same thing
+  MEMORY_WINDOW: 200,         // Sender's memories younger than this are worth telling
+  PATTERN_CONFIDENCE: 0.7,    // Patterns at least this confident are shared
+  TRANSMISSION_FIDELITY: 0.9, // Fidelity (and pattern confidence) kept in transmission
+  MESSAGE_IMPORTANCE: { warning: 0.8, resource: 0.6, pattern: 0.5 }
+};
+
+// Message type -> entity type of the memory it leaves (3: agent, for patterns)
+export const MESSAGE_TYPES = { warning: 2, resource: 0, pattern: 3 };
+
+export const Communication = defineComponent({
+  sent: Types.ui32,
+  received: Types.ui32,
+  dropped: Types.ui32,        // Messages lost to a full inbox
+  ignored: Types.ui32,        // Messages from senders the receiver distrusts
+  lastHeardFrom: Types.eid,
+  lastHeardTime: Types.ui32
+});
+
+export class CommunicationChannel {
+  constructor(world, memoryManager, options = {}) {
+    this.world = world;
+    this.memoryManager = memoryManager;
+    this.options = { ...COMMUNICATION_CONFIG, ...options };
+    this.lastSent = new Map(); // sender -> Map(message key -> time sent)
+    this.stats = { sent: 0, delivered: 0, dropped: 0, ignored: 0, byType: { warning: 0, resource: 0, pattern: 0 } };
+    registerComponent(world, 'Communication', Communication, ['lastHeardFrom']);
+    registerSnapshotProvider(world, 'communication', this);
+    onEntityRemoved(world, entity => this.lastSent.delete(entity));
+  }
+
+  bandwidth(agent) {
+    return this.options.BANDWIDTH + (hasComponent(this.world, Goals, agent) && Goals.primaryType[agent] === 3 ? this.options.SOCIAL_BANDWIDTH_BONUS : 0);
+  }
+
+  // Agents within RANGE among those the agent detects
+  listeners(agent) {
+    return getDetections(this.world, agent)
+      .filter(d => d.distance <= this.options.RANGE && d.entity !== agent &&
+        hasComponent(this.world, EnhancedMemory, d.entity) && hasComponent(this.world, SensoryData, d.entity) &&
+        !hasComponent(this.world, Environmental, d.entity))
+      .map(d => d.entity);
+  }
+
+  // What the agent has to tell, most urgent first: hazards it remembers, then
+  // resources it did not fail to harvest, then confident patterns with evidence
+  composeMessages(agent) {
+    const now = this.world.time || 0;
+    const sent = this.lastSent.get(agent) || new Map();
+    const fresh = key => !sent.has(key) || now - sent.get(key) >= this.options.REPEAT_INTERVAL;
+    const remembered = (entityType, where = () => true) => {
+      const seen = new Set();
+      return this.memoryManager.queryMemories({
+        agent,
+        entityType,
+        within: this.options.MEMORY_WINDOW,
+        where: m => !m.context.source && where(m),
+        sort: ['-timestamp']
+      }).filter(m => !seen.has(m.entityId) && seen.add(m.entityId));
+    };
+
+    const messages = [
+      ...remembered(2).map(m => ({ type: 'warning', entity: m.entityId, position: { ...m.position } })),
+      ...remembered(0, m => m.context.success !== false)
+        .map(m => ({ type: 'resource', entity: m.entityId, position: { ...m.position } })),
+      ...this.memoryManager.getSemanticMemory(agent).patterns
+        .filter(p => p.confidence >= this.options.PATTERN_CONFIDENCE && p.evidence.length > 0)
+        .map(p => ({ type: 'pattern', pattern: { type: p.type, rule: p.rule, confidence: p.confidence } }))
+    ].map(message => ({ ...message, key: `${message.type}:${message.entity ?? message.pattern.type}` }));
+
+    return messages.filter(message => fresh(message.key)).slice(0, this.bandwidth(agent));
+  }
+
+  // One tick of messaging; returns the number of messages delivered
+  exchange(agents) {
+    const now = this.world.time || 0;
+    const inbox = new Map(); // receiver -> messages taken in this tick
+    let delivered = 0;
+
+    agents.forEach(sender => {
+      const listeners = this.listeners(sender);
+      if (listeners.length === 0) return;
+      const messages = this.composeMessages(sender);
+      if (messages.length === 0) return;
+
+      if (!this.lastSent.has(sender)) this.lastSent.set(sender, new Map());
+      messages.forEach(message => {
+        this.lastSent.get(sender).set(message.key, now);
+        Communication.sent[sender]++;
+        this.stats.sent++;
+        this.stats.byType[message.type]++;
+        listeners.forEach(receiver => {
+          const taken = inbox.get(receiver) || 0;
+          if (taken >= this.options.INBOX_CAPACITY) {
+            Communication.dropped[receiver]++;
+            this.stats.dropped++;
+            return;
+          }
+          inbox.set(receiver, taken + 1);
+          if (this.deliver(sender, receiver, message)) delivered++;
+        });
+      });
+    });
+
+    this.stats.delivered += delivered;
+    return delivered;
+  }
+
+  // Returns false when the receiver ignores the message
+  deliver(sender, receiver, message) {
+    const now = this.world.time || 0;
+    const source = {
+      agent: sender,
+      memoryId: EnhancedMemory.memoryId[sender],
+      channel: 'message',
+      messageType: message.type,
+      sentAt: now
+    };
+    if (this.memoryManager.getSourceTrust(receiver, source.memoryId) < this.memoryManager.options.MIN_TRUST) {
+      Communication.ignored[receiver]++;
+      this.stats.ignored++;
+      return false;
+    }
+    const memory = this.memoryManager.recordEpisodicMemory(receiver, {
+      entityId: message.entity ?? sender,
+      entityType: MESSAGE_TYPES[message.type],
+      position: message.position || { x: Position.x[sender], y: Position.y[sender] },
+      importance: this.options.MESSAGE_IMPORTANCE[message.type],
+      source
+    });
+    memory.fidelity *= this.options.TRANSMISSION_FIDELITY;
+    if (message.type === 'pattern') {
+      this.memoryManager.learnPattern(receiver, message.pattern, this.options.TRANSMISSION_FIDELITY, source);
+    }
+
+    Communication.received[receiver]++;
+    Communication.lastHeardFrom[receiver] = sender;
+    Communication.lastHeardTime[receiver] = now;
+    emitEvent(this.world, 'message:delivered', { sender, receiver, message, memory });
+    return true;
+  }
+
+  getReport(agent) {
+    if (!hasComponent(this.world, Communication, agent)) return null;
+    return {
+      sent: Communication.sent[agent],
+      received: Communication.received[agent],
+      dropped: Communication.dropped[agent],
+      ignored: Communication.ignored[agent],
+      lastHeardFrom: Communication.received[agent] > 0 ? Communication.lastHeardFrom[agent] : null,
+      lastHeardTime: Communication.received[agent] > 0 ? Communication.lastHeardTime[agent] : null
+    };
+  }
+
+  serialize() {
+    return {
+      lastSent: Array.from(this.lastSent, ([agent, sent]) => [agent, Array.from(sent)]),
+      stats: this.stats
+    };
+  }
+
+  // entityMap renumbers senders and the entities their message keys name
+  restore(data, entityMap) {
+    const remapKey = key => {
+      const [type, subject] = key.split(':');
+      return type === 'pattern' ? key : `${type}:${remapEntity(entityMap, Number(subject))}`;
+    };
+    this.lastSent = new Map(data.lastSent.map(([agent, sent]) =>
+      [remapEntity(entityMap, agent), new Map(sent.map(([key, time]) => [remapKey(key), time]))]));
+    this.stats = { ignored: 0, ...data.stats };
+    return this;
+  }
+}
+
+export const createCommunicationSystem = (channel) => {
+  const query = defineQuery([Position, SensoryData, EnhancedMemory]);
+
+  return (world) => {
+    const agents = query(world);
+    agents.forEach(agent => {
+      if (hasComponent(world, Communication, agent)) return;
+      addComponent(world, Communication, agent);
+      // Entity ids are reused, so counters left by a removed agent are cleared
+      Communication.sent[agent] = 0;
+      Communication.received[agent] = 0;
+      Communication.dropped[agent] = 0;
+      Communication.ignored[agent] = 0;
+    });
+    channel.exchange(agents);
+    return world;
+  };
+};
+
+export default {
+  COMMUNICATION_CONFIG,
+  MESSAGE_TYPES,
+  Communication,
+  CommunicationChannel,
+  createCommunicationSystem
+};
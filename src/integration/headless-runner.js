@@ -0,0 +1,75 @@
+/**
+ * ArgOS Headless Runner
+ *
+ * Runs a cognitive simulation without a canvas, requestAnimationFrame or
+ * timers: every tick runs the world's scheduler through all phases (awaiting
+ * the async memory and consciousness systems) and samples metrics at a fixed
+ * interval. Used by the `argos run` command for batch experiments on servers.
+ */
+
+import { hasComponent } from 'bitecs';
+import { Position, SensoryData, isEntityRemoved, getScheduler } from '../core/ArgOS-Framework.js';
+
+// Aggregate metrics across all agents for one tick
+export function collectMetrics(cognitiveArchitecture) {
+  const world = cognitiveArchitecture.world;
+  const agents = world.entities
+    .filter(i => !isEntityRemoved(world, i) && hasComponent(world, Position, i) && hasComponent(world, SensoryData, i));
+  const stats = agents
+    .map(agent => cognitiveArchitecture.getAgentStats(agent))
+    .filter(Boolean);
+
+  const sum = (key) => stats.reduce((total, s) => total + (s[key] || 0), 0);
+  const average = (key) => stats.length > 0 ? sum(key) / stats.length : 0;
+  const reports = stats.map(s => s.consciousness).filter(Boolean);
+
+  return {
+    tick: world.time,
+    agents: agents.length,
+    realityWaveActive: !!world.realityWave?.active,
+    averageEmotional: average('emotional'),
+    averageAdaptability: average('adaptability'),
+    averageCuriosity: average('curiosity'),
+    averageSocialAffinity: average('socialAffinity'),
+    maxGeneration: stats.reduce((max, s) => Math.max(max, s.generation || 0), 0),
+    averageEnergy: average('energy'),
+    averageHealth: average('health'),
+    averageMemoryFidelity: average('memoryFidelity'),
+    episodicMemories: sum('episodicMemories'),
+    longTermMemories: sum('longTermMemories'),
+    semanticPatterns: sum('semanticPatterns'),
+    dreamingAgents: reports.filter(r => r.isDreaming).length,
+    averageIntegrationIndex: reports.length > 0
+      ? reports.reduce((total, r) => total + r.integrationIndex, 0) / reports.length
+      : 0
+  };
+}
+
+export async function runHeadless(cognitiveArchitecture, options = {}) {
+  const { ticks = 1000, metricsInterval = 10, onMetrics = null } = options;
+  const world = cognitiveArchitecture.world;
+  const scheduler = getScheduler(world);
+  const metrics = [];
+  const startTime = Date.now();
+
+  for (let tick = 0; tick < ticks; tick++) {
+    await scheduler.tick(world);
+
+    if ((tick + 1) % metricsInterval === 0 || tick === ticks - 1) {
+      const sample = collectMetrics(cognitiveArchitecture);
+      metrics.push(sample);
+      if (onMetrics) onMetrics(sample);
+    }
+  }
+
+  return {
+    ticks,
+    elapsedMs: Date.now() - startTime,
+    metrics
+  };
+}
+
+export default {
+  collectMetrics,
+  runHeadless
+};
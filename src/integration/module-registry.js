@@ -0,0 +1,207 @@
+/**
+ * ArgOS Module Registry
+ *
+ * Lets third-party cognition plug into ArgOSCognitiveArchitecture without
+ * editing the integration file. A module is a plain object:
+ *
+ *   {
+ *     name: 'quantum-observer',                    // required, unique
+ *     components: { QuantumObserver },             // registered so snapshots include them
+ *     entityFields: { QuantumObserver: ['target'] }, // component fields holding entity ids
+ *     setup(architecture) {},                      // once, may be async
+ *     systems: [{ name, phase, interval, system }] // or (architecture) => [...]
+ *     initializeAgent(agent, architecture) {},     // every agent, existing and future
+ *     teardownAgent(agent, architecture) {},       // when an agent is removed
+ *     report(agent, architecture) {},              // merged into getAgentStats().modules[name]
+ *     render(ctx, agent, architecture, pixelsPerUnit) {}, // canvas overlay per agent
+ *     api: (architecture) => ({ installQuantumObserver(agent) {} }), // exposed on registry
+ *     serialize() {}, restore(data, entityMap) {}  // optional snapshot state; entityMap takes
+ *                                                  // saved entity ids to their restored ids
+ *   }
+ *
+ * Modules registered before initialize() are installed after the built-in
+ * extensions; modules registered later are installed immediately.
+ */
+
+import { hasComponent } from 'bitecs';
+import {
+  CognitiveState,
+  registerComponent,
+  registerSnapshotProvider,
+  onEntityRemoved,
+  isEntityRemoved,
+  getScheduler
+} from '../core/ArgOS-Framework.js';
+
+const HOOKS = ['setup', 'initializeAgent', 'teardownAgent', 'report', 'render', 'serialize', 'restore'];
+
+// Checks a module definition and returns a list of problems (empty when valid)
+export function validateModule(module) {
+  const errors = [];
+  if (!module || typeof module !== 'object') return ['module must be an object'];
+  if (typeof module.name !== 'string' || module.name.length === 0) errors.push('name must be a non-empty string');
+  HOOKS.forEach(hook => {
+    if (module[hook] !== undefined && typeof module[hook] !== 'function') errors.push(`${hook} must be a function`);
+  });
+  if (module.components !== undefined && (typeof module.components !== 'object' || module.components === null)) {
+    errors.push('components must be an object of name -> component');
+  }
+  if (module.entityFields !== undefined && (typeof module.entityFields !== 'object' || module.entityFields === null)) {
+    errors.push('entityFields must be an object of component name -> field names');
+  }
+  if (module.systems !== undefined && !Array.isArray(module.systems) && typeof module.systems !== 'function') {
+    errors.push('systems must be an array or a function returning one');
+  }
+  if (module.api !== undefined && typeof module.api !== 'function' && typeof module.api !== 'object') {
+    errors.push('api must be an object or a function returning one');
+  }
+  if ((module.serialize === undefined) !== (module.restore === undefined)) {
+    errors.push('serialize and restore must be provided together');
+  }
+  return errors;
+}
+
+export class ModuleRegistry {
+  constructor(architecture) {
+    this.architecture = architecture;
+    this.modules = new Map();   // name -> { module, installed, systems, api, unsubscribe }
+  }
+
+  get world() {
+    return this.architecture.world;
+  }
+
+  // Throws right away for invalid or duplicate modules; the returned promise
+  // resolves once the module is installed (at initialize() if that is still to come)
+  register(module) {
+    const errors = validateModule(module);
+    if (errors.length > 0) throw new Error(`Invalid module ${module?.name || ''}: ${errors.join('; ')}`);
+    if (this.modules.has(module.name)) throw new Error(`Module already registered: ${module.name}`);
+
+    const entry = { module, installed: false, systems: [], api: {}, unsubscribe: null };
+    this.modules.set(module.name, entry);
+    if (!this.architecture.initialized) return Promise.resolve(this);
+
+    return this.install(entry).then(() => {
+      this.architecture.scheduleSystems();
+      return this;
+    }, (error) => {
+      this.unregister(module.name);
+      throw error;
+    });
+  }
+
+  // Called by the architecture once its built-in extensions are up
+  async installAll() {
+    for (const entry of this.modules.values()) {
+      if (!entry.installed) await this.install(entry);
+    }
+  }
+
+  async install(entry) {
+    const { module } = entry;
+    const architecture = this.architecture;
+
+    Object.entries(module.components || {}).forEach(([name, component]) => {
+      registerComponent(this.world, name, component, module.entityFields?.[name]);
+    });
+    if (module.setup) await module.setup(architecture);
+
+    const systems = typeof module.systems === 'function' ? module.systems(architecture) : module.systems || [];
+    entry.systems = systems.map((declaration, i) => {
+      if (typeof declaration?.system !== 'function') {
+        throw new Error(`Module ${module.name}: systems[${i}].system must be a function`);
+      }
+      return {
+        name: declaration.name || `${module.name}:${i}`,
+        phase: declaration.phase || 'act',
+        interval: declaration.interval,
+        system: declaration.system
+      };
+    });
+
+    const api = typeof module.api === 'function' ? module.api(architecture) : module.api || {};
+    Object.keys(api).forEach(method => {
+      if (method in this) throw new Error(`Module ${module.name}: api method ${method} is already defined`);
+    });
+    Object.assign(this, api);
+    entry.api = api;
+
+    if (module.teardownAgent) {
+      entry.unsubscribe = onEntityRemoved(this.world, agent => module.teardownAgent(agent, architecture));
+    }
+    if (module.serialize) {
+      registerSnapshotProvider(this.world, `module:${module.name}`, {
+        serialize: () => module.serialize(),
+        restore: (data, entityMap) => module.restore(data, entityMap)
+      });
+    }
+
+    if (module.initializeAgent) {
+      this.getAgents().forEach(agent => module.initializeAgent(agent, architecture));
+    }
+    entry.installed = true;
+  }
+
+  unregister(name) {
+    const entry = this.modules.get(name);
+    if (!entry) return false;
+
+    const scheduler = getScheduler(this.world);
+    entry.systems.forEach(({ system }) => scheduler.remove(system));
+    Object.keys(entry.api).forEach(method => delete this[method]);
+    if (entry.unsubscribe) entry.unsubscribe();
+    this.world.snapshotProviders?.delete(`module:${name}`);
+    this.modules.delete(name);
+    return true;
+  }
+
+  has(name) {
+    return this.modules.has(name);
+  }
+
+  get(name) {
+    return this.modules.get(name)?.module || null;
+  }
+
+  // Live agents: entities with cognitive state
+  getAgents() {
+    return this.world.entities
+      .filter(i => !isEntityRemoved(this.world, i) && hasComponent(this.world, CognitiveState, i));
+  }
+
+  getSystemSchedule() {
+    return [...this.modules.values()]
+      .filter(entry => entry.installed)
+      .flatMap(entry => entry.systems);
+  }
+
+  initializeAgent(agent) {
+    this.modules.forEach(({ module, installed }) => {
+      if (installed && module.initializeAgent) module.initializeAgent(agent, this.architecture);
+    });
+  }
+
+  // name -> report for every module that has something to say about the agent
+  reports(agent) {
+    const reports = {};
+    this.modules.forEach(({ module, installed }, name) => {
+      if (!installed || !module.report) return;
+      const report = module.report(agent, this.architecture);
+      if (report !== undefined && report !== null) reports[name] = report;
+    });
+    return reports;
+  }
+
+  render(ctx, agents, pixelsPerUnit) {
+    this.modules.forEach(({ module, installed }) => {
+      if (!installed || !module.render) return;
+      agents.forEach(agent => module.render(ctx, agent, this.architecture, pixelsPerUnit));
+    });
+  }
+}
+
+export default {
+  ModuleRegistry,
+  validateModule
+};
@@ -0,0 +1,142 @@
+/**
+ * ArgOS Reproduction
+ *
+ * Agents with enough energy spawn offspring next to them. Offspring inherit the
+ * parent's cognitive traits (adaptability, curiosity, social affinity, vision
+ * range) with Gaussian mutation, part of the parent's energy and, optionally,
+ * a compressed subset of its semantic memory. Lineage records parent and
+ * generation so trait drift can be followed across a run.
+ */
+
+import { defineComponent, defineQuery, enterQuery, Types, addComponent, hasComponent } from 'bitecs';
+import {
+  Position,
+  SensoryData,
+  CognitiveState,
+  Energy,
+  Health,
+  registerComponent,
+  getRandomStream,
+  getNavigationGrid,
+  logMessage
+} from '../core/ArgOS-Framework.js';
+
+export const REPRODUCTION_CONFIG = {
+  ENERGY_THRESHOLD: 0.8,      // Share of max energy an agent needs before reproducing
+  ENERGY_TRANSFER: 0.5,       // Share of the parent's energy handed to the offspring
+  COOLDOWN: 300,              // Ticks between births (and before a newborn's first)
+  MUTATION_STRENGTH: 8,       // Standard deviation of trait mutation on the 0-100 scale
+  HERITABLE_TRAITS: ['adaptability', 'curiosity', 'socialAffinity'], // CognitiveState fields
+  INHERIT_SEMANTIC_MEMORY: true,
+  SPAWN_RADIUS: 3,
+  MAX_POPULATION: 50
+};
+
+export const Lineage = defineComponent({
+  parent: Types.eid,
+  generation: Types.ui16,     // 0: founder
+  lastBirthTime: Types.ui32   // Own birth, then each offspring's
+});
+
+// Standard normal draw (Box-Muller)
+const gaussian = (rng) => {
+  const u = 1 - rng.random();
+  const v = rng.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+};
+
+export const mutateTrait = (value, rng, strength = REPRODUCTION_CONFIG.MUTATION_STRENGTH) =>
+  Math.min(100, Math.max(0, value + gaussian(rng) * strength));
+
+// Free spot near the parent, falling back to the parent's own position
+const findSpawnPosition = (world, parent, radius, rng) => {
+  const grid = getNavigationGrid(world);
+  for (let attempt = 0; attempt < 8; attempt++) {
+    const angle = rng.random() * Math.PI * 2;
+    const x = Position.x[parent] + Math.cos(angle) * radius;
+    const y = Position.y[parent] + Math.sin(angle) * radius;
+    const inBounds = !world.bounds || (x >= 0 && y >= 0 && x <= world.bounds.width && y <= world.bounds.height);
+    if (inBounds && !grid.isBlocked(x, y)) return { x, y };
+  }
+  return { x: Position.x[parent], y: Position.y[parent] };
+};
+
+// Create one offspring of parent through the architecture's createAgent
+export function spawnOffspring(cognitiveArchitecture, parent, options = {}) {
+  const settings = { ...REPRODUCTION_CONFIG, ...options };
+  const world = cognitiveArchitecture.world;
+  const rng = getRandomStream(world, 'reproduction');
+
+  const traits = {};
+  settings.HERITABLE_TRAITS.forEach(trait => {
+    traits[trait] = mutateTrait(CognitiveState[trait][parent], rng, settings.MUTATION_STRENGTH);
+  });
+
+  const { x, y } = findSpawnPosition(world, parent, settings.SPAWN_RADIUS, rng);
+  const child = cognitiveArchitecture.createAgent({
+    x,
+    y,
+    ...traits,
+    visionRange: SensoryData.visionRange[parent] || undefined,
+    energy: Energy.max[parent] || undefined,
+    health: Health.max[parent] || undefined
+  });
+
+  // Energy moves from parent to child instead of appearing from nowhere
+  const transfer = Energy.current[parent] * settings.ENERGY_TRANSFER;
+  Energy.current[parent] -= transfer;
+  Energy.current[child] = transfer;
+
+  addComponent(world, Lineage, child);
+  Lineage.parent[child] = parent;
+  Lineage.generation[child] = Lineage.generation[parent] + 1;
+  Lineage.lastBirthTime[child] = world.time;
+  Lineage.lastBirthTime[parent] = world.time;
+
+  if (settings.INHERIT_SEMANTIC_MEMORY && cognitiveArchitecture.memoryManager) {
+    cognitiveArchitecture.memoryManager.inheritSemanticMemory(parent, child);
+  }
+
+  return child;
+}
+
+export const createReproductionSystem = (cognitiveArchitecture, options = {}) => {
+  const settings = { ...REPRODUCTION_CONFIG, ...options };
+  const query = defineQuery([Position, CognitiveState, Energy, Health]);
+  const enteredAgents = enterQuery(query);
+  registerComponent(cognitiveArchitecture.world, 'Lineage', Lineage, ['parent']);
+
+  return (world) => {
+    // Agents placed by hand or by scenarios are founders
+    enteredAgents(world).forEach(agent => {
+      if (hasComponent(world, Lineage, agent)) return;
+      addComponent(world, Lineage, agent);
+      Lineage.generation[agent] = 0;
+      Lineage.lastBirthTime[agent] = world.time;
+    });
+
+    // Copy: offspring join the live query result while we iterate
+    const agents = [...query(world)];
+    let population = agents.length;
+
+    agents.forEach(parent => {
+      if (population >= settings.MAX_POPULATION) return;
+      if (Energy.current[parent] < Energy.max[parent] * settings.ENERGY_THRESHOLD) return;
+      if (world.time - Lineage.lastBirthTime[parent] < settings.COOLDOWN) return;
+
+      const child = spawnOffspring(cognitiveArchitecture, parent, settings);
+      population++;
+      logMessage(world, `ArgOS: agent ${parent} spawned agent ${child} (generation ${Lineage.generation[child]})`);
+    });
+
+    return world;
+  };
+};
+
+export default {
+  REPRODUCTION_CONFIG,
+  Lineage,
+  mutateTrait,
+  spawnOffspring,
+  createReproductionSystem
+};
@@ -0,0 +1,386 @@
+/**
+ * ArgOS Scenario Loader
+ *
+ * Builds a ready-to-run ArgOSCognitiveArchitecture from a declarative scenario,
+ * so worlds can be set up from JSON or YAML files instead of imperative
+ * createAgent calls. Scenarios are validated up front; every problem is
+ * reported with the path of the offending field (e.g. `agents[2].cognitiveState.curiosity`).
+ *
+ * Scenario format (all sections optional):
+ *
+ *   version      1
+ *   name         label copied into run summaries
+ *   seed         integer seed for reproducible runs
+ *   ticks        default run length for `argos run`
+ *   world        { width, height, sensoryCapacity }
+ *   extensions   { memory, consciousness, temporal, crossReality, reproduction, visualization } booleans
+ *   options      raw INTEGRATION_CONFIG overrides (e.g. MEMORY_OPTIONS)
+ *   profiles     named CognitiveState profiles:
+ *                { emotional, adaptability, curiosity, socialAffinity } on a 0-100 scale
+ *   agents       count, or a list of groups:
+ *                { count, profile, cognitiveState, goalType, visionRange, energy, health, x, y, area }
+ *   resources    count, or a list of groups:
+ *   obstacles      { count, x, y, area, clusters, radius, value, depletion, respawnTime }
+ *   hazards        clusters > 0 places `count` entities around each of `clusters` centres
+ *   realityWaves false, { initialDelay, activeDuration, inactiveDuration }
+ *                or { schedule: [{ start, duration }] }
+ *
+ * `area` is { x, y, width, height } and bounds random placement (defaults to the whole world).
+ * Without a `world` section the world is options.WORLD_WIDTH x WORLD_HEIGHT,
+ * or INTEGRATION_CONFIG's 160 x 120.
+ */
+
+import { createCognitiveSimulation, INTEGRATION_CONFIG } from './ArgOS-Integration.js';
+import { getRandomStream } from '../core/ArgOS-Framework.js';
+
+export const SCENARIO_VERSION = 1;
+
+// Entity counts used when a scenario leaves them out
+const SCENARIO_DEFAULTS = {
+  agents: 5,
+  resources: 10,
+  obstacles: 7,
+  hazards: 3,
+  ticks: 1000
+};
+
+const ENVIRONMENT_TYPES = { resources: 0, obstacles: 1, hazards: 2 };
+
+const ROOT_FIELDS = ['version', 'name', 'seed', 'ticks', 'world', 'extensions', 'options', 'profiles',
+  'agents', 'resources', 'obstacles', 'hazards', 'realityWaves'];
+const WORLD_FIELDS = ['width', 'height', 'sensoryCapacity'];
+const EXTENSION_FIELDS = ['memory', 'consciousness', 'temporal', 'crossReality', 'reproduction', 'visualization'];
+const PROFILE_FIELDS = ['emotional', 'adaptability', 'curiosity', 'socialAffinity'];
+const AGENT_FIELDS = ['count', 'profile', 'cognitiveState', 'goalType', 'visionRange', 'energy', 'health', 'x', 'y', 'area'];
+const ENVIRONMENT_FIELDS = ['count', 'x', 'y', 'area', 'clusters', 'radius', 'value', 'depletion', 'respawnTime'];
+const AREA_FIELDS = ['x', 'y', 'width', 'height'];
+const WAVE_FIELDS = ['initialDelay', 'activeDuration', 'inactiveDuration', 'schedule'];
+
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+// ### Validation
+
+// overrides are the options loadScenario passes on, which win over the scenario's own
+export function validateScenario(scenario, overrides = {}) {
+  const errors = [];
+  const fail = (path, message) => errors.push({ path, message });
+  const join = (path, key) => path ? `${path}.${key}` : key;
+
+  const checkFields = (object, allowed, path) => {
+    Object.keys(object).forEach(key => {
+      if (!allowed.includes(key)) fail(join(path, key), 'is not a recognised field');
+    });
+  };
+
+  const checkNumber = (value, path, { min = -Infinity, max = Infinity, integer = false } = {}) => {
+    if (value === undefined) return;
+    if (typeof value !== 'number' || !Number.isFinite(value)) return fail(path, 'must be a number');
+    if (integer && !Number.isInteger(value)) return fail(path, 'must be an integer');
+    if (value < min) return fail(path, `must be at least ${min}`);
+    if (value > max) fail(path, `must be at most ${max}`);
+  };
+
+  const checkBoolean = (value, path) => {
+    if (value !== undefined && typeof value !== 'boolean') fail(path, 'must be true or false');
+  };
+
+  const checkSection = (value, path) => {
+    if (value === undefined) return false;
+    if (!isObject(value)) {
+      fail(path, 'must be an object');
+      return false;
+    }
+    return true;
+  };
+
+  if (!isObject(scenario)) {
+    fail('', 'scenario must be an object');
+    return errors;
+  }
+
+  checkFields(scenario, ROOT_FIELDS, '');
+  if (scenario.version !== undefined && scenario.version !== SCENARIO_VERSION) {
+    fail('version', `unsupported version (expected ${SCENARIO_VERSION})`);
+  }
+  if (scenario.name !== undefined && typeof scenario.name !== 'string') fail('name', 'must be a string');
+  checkNumber(scenario.seed, 'seed', { min: 0, integer: true });
+  checkNumber(scenario.ticks, 'ticks', { min: 0, integer: true });
+
+  // Positions and areas are checked against the size the world will be built with
+  const options = isObject(scenario.options) ? scenario.options : {};
+  const dimension = (...values) => values.find(value => typeof value === 'number' && Number.isFinite(value));
+  const world = {
+    width: dimension(overrides.WORLD_WIDTH, options.WORLD_WIDTH, INTEGRATION_CONFIG.WORLD_WIDTH),
+    height: dimension(overrides.WORLD_HEIGHT, options.WORLD_HEIGHT, INTEGRATION_CONFIG.WORLD_HEIGHT)
+  };
+  if (checkSection(scenario.world, 'world')) {
+    checkFields(scenario.world, WORLD_FIELDS, 'world');
+    checkNumber(scenario.world.width, 'world.width', { min: 1 });
+    checkNumber(scenario.world.height, 'world.height', { min: 1 });
+    // Short-term memory slots are stored as ui8 indices
+    checkNumber(scenario.world.sensoryCapacity, 'world.sensoryCapacity', { min: 1, max: 255, integer: true });
+    world.width = dimension(overrides.WORLD_WIDTH, scenario.world.width, world.width);
+    world.height = dimension(overrides.WORLD_HEIGHT, scenario.world.height, world.height);
+  }
+
+  if (checkSection(scenario.extensions, 'extensions')) {
+    checkFields(scenario.extensions, EXTENSION_FIELDS, 'extensions');
+    EXTENSION_FIELDS.forEach(key => checkBoolean(scenario.extensions[key], `extensions.${key}`));
+  }
+
+  checkSection(scenario.options, 'options');
+
+  const checkProfile = (profile, path) => {
+    if (!checkSection(profile, path)) return;
+    checkFields(profile, PROFILE_FIELDS, path);
+    PROFILE_FIELDS.forEach(key => checkNumber(profile[key], `${path}.${key}`, { min: 0, max: 100 }));
+  };
+
+  const profiles = isObject(scenario.profiles) ? scenario.profiles : {};
+  if (checkSection(scenario.profiles, 'profiles')) {
+    Object.entries(scenario.profiles).forEach(([name, profile]) => {
+      if (!isObject(profile)) return fail(`profiles.${name}`, 'must be an object');
+      checkProfile(profile, `profiles.${name}`);
+    });
+  }
+
+  const checkArea = (area, path) => {
+    if (!checkSection(area, path)) return;
+    checkFields(area, AREA_FIELDS, path);
+    ['x', 'y', 'width', 'height'].forEach(key => {
+      if (area[key] === undefined) fail(`${path}.${key}`, 'is required');
+    });
+    checkNumber(area.x, `${path}.x`, { min: 0, max: world.width });
+    checkNumber(area.y, `${path}.y`, { min: 0, max: world.height });
+    checkNumber(area.width, `${path}.width`, { min: 0 });
+    checkNumber(area.height, `${path}.height`, { min: 0 });
+    if (area.x + area.width > world.width) fail(`${path}.width`, `reaches past the world width (${world.width})`);
+    if (area.y + area.height > world.height) fail(`${path}.height`, `reaches past the world height (${world.height})`);
+  };
+
+  // Shared by agent and environment groups: count plus a fixed point or an area
+  const checkPlacement = (group, path) => {
+    checkNumber(group.count, `${path}.count`, { min: 0, integer: true });
+    checkNumber(group.x, `${path}.x`, { min: 0, max: world.width });
+    checkNumber(group.y, `${path}.y`, { min: 0, max: world.height });
+    if ((group.x === undefined) !== (group.y === undefined)) {
+      fail(`${path}.${group.x === undefined ? 'x' : 'y'}`, 'is required when a fixed position is given');
+    }
+    if (group.x !== undefined && group.area !== undefined) fail(`${path}.area`, 'cannot be combined with x/y');
+    if (group.x !== undefined && (group.count ?? 1) > 1) fail(`${path}.count`, 'must be 1 when x/y are given');
+    checkArea(group.area, `${path}.area`);
+  };
+
+  const checkGroups = (groups, key, checkGroup) => {
+    if (groups === undefined) return;
+    if (typeof groups === 'number') return checkNumber(groups, key, { min: 0, integer: true });
+    if (!Array.isArray(groups)) return fail(key, 'must be a count or a list of groups');
+    groups.forEach((group, i) => {
+      const path = `${key}[${i}]`;
+      if (!isObject(group)) return fail(path, 'must be an object');
+      checkGroup(group, path);
+    });
+  };
+
+  checkGroups(scenario.agents, 'agents', (group, path) => {
+    checkFields(group, AGENT_FIELDS, path);
+    checkPlacement(group, path);
+    if (group.profile !== undefined) {
+      if (typeof group.profile !== 'string') fail(`${path}.profile`, 'must be a profile name');
+      else if (!Object.prototype.hasOwnProperty.call(profiles, group.profile)) {
+        fail(`${path}.profile`, `unknown profile "${group.profile}"`);
+      }
+    }
+    checkProfile(group.cognitiveState, `${path}.cognitiveState`);
+    checkNumber(group.goalType, `${path}.goalType`, { min: 0, max: 3, integer: true });
+    checkNumber(group.visionRange, `${path}.visionRange`, { min: 0 });
+    checkNumber(group.energy, `${path}.energy`, { min: 1 });
+    checkNumber(group.health, `${path}.health`, { min: 1 });
+  });
+
+  Object.keys(ENVIRONMENT_TYPES).forEach(key => {
+    checkGroups(scenario[key], key, (group, path) => {
+      checkFields(group, ENVIRONMENT_FIELDS, path);
+      checkPlacement(group, path);
+      checkNumber(group.clusters, `${path}.clusters`, { min: 0, integer: true });
+      checkNumber(group.radius, `${path}.radius`, { min: 0 });
+      if (group.clusters !== undefined && group.x !== undefined) fail(`${path}.clusters`, 'cannot be combined with x/y');
+      if (group.radius !== undefined && !group.clusters) fail(`${path}.radius`, 'requires clusters');
+      checkNumber(group.value, `${path}.value`, { min: 0 });
+      checkNumber(group.depletion, `${path}.depletion`, { min: 0 });
+      checkNumber(group.respawnTime, `${path}.respawnTime`, { min: 1, max: 65535, integer: true });
+    });
+  });
+
+  const waves = scenario.realityWaves;
+  if (waves !== undefined && waves !== false && checkSection(waves, 'realityWaves')) {
+    checkFields(waves, WAVE_FIELDS, 'realityWaves');
+    checkNumber(waves.initialDelay, 'realityWaves.initialDelay', { min: 1, integer: true });
+    checkNumber(waves.activeDuration, 'realityWaves.activeDuration', { min: 1, integer: true });
+    checkNumber(waves.inactiveDuration, 'realityWaves.inactiveDuration', { min: 1, integer: true });
+
+    if (waves.schedule !== undefined) {
+      if (['initialDelay', 'activeDuration', 'inactiveDuration'].some(key => waves[key] !== undefined)) {
+        fail('realityWaves.schedule', 'cannot be combined with periodic durations');
+      }
+      if (!Array.isArray(waves.schedule)) {
+        fail('realityWaves.schedule', 'must be a list of { start, duration } windows');
+      } else {
+        waves.schedule.forEach((window, i) => {
+          const path = `realityWaves.schedule[${i}]`;
+          if (!isObject(window)) return fail(path, 'must be an object');
+          checkFields(window, ['start', 'duration'], path);
+          if (window.start === undefined) fail(`${path}.start`, 'is required');
+          if (window.duration === undefined) fail(`${path}.duration`, 'is required');
+          checkNumber(window.start, `${path}.start`, { min: 0, integer: true });
+          checkNumber(window.duration, `${path}.duration`, { min: 1, integer: true });
+        });
+      }
+    }
+  }
+
+  return errors;
+}
+
+// ### Parsing
+
+export async function parseScenario(text, format = 'json') {
+  if (format === 'yaml' || format === 'yml') {
+    // YAML support is optional; only scenarios that need it pull the parser in
+    const yaml = await import('js-yaml');
+    return (yaml.load || yaml.default.load)(text);
+  }
+  return JSON.parse(text);
+}
+
+// ### Building
+
+// Resolve the count/point/area/cluster fields of a group into positions
+function placeGroup(group, rng, bounds) {
+  const count = group.count ?? 1;
+  if (group.x !== undefined) return count > 0 ? [{ x: group.x, y: group.y }] : [];
+
+  const area = group.area || { x: 0, y: 0, width: bounds.width, height: bounds.height };
+  const randomPoint = () => ({
+    x: area.x + rng.random() * area.width,
+    y: area.y + rng.random() * area.height
+  });
+
+  if (!group.clusters) return Array.from({ length: count }, randomPoint);
+
+  const radius = group.radius ?? 10;
+  const positions = [];
+  for (let c = 0; c < group.clusters; c++) {
+    const center = randomPoint();
+    for (let i = 0; i < count; i++) {
+      const angle = rng.random() * Math.PI * 2;
+      const distance = Math.sqrt(rng.random()) * radius;
+      positions.push({
+        x: Math.min(bounds.width, Math.max(0, center.x + Math.cos(angle) * distance)),
+        y: Math.min(bounds.height, Math.max(0, center.y + Math.sin(angle) * distance))
+      });
+    }
+  }
+  return positions;
+}
+
+// Normalise a count shorthand into a list of groups
+const toGroups = (value) => typeof value === 'number' ? [{ count: value }] : value;
+
+export async function loadScenario(scenario = {}, overrides = {}) {
+  const errors = validateScenario(scenario, overrides);
+  if (errors.length > 0) {
+    const details = errors.map(e => e.path ? `${e.path}: ${e.message}` : e.message).join('\n  ');
+    const error = new Error(`Invalid scenario${scenario?.name ? ` "${scenario.name}"` : ''}:\n  ${details}`);
+    error.errors = errors;
+    throw error;
+  }
+
+  const settings = { ...SCENARIO_DEFAULTS, ...scenario };
+  const extensions = scenario.extensions || {};
+  const options = {
+    ENABLE_VISUALIZATION: false,
+    ...scenario.options
+  };
+
+  if (scenario.seed !== undefined) options.SEED = scenario.seed;
+  if (scenario.world?.width !== undefined) options.WORLD_WIDTH = scenario.world.width;
+  if (scenario.world?.height !== undefined) options.WORLD_HEIGHT = scenario.world.height;
+  if (scenario.world?.sensoryCapacity !== undefined) options.SENSORY_CAPACITY = scenario.world.sensoryCapacity;
+  if (extensions.memory !== undefined) options.ENABLE_ENHANCED_MEMORY = extensions.memory;
+  if (extensions.consciousness !== undefined) options.ENABLE_CONSCIOUSNESS = extensions.consciousness;
+  if (extensions.temporal !== undefined) options.ENABLE_TEMPORAL_CONSCIOUSNESS = extensions.temporal;
+  if (extensions.crossReality !== undefined) options.ENABLE_CROSS_REALITY_KNOWLEDGE = extensions.crossReality;
+  if (extensions.reproduction !== undefined) options.ENABLE_REPRODUCTION = extensions.reproduction;
+  if (extensions.visualization !== undefined) options.ENABLE_VISUALIZATION = extensions.visualization;
+
+  const cognitiveArchitecture = await createCognitiveSimulation({ ...options, ...overrides });
+  const world = cognitiveArchitecture.world;
+  const rng = getRandomStream(world, 'scenario');
+  const bounds = {
+    width: cognitiveArchitecture.options.WORLD_WIDTH,
+    height: cognitiveArchitecture.options.WORLD_HEIGHT
+  };
+
+  toGroups(settings.agents).forEach(group => {
+    const profile = { ...(group.profile ? scenario.profiles[group.profile] : {}), ...group.cognitiveState };
+    placeGroup(group, rng, bounds).forEach(({ x, y }) => {
+      cognitiveArchitecture.createAgent({
+        x,
+        y,
+        goalType: group.goalType,
+        visionRange: group.visionRange,
+        energy: group.energy,
+        health: group.health,
+        ...profile
+      });
+    });
+  });
+
+  Object.entries(ENVIRONMENT_TYPES).forEach(([key, type]) => {
+    toGroups(settings[key]).forEach(group => {
+      const config = { value: group.value, depletion: group.depletion, respawnTime: group.respawnTime };
+      placeGroup(group, rng, bounds).forEach(({ x, y }) => {
+        cognitiveArchitecture.createEnvironmentalEntity(type, x, y, config);
+      });
+    });
+  });
+
+  const waves = scenario.realityWaves;
+  if (waves === false) {
+    world.realityWave = { active: false, timer: 0, enabled: false };
+  } else if (waves?.schedule) {
+    world.realityWave = { active: false, timer: 0, schedule: waves.schedule.map(w => ({ ...w })) };
+  } else if (waves) {
+    world.realityWave = {
+      active: false,
+      timer: waves.initialDelay ?? waves.inactiveDuration ?? 500,
+      activeDuration: waves.activeDuration,
+      inactiveDuration: waves.inactiveDuration
+    };
+  }
+
+  return { cognitiveArchitecture, ticks: settings.ticks, name: scenario.name ?? null };
+}
+
+export async function loadScenarioFile(filePath, overrides = {}) {
+  const fs = await import('fs/promises');
+  const text = await fs.readFile(filePath, 'utf8');
+  const format = /\.ya?ml$/i.test(filePath) ? 'yaml' : 'json';
+
+  let scenario;
+  try {
+    scenario = await parseScenario(text, format);
+  } catch (error) {
+    throw new Error(`Could not parse scenario ${filePath}: ${error.message}`);
+  }
+  return loadScenario(scenario, overrides);
+}
+
+export default {
+  SCENARIO_VERSION,
+  validateScenario,
+  parseScenario,
+  loadScenario,
+  loadScenarioFile
+};
@@ -9,7 +9,6 @@
  * Part of Project 89's consciousness simulation exploration.
  */
 
-import axios from 'axios';
 import { 
   Position, 
   Environmental, 
@@ -17,9 +16,34 @@ import {
   Actions, 
   Goals, 
   CognitiveState, 
-  RealityFlux 
-} from './argos-framework.js';
-import { defineComponent, defineQuery, defineSystem, Types, addComponent } from 'bitecs';
+  RealityFlux,
+  SlotBuffer,
+  NO_ENTITY,
+  registerComponent,
+  registerSnapshotProvider,
+  encodeValue,
+  decodeValue,
+  remapEntity,
+  getRandomStream,
+  getSensoryCapacity,
+  getDetectedEntities,
+  getActionOutcome,
+  isResourceAvailable,
+  onEntityRemoved,
+  isEntityRemoved,
+  emitEvent,
+  logMessage,
+  nextId
+} from '../core/ArgOS-Framework.js';
+import { defineComponent, defineQuery, defineSystem, Types, addComponent, hasComponent } from 'bitecs';
+import { createStorageAdapter } from './storage-adapters.js';
+import { SyncOutbox } from './sync-outbox.js';
+import { compileQuery } from './memory-query.js';
+import { resolveForgettingCurve, memoryStability } from './forgetting.js';
+import { SimilarityIndex, situationOfMemory } from './similarity-index.js';
+import { SharedMemoryPool } from './shared-memory-pool.js';
+import { TrustModel } from './trust-model.js';
+import { TheoryOfMind } from './theory-of-mind.js';
 
 // ### Configuration
 const CONFIG = {
@@ -28,26 +52,52 @@ const CONFIG = {
   SEMANTIC_UPDATE_INTERVAL: 50,
   MAX_EPISODIC_MEMORY_AGE: 1000,
   MEMORY_DECAY_RATE: 0.05,
+  LONG_TERM_DECAY_RATE: 0.005,     // Consolidated memories fade more slowly
+  FORGETTING_CURVE: 'exponential', // 'exponential', 'power-law', 'ebbinghaus' or a function (see forgetting.js)
+  POWER_LAW_EXPONENT: 1.5,
+  REHEARSAL_STABILITY_GAIN: 1.0,   // Stability added per rehearsal, stretching the forgetting curve
+  REHEARSAL_BOOST: 0.2,            // Share of the missing importance a well-spaced rehearsal restores
+  REHEARSAL_SPACING: 20,           // Ticks between rehearsals for full effect, scaled by stability
+  REHEARSAL_SOURCES: { recall: 1.0, dream: 0.8, reflection: 0.6 }, // Strength by kind of rehearsal
+  FORGET_THRESHOLD: 0.1,           // Memories whose importance decays below this are forgotten
+  ARCHIVE_LIMIT: 500,              // Forgotten memories kept compressed per agent (0: discard)
   PATTERN_CONFIDENCE_THRESHOLD: 0.7,
-  ENABLE_CLOUD_SYNC: true,
+  ENABLE_CLOUD_SYNC: true,   // Shorthand for STORAGE: 'cloud' when STORAGE is not set
+  STORAGE: null,             // 'memory', 'filesystem', 'cloud', an adapter object, or false for none
+  STORAGE_OPTIONS: {},       // Passed to the built-in adapter, e.g. { directory: 'argos-memory' }
+  OUTBOX_DIRECTORY: 'argos-outbox', // Failed storage writes wait here for replay (null: memory only)
+  OUTBOX_BASE_DELAY: 1000,   // First replay delay in ms, doubled after every failed replay
+  OUTBOX_MAX_DELAY: 300000,
   BATCH_SIZE: 50,
   RETRY_DELAY: 1000,
   MAX_RETRIES: 3,
   CONSOLIDATION_INTERVAL: 100,
-  SPATIAL_CELL_SIZE: 10
+  SPATIAL_CELL_SIZE: 10,
+  SIMILARITY_POSITION_SCALE: 100, // Distance that counts as fully different in similarity recall
+  SIMILARITY_WEIGHTS: {},    // Per feature group overrides, e.g. { position: 3 } (see similarity-index.js)
+  SHORT_TERM_CAPACITY: null, // Defaults to the world's sensory capacity
+  INHERITED_PATTERN_LIMIT: 5,  // Semantic patterns passed to offspring
+  SHARED_MEMORY_POOL: false,   // Agents publish to and learn from a collective memory pool
+  SHARED_POOL_INTERVAL: 25,    // Ticks between an agent's exchanges with the pool
+  SHARED_POOL_CAPACITY: 200,
+  SHARED_PUBLISH_IMPORTANCE: 0.8,    // Episodic memories at least this important are published
+  SHARED_TRANSMISSION_FIDELITY: 0.8, // Share of fidelity (and pattern confidence) kept in transmission
+  DEFAULT_TRUST: 0.5,          // Trust in another agent before its knowledge is checked
+  MIN_TRUST: 0.2,              // Knowledge from sources trusted less than this is ignored
+  TRUST_PRIOR_WEIGHT: 2,       // Confirmations the default trust counts as (see trust-model.js)
+  TRUST_POSITION_TOLERANCE: 5, // Distance within which an observation confirms heard knowledge
+  BELIEF_GOAL_DECAY: 0.9,      // Weight earlier goal sightings keep in beliefs about other agents
+  BELIEF_KNOWLEDGE_LIMIT: 20,  // Entities remembered as known to each observed agent
+  INHERITANCE_CONFIDENCE: 0.5  // Confidence multiplier for inherited patterns and associations
 };
 
 // ### EnhancedMemory Component
+// Short-term slots live in MemoryManager.shortTerm, sized by shortTermCapacity
 export const EnhancedMemory = defineComponent({
   shortTermCapacity: Types.ui8,
   shortTermIndex: Types.ui8,
-  shortTermIds: [Types.eid, 10],
-  shortTermTypes: [Types.ui8, 10],
-  shortTermPositionsX: [Types.f32, 10],
-  shortTermPositionsY: [Types.f32, 10],
-  shortTermTimestamps: [Types.ui32, 10],
-  shortTermImportance: [Types.f32, 10],
-  shortTermFidelity: [Types.f32, 10],
+  // Per-agent memory state is keyed by memoryId rather than by entity: entity ids
+  // are recycled when agents die, memoryIds (from nextId) never are
   memoryId: Types.ui32,
   lastSyncTime: Types.ui32,
   semanticUpdateTime: Types.ui32,
@@ -58,19 +108,24 @@ export const EnhancedMemory = defineComponent({
 
 // ### EpisodicMemory Class
 class EpisodicMemory {
-  constructor(agentId, event) {
-    this.id = `${agentId}-${event.timestamp}-${Math.random().toString(36).slice(2, 9)}`;
+  constructor(agentId, event, rng = Math) {
+    this.id = `${agentId}-${event.timestamp}-${rng.random().toString(36).slice(2, 9)}`;
     this.timestamp = event.timestamp || 0;
     this.entityId = event.entityId || 0;
     this.entityType = event.entityType || 0;
     this.position = event.position || { x: 0, y: 0 };
     this.importance = Math.min(1, Math.max(0, event.importance || 0.5));
+    this.baseImportance = this.importance; // Importance at encoding; decay works from this
+    this.rehearsals = 0;                   // Spacing-weighted rehearsal count
+    this.lastRehearsed = this.timestamp;
     this.context = event.context || {};
     this.agentId = agentId;
     this.fidelity = Math.min(1, Math.max(0, event.fidelity || 1.0));
     this.tags = event.tags || [];
     this.emotionalImpact = event.emotional || 50;
     this.creationTime = Date.now();
+    this.synced = false; // Persisted to the storage backend
+    this.shared = false; // Published to the shared memory pool
   }
 
   compress() {
@@ -88,7 +143,7 @@ class EpisodicMemory {
     };
   }
 
-  static decompress(agentId, data) {
+  static decompress(agentId, data, rng = Math) {
     const [x, y] = data.pos.split(',').map(parseFloat);
     return new EpisodicMemory(agentId, {
       timestamp: data.ts,
@@ -100,7 +155,7 @@ class EpisodicMemory {
       fidelity: data.fid,
       tags: data.tags.split('|'),
       emotional: data.emo
-    });
+    }, rng);
   }
 }
 
@@ -122,6 +177,7 @@ class SemanticMemory {
       existing.sourceCount = totalCount;
       existing.lastConfirmed = pattern.timestamp;
       existing.evidence.push(...(pattern.evidence || []));
+      if (pattern.source) existing.sources = [...(existing.sources || []), pattern.source];
     } else {
       this.patterns.push({
         type: pattern.type,
@@ -130,7 +186,8 @@ class SemanticMemory {
         sourceCount: pattern.sourceCount,
         created: pattern.timestamp,
         lastConfirmed: pattern.timestamp,
-        evidence: pattern.evidence || []
+        evidence: pattern.evidence || [],
+        sources: pattern.source ? [pattern.source] : [] // Provenance of patterns learned from others
       });
     }
   }
@@ -297,6 +354,14 @@ class SpatialIndex {
     }
     return memories.filter(m => Math.hypot(m.position.x - x, m.position.y - y) <= radius);
   }
+
+  removeWhere(predicate) {
+    this.grid.forEach((memories, key) => {
+      const kept = memories.filter(m => !predicate(m));
+      if (kept.length === 0) this.grid.delete(key);
+      else this.grid.set(key, kept);
+    });
+  }
 }
 
 // ### MemoryManager Class
@@ -304,82 +369,109 @@ export class MemoryManager {
   constructor(world, options = {}) {
     this.world = world;
     this.options = { ...CONFIG, ...options };
+    this.rng = getRandomStream(world, 'memory');
+    this.shortTermCapacity = this.options.SHORT_TERM_CAPACITY || getSensoryCapacity(world);
+    this.shortTerm = {
+      ids: new SlotBuffer(Uint32Array, this.shortTermCapacity, NO_ENTITY),
+      types: new SlotBuffer(Uint8Array, this.shortTermCapacity),
+      positionsX: new SlotBuffer(Float32Array, this.shortTermCapacity),
+      positionsY: new SlotBuffer(Float32Array, this.shortTermCapacity),
+      timestamps: new SlotBuffer(Uint32Array, this.shortTermCapacity),
+      importance: new SlotBuffer(Float32Array, this.shortTermCapacity),
+      fidelity: new SlotBuffer(Float32Array, this.shortTermCapacity, 1.0)
+    };
     this.apiEndpoint = this.options.API_ENDPOINT;
+    this.storage = createStorageAdapter(
+      this.options.STORAGE ?? (this.options.ENABLE_CLOUD_SYNC ? 'cloud' : null),
+      { endpoint: this.apiEndpoint, log: (...args) => logMessage(world, ...args), ...this.options.STORAGE_OPTIONS }
+    );
     this.agentMemoryCache = new Map();
     this.episodicQueue = new Map();
     this.longTermMemory = new Map();
     this.spatialIndex = new SpatialIndex(this.options.SPATIAL_CELL_SIZE);
+    this.similarityIndex = this.createSimilarityIndex();
     this.pendingSemanticUpdates = new Set();
+    this.forgettingCurve = resolveForgettingCurve(this.options.FORGETTING_CURVE);
+    this.archive = new Map(); // memoryId -> compressed forgotten memories, oldest first
+    this.forgettingStats = { forgotten: 0, archived: 0, discarded: 0, byTier: { episodic: 0, longTerm: 0 }, byType: {}, totalAge: 0 };
+    this.rehearsalStats = {}; // source -> rehearsals that strengthened a memory
+    this.sharedPool = this.options.SHARED_MEMORY_POOL
+      ? new SharedMemoryPool({ capacity: this.options.SHARED_POOL_CAPACITY })
+      : null;
+    this.trust = new TrustModel({ defaultTrust: this.options.DEFAULT_TRUST, priorWeight: this.options.TRUST_PRIOR_WEIGHT });
+    this.unverified = new Map(); // memoryId -> Map(entityId -> heard or shared memories not yet checked)
+    this.theoryOfMind = this.createTheoryOfMind();
     this.initialized = false;
     this.syncInProgress = false;
-    this.retryQueue = new Map();
+    this.outbox = new SyncOutbox({
+      directory: this.options.OUTBOX_DIRECTORY,
+      baseDelay: this.options.OUTBOX_BASE_DELAY,
+      maxDelay: this.options.OUTBOX_MAX_DELAY
+    });
+    this.syncStats = { storedMemories: 0, queuedWrites: 0, replayedWrites: 0, lastSyncAt: null };
+    registerComponent(world, 'EnhancedMemory', EnhancedMemory);
+    registerSnapshotProvider(world, 'memory', this);
+    onEntityRemoved(world, entity => this.removeAgent(entity));
   }
 
   async initialize() {
     if (this.initialized) return;
+    if (this.storage) await this.outbox.load();
     const agentEntities = this.findAgentEntities();
     await Promise.all(agentEntities.map(agent => this.initializeAgentMemory(agent)));
     this.initialized = true;
-    console.log(`HESMS: Initialized memory for ${agentEntities.length} agents`);
+    logMessage(this.world, `HESMS: Initialized memory for ${agentEntities.length} agents`);
     return this;
   }
 
   findAgentEntities() {
-    return Array.from({ length: this.world.entities.length }, (_, i) => i)
-      .filter(i => SensoryData[i] && Position[i]);
+    return this.world.entities
+      .filter(i => !isEntityRemoved(this.world, i) && hasComponent(this.world, SensoryData, i) && hasComponent(this.world, Position, i));
   }
 
   async initializeAgentMemory(agent) {
-    if (EnhancedMemory[agent]) return;
+    if (hasComponent(this.world, EnhancedMemory, agent)) return;
     addComponent(this.world, EnhancedMemory, agent);
-    EnhancedMemory.shortTermCapacity[agent] = 10;
+    EnhancedMemory.shortTermCapacity[agent] = this.shortTermCapacity;
     EnhancedMemory.shortTermIndex[agent] = 0;
     EnhancedMemory.globalFidelity[agent] = 1.0;
     EnhancedMemory.lastSyncTime[agent] = this.world.time || 0;
     EnhancedMemory.semanticUpdateTime[agent] = this.world.time || 0;
-    EnhancedMemory.memoryId[agent] = Date.now() + agent;
-    for (let i = 0; i < 10; i++) {
-      EnhancedMemory.shortTermIds[agent * 10 + i] = 0;
-      EnhancedMemory.shortTermTypes[agent * 10 + i] = 0;
-      EnhancedMemory.shortTermPositionsX[agent * 10 + i] = 0;
-      EnhancedMemory.shortTermPositionsY[agent * 10 + i] = 0;
-      EnhancedMemory.shortTermTimestamps[agent * 10 + i] = 0;
-      EnhancedMemory.shortTermImportance[agent * 10 + i] = 0;
-      EnhancedMemory.shortTermFidelity[agent * 10 + i] = 1.0;
-    }
+    EnhancedMemory.memoryId[agent] = nextId(this.world, 'memory');
+    Object.values(this.shortTerm).forEach(buffer => buffer.reset(agent));
     this.agentMemoryCache.set(EnhancedMemory.memoryId[agent], new SemanticMemory());
-    if (this.options.ENABLE_CLOUD_SYNC) {
-      await this.retryOperation(() => this.createCloudMemory(EnhancedMemory.memoryId[agent]));
+    if (this.storage) {
+      await this.persist({ kind: 'create', memoryId: EnhancedMemory.memoryId[agent] });
     }
   }
 
-  async createCloudMemory(memoryId) {
-    if (!this.options.ENABLE_CLOUD_SYNC) return;
-    const response = await axios.post(`${this.apiEndpoint}/memory/${memoryId}/create`, {});
-    console.log(`HESMS: Cloud memory created for ID ${memoryId}`);
-    return response.data;
-  }
-
   recordEpisodicMemory(agent, event) {
     const memoryId = EnhancedMemory.memoryId[agent];
     const shortTermIndex = EnhancedMemory.shortTermIndex[agent];
     const capacity = EnhancedMemory.shortTermCapacity[agent];
+    // success/reward are only known when the memory records an action outcome
     const context = {
-      action: Actions[agent]?.currentAction || null,
-      success: Actions[agent]?.successRate || null,
-      emotionalState: CognitiveState[agent]?.emotionalState || null,
-      realityShift: RealityFlux[agent]?.effectType > 0
+      action: hasComponent(this.world, Actions, agent) ? Actions.currentAction[agent] : null,
+      success: event.outcome ? event.outcome.success : undefined,
+      reward: event.outcome ? event.outcome.reward : undefined,
+      emotionalState: hasComponent(this.world, CognitiveState, agent) ? CognitiveState.emotionalState[agent] : null,
+      realityShift: hasComponent(this.world, RealityFlux, agent) && RealityFlux.effectType[agent] > 0
     };
+    // Knowledge learned from another agent names its source and counts as much
+    // as the agent trusts it
+    if (event.source) context.source = { ...event.source, trust: this.getSourceTrust(agent, event.source.memoryId) };
+    // Sightings of another agent keep what it was seen doing
+    if (event.observed) context.observed = event.observed;
     const emotionalBoost = (context.emotionalState > 70 || context.emotionalState < 30) ? 0.2 : 0;
-    event.importance = Math.min(1, (event.importance || 0.5) + emotionalBoost);
-
-    EnhancedMemory.shortTermIds[agent * 10 + shortTermIndex] = event.entityId;
-    EnhancedMemory.shortTermTypes[agent * 10 + shortTermIndex] = event.entityType;
-    EnhancedMemory.shortTermPositionsX[agent * 10 + shortTermIndex] = event.position.x;
-    EnhancedMemory.shortTermPositionsY[agent * 10 + shortTermIndex] = event.position.y;
-    EnhancedMemory.shortTermTimestamps[agent * 10 + shortTermIndex] = this.world.time;
-    EnhancedMemory.shortTermImportance[agent * 10 + shortTermIndex] = event.importance;
-    EnhancedMemory.shortTermFidelity[agent * 10 + shortTermIndex] = EnhancedMemory.globalFidelity[agent];
+    event.importance = Math.min(1, (event.importance || 0.5) + emotionalBoost) * (context.source?.trust ?? 1);
+
+    this.shortTerm.ids.set(agent, shortTermIndex, event.entityId);
+    this.shortTerm.types.set(agent, shortTermIndex, event.entityType);
+    this.shortTerm.positionsX.set(agent, shortTermIndex, event.position.x);
+    this.shortTerm.positionsY.set(agent, shortTermIndex, event.position.y);
+    this.shortTerm.timestamps.set(agent, shortTermIndex, this.world.time);
+    this.shortTerm.importance.set(agent, shortTermIndex, event.importance);
+    this.shortTerm.fidelity.set(agent, shortTermIndex, EnhancedMemory.globalFidelity[agent]);
     EnhancedMemory.shortTermIndex[agent] = (shortTermIndex + 1) % capacity;
 
     if (!this.episodicQueue.has(memoryId)) this.episodicQueue.set(memoryId, []);
@@ -393,48 +485,160 @@ export class MemoryManager {
       fidelity: EnhancedMemory.globalFidelity[agent],
       tags: this.generateMemoryTags(event, context),
       emotional: context.emotionalState || 50
-    });
+    }, this.rng);
     this.episodicQueue.get(memoryId).push(episodicMemory);
     this.spatialIndex.addMemory(episodicMemory);
+    this.similarityIndex.add(memoryId, episodicMemory);
+    if (context.source) this.trackUnverified(memoryId, episodicMemory);
+    else this.verifyHeardMemories(agent, episodicMemory);
+    this.updateBeliefs(memoryId, episodicMemory);
 
     if (this.episodicQueue.get(memoryId).length >= 5) {
       this.pendingSemanticUpdates.add(memoryId);
     }
+    emitEvent(this.world, 'memory:recorded', { agent, memory: episodicMemory });
     return episodicMemory;
   }
 
+  // Forget everything held for a removed agent
+  removeAgent(agent) {
+    if (!hasComponent(this.world, EnhancedMemory, agent)) return;
+    const memoryId = EnhancedMemory.memoryId[agent];
+    this.spatialIndex.removeWhere(m => m.agentId === agent);
+    this.similarityIndex.removePartition(memoryId);
+    this.episodicQueue.delete(memoryId);
+    this.longTermMemory.delete(memoryId);
+    this.archive.delete(memoryId);
+    this.trust.removeHolder(memoryId);
+    this.unverified.delete(memoryId);
+    this.theoryOfMind.removeHolder(memoryId);
+    this.theoryOfMind.removeSubject(memoryId);
+    this.sharedPool?.removeReader(memoryId);
+    this.agentMemoryCache.delete(memoryId);
+    this.pendingSemanticUpdates.delete(memoryId);
+    Object.values(this.shortTerm).forEach(buffer => buffer.reset(agent));
+  }
+
+  // Filled slots only
+  getShortTermMemories(agent) {
+    const capacity = EnhancedMemory.shortTermCapacity[agent];
+    return Array.from({ length: capacity }, (_, slot) => slot)
+      .filter(slot => this.shortTerm.ids.get(agent, slot) !== NO_ENTITY)
+      .map(slot => ({
+        slot,
+        entityId: this.shortTerm.ids.get(agent, slot),
+        entityType: this.shortTerm.types.get(agent, slot),
+        position: {
+          x: this.shortTerm.positionsX.get(agent, slot),
+          y: this.shortTerm.positionsY.get(agent, slot)
+        },
+        timestamp: this.shortTerm.timestamps.get(agent, slot),
+        importance: this.shortTerm.importance.get(agent, slot),
+        fidelity: this.shortTerm.fidelity.get(agent, slot)
+      }));
+  }
+
   generateMemoryTags(event, context) {
     return [
       `type_${event.entityType}`,
       `imp_${Math.floor(event.importance * 10)}`,
       ...(context.action !== null ? [`act_${context.action}`] : []),
-      ...(context.success > 80 ? ['success_high'] : []),
+      ...(context.success === true ? ['success'] : context.success === false ? ['failure'] : []),
       ...(context.realityShift ? ['shift'] : []),
+      ...(context.source ? ['heard'] : []),
+      ...(context.observed?.goalType !== undefined ? [`goal_${context.observed.goalType}`] : []),
       `quad_${event.position.y < 50 ? 'n' : 's'}_${event.position.x < 50 ? 'w' : 'e'}`
     ];
   }
 
+  // Appends memories recorded since the last sync to storage for agents whose
+  // sync interval has come round. Memories stay where they are: storage holds a
+  // durable copy, so persisting never changes what agents remember.
   async syncEpisodicMemories() {
-    if (!this.options.ENABLE_CLOUD_SYNC || this.syncInProgress || this.episodicQueue.size === 0) return;
+    if (!this.storage || this.syncInProgress) return;
     this.syncInProgress = true;
-    const memoryIds = Array.from(this.episodicQueue.keys());
-    for (const memoryId of memoryIds) {
-      const memories = this.episodicQueue.get(memoryId).sort((a, b) => b.importance - a.importance);
-      if (memories.length === 0) continue;
-      const batches = [];
-      for (let i = 0; i < memories.length; i += this.options.BATCH_SIZE) {
-        batches.push(memories.slice(i, i + this.options.BATCH_SIZE));
+    try {
+      await this.replayOutbox();
+      for (const agent of this.findAgentEntities()) {
+        if (!hasComponent(this.world, EnhancedMemory, agent) || !EnhancedMemory.syncPending[agent]) continue;
+        const memoryId = EnhancedMemory.memoryId[agent];
+        const memories = [...(this.episodicQueue.get(memoryId) || []), ...(this.longTermMemory.get(memoryId) || [])]
+          .filter(m => !m.synced)
+          .sort((a, b) => a.timestamp - b.timestamp);
+        for (let i = 0; i < memories.length; i += this.options.BATCH_SIZE) {
+          const batch = memories.slice(i, i + this.options.BATCH_SIZE);
+          // Stored now or handed to the outbox: either way this batch is not sent again
+          await this.persist({ kind: 'episodic', memoryId, records: batch.map(m => m.compress()) });
+          batch.forEach(m => { m.synced = true; });
+        }
+        EnhancedMemory.syncPending[agent] = 0;
       }
-      for (const batch of batches) {
-        await this.retryOperation(async () => {
-          const payload = batch.map(m => m.compress());
-          await axios.post(`${this.apiEndpoint}/memory/${memoryId}/episodic`, { memories: payload });
-          console.log(`HESMS: Synced ${batch.length} memories for ID ${memoryId}`);
-        });
+    } finally {
+      this.syncInProgress = false;
+    }
+  }
+
+  // Writes to storage, retrying up to MAX_RETRIES times. Writes that still fail go
+  // to the outbox, as do writes made while it holds earlier entries, which keeps
+  // them in order and keeps the simulation from waiting on a storage that is down.
+  // Resolves to true when the write reached storage.
+  async persist(entry) {
+    if (this.outbox.size === 0) {
+      try {
+        await this.retryOperation(() => this.writeToStorage(entry));
+        return true;
+      } catch (error) {
+        console.warn(`HESMS: Storage write failed for ID ${entry.memoryId}, queued for replay: ${error.message}`);
+        this.syncStats.queuedWrites++;
+        await this.outbox.add(entry, error);
+        return false;
       }
-      this.episodicQueue.set(memoryId, []);
     }
-    this.syncInProgress = false;
+    this.syncStats.queuedWrites++;
+    await this.outbox.add(entry);
+    return false;
+  }
+
+  async writeToStorage(entry) {
+    if (entry.kind === 'create') {
+      await this.storage.createMemory(entry.memoryId);
+    } else if (entry.kind === 'episodic') {
+      const stored = await this.storage.appendEpisodic(entry.memoryId, entry.records);
+      this.syncStats.storedMemories += stored ?? entry.records.length;
+    } else if (entry.kind === 'semantic') {
+      await this.storage.saveSemantic(entry.memoryId, entry.semantic);
+    } else {
+      throw new Error(`Unknown storage write: ${entry.kind}`);
+    }
+    this.syncStats.lastSyncAt = Date.now();
+  }
+
+  // Sends queued writes once their backoff has passed
+  async replayOutbox() {
+    const delivered = await this.outbox.replay(entry => this.writeToStorage(entry));
+    if (delivered > 0) {
+      this.syncStats.replayedWrites += delivered;
+      logMessage(this.world, `HESMS: Replayed ${delivered} queued storage writes`);
+    }
+    return delivered;
+  }
+
+  getSyncStatus() {
+    if (!this.storage) return { enabled: false };
+    const outbox = this.outbox.status();
+    const unsyncedMemories = [...this.episodicQueue.values(), ...this.longTermMemory.values()]
+      .reduce((total, list) => total + list.filter(m => !m.synced).length, 0);
+    let state = 'synced';
+    if (this.syncInProgress) state = 'syncing';
+    else if (outbox.pendingEntries > 0) state = this.outbox.isBackingOff() ? 'backoff' : 'pending';
+    return {
+      enabled: true,
+      storage: this.storage.constructor.name,
+      state,
+      unsyncedMemories,
+      ...this.syncStats,
+      outbox
+    };
   }
 
   async updateSemanticPatterns() {
@@ -445,17 +649,377 @@ export class MemoryManager {
       const episodicMemories = this.episodicQueue.get(memoryId) || [];
       semantic.updateFromEpisodic(episodicMemories, this.world.time);
       this.agentMemoryCache.set(memoryId, semantic);
-      if (this.options.ENABLE_CLOUD_SYNC) {
-        await this.retryOperation(() => axios.post(`${this.apiEndpoint}/memory/${memoryId}/semantic`, semantic));
-      }
       this.pendingSemanticUpdates.delete(memoryId);
     }
+    await this.saveSemanticMemories();
+  }
+
+  // Stores the semantic memory of agents whose semantic update interval has come round
+  async saveSemanticMemories() {
+    if (!this.storage) return;
+    for (const agent of this.findAgentEntities()) {
+      if (!hasComponent(this.world, EnhancedMemory, agent) || !EnhancedMemory.semanticPending[agent]) continue;
+      const memoryId = EnhancedMemory.memoryId[agent];
+      const semantic = this.agentMemoryCache.get(memoryId);
+      if (!semantic) continue;
+      await this.persist({ kind: 'semantic', memoryId, semantic: encodeValue(semantic) });
+      EnhancedMemory.semanticPending[agent] = 0;
+    }
+  }
+
+  // What storage holds for an agent: its episodic memories in the order they were
+  // synced and its latest semantic memory. Read-only, so the simulation is unaffected.
+  async loadStoredMemory(agent) {
+    if (!this.storage || !hasComponent(this.world, EnhancedMemory, agent)) return null;
+    const memoryId = EnhancedMemory.memoryId[agent];
+    const [records, semantic] = await Promise.all([
+      this.storage.loadEpisodic(memoryId),
+      this.storage.loadSemantic(memoryId)
+    ]);
+    return {
+      memoryId,
+      episodic: records.map(record => Object.assign(EpisodicMemory.decompress(agent, record), { id: record.id, synced: true })),
+      semantic: semantic ? decodeValue(semantic, { SemanticMemory }) : null
+    };
+  }
+
+  // Seed an offspring's semantic memory with a compressed copy of the parent's:
+  // its strongest patterns and associations, without evidence and at reduced confidence
+  inheritSemanticMemory(parent, child, limit = this.options.INHERITED_PATTERN_LIMIT) {
+    if (!hasComponent(this.world, EnhancedMemory, parent) || !hasComponent(this.world, EnhancedMemory, child)) return 0;
+    const childMemoryId = EnhancedMemory.memoryId[child];
+    const source = this.getSemanticMemory(parent);
+    const target = this.agentMemoryCache.get(childMemoryId) || new SemanticMemory();
+    const factor = this.options.INHERITANCE_CONFIDENCE;
+    const inherited = [...source.patterns].sort((a, b) => b.confidence - a.confidence).slice(0, limit);
+    inherited.forEach(p => target.addPattern({
+      type: p.type,
+      rule: p.rule,
+      confidence: p.confidence * factor,
+      sourceCount: 1,
+      timestamp: this.world.time,
+      evidence: []
+    }));
+    [...source.associations.entries()]
+      .sort((a, b) => b[1] - a[1])
+      .slice(0, limit * 2)
+      .forEach(([key, strength]) => target.associations.set(key, strength * factor));
+    target.lastUpdated = this.world.time;
+    this.agentMemoryCache.set(childMemoryId, target);
+    return inherited.length;
+  }
+
+  // ### Trust
+  // Sources are identified by memoryId
+  getSourceTrust(agent, sourceMemoryId) {
+    return this.trust.get(EnhancedMemory.memoryId[agent], sourceMemoryId);
+  }
+
+  // Sets the agent's base trust in a source, before confirmations and contradictions
+  setSourceTrust(agent, sourceMemoryId, trust) {
+    this.trust.set(EnhancedMemory.memoryId[agent], sourceMemoryId, trust);
+  }
+
+  getTrustTable(agent) {
+    return hasComponent(this.world, EnhancedMemory, agent) ? this.trust.table(EnhancedMemory.memoryId[agent]) : [];
+  }
+
+  // Heard or shared memories about an environment entity wait for the agent to
+  // see the entity itself. Memories about agents are not checked: agents move.
+  // Restored memories already pending (verified: null) passed this check.
+  trackUnverified(memoryId, memory) {
+    if (memory.context.source.verified !== null && !hasComponent(this.world, Environmental, memory.entityId)) return;
+    memory.context.source.verified = null;
+    if (!this.unverified.has(memoryId)) this.unverified.set(memoryId, new Map());
+    const byEntity = this.unverified.get(memoryId);
+    if (!byEntity.has(memory.entityId)) byEntity.set(memory.entityId, []);
+    byEntity.get(memory.entityId).push(memory);
+  }
+
+  untrackUnverified(memoryId, memory) {
+    const heard = this.unverified.get(memoryId)?.get(memory.entityId);
+    if (!heard?.includes(memory)) return;
+    heard.splice(heard.indexOf(memory), 1);
+    if (heard.length === 0) this.unverified.get(memoryId).delete(memory.entityId);
+  }
+
+  // The agent's own observation of an entity settles what it heard about it. The
+  // same kind of entity near the heard position confirms the source, unless a
+  // resource turns out depleted; anything else contradicts it.
+  verifyHeardMemories(agent, observation) {
+    const memoryId = EnhancedMemory.memoryId[agent];
+    const heard = this.unverified.get(memoryId)?.get(observation.entityId);
+    if (!heard) return 0;
+    this.unverified.get(memoryId).delete(observation.entityId);
+    const now = this.world.time || 0;
+    heard.forEach(memory => {
+      const distance = Math.hypot(memory.position.x - observation.position.x, memory.position.y - observation.position.y);
+      const confirmed = memory.entityType === observation.entityType &&
+        distance <= this.options.TRUST_POSITION_TOLERANCE &&
+        (observation.entityType !== 0 || (observation.context.success !== false && isResourceAvailable(this.world, observation.entityId)));
+      const source = memory.context.source;
+      source.verified = confirmed ? 'confirmed' : 'contradicted';
+      const trust = this.trust.observe(memoryId, source.memoryId, confirmed, now);
+      emitEvent(this.world, 'trust:updated', { agent, source: source.memoryId, confirmed, trust, memory });
+    });
+    return heard.length;
+  }
+
+  // ### Theory of Mind
+  createTheoryOfMind() {
+    return new TheoryOfMind({
+      goalDecay: this.options.BELIEF_GOAL_DECAY,
+      knowledgeLimit: this.options.BELIEF_KNOWLEDGE_LIMIT
+    });
+  }
+
+  // Beliefs about other agents follow what the agent remembers of them: sightings
+  // update their goals and movement, and what they told or shared shows what they know
+  updateBeliefs(memoryId, memory) {
+    const { observed, source } = memory.context;
+    if (observed?.memoryId !== undefined) {
+      this.theoryOfMind.observe(memoryId, observed.memoryId, {
+        entity: memory.entityId,
+        position: memory.position,
+        time: memory.timestamp,
+        goalType: observed.goalType,
+        target: observed.target,
+        targetEntity: observed.targetEntity
+      });
+    }
+    if (source && memory.entityType !== 3) {
+      this.theoryOfMind.noteKnowledge(memoryId, source.memoryId, memory.entityId, source.channel === 'message' ? 'told' : 'shared', this.world.time || 0);
+    }
+  }
+
+  // Whether a sighting shows another agent pursuing a different goal than last seen
+  observedGoalChanged(agent, observed) {
+    const belief = this.theoryOfMind.get(EnhancedMemory.memoryId[agent], observed.memoryId);
+    return Boolean(belief?.goal) && observed.goalType !== undefined && belief.goal.type !== observed.goalType;
+  }
+
+  // The agent's beliefs about the agents it has observed, most observed first
+  getBeliefs(agent) {
+    return hasComponent(this.world, EnhancedMemory, agent) ? this.theoryOfMind.beliefsOf(EnhancedMemory.memoryId[agent]) : [];
+  }
+
+  getBelief(agent, other) {
+    if (!hasComponent(this.world, EnhancedMemory, agent) || !hasComponent(this.world, EnhancedMemory, other)) return null;
+    return this.theoryOfMind.get(EnhancedMemory.memoryId[agent], EnhancedMemory.memoryId[other]);
+  }
+
+  // What the agent expects another agent to be doing, and where, horizon ticks from now
+  predictAgent(agent, other, horizon = 1) {
+    if (!hasComponent(this.world, EnhancedMemory, agent) || !hasComponent(this.world, EnhancedMemory, other)) return null;
+    return this.theoryOfMind.predict(EnhancedMemory.memoryId[agent], EnhancedMemory.memoryId[other], this.world.time || 0, horizon);
+  }
+
+  // Predictions for every agent the agent holds beliefs about
+  predictOthers(agent, horizon = 1) {
+    if (!hasComponent(this.world, EnhancedMemory, agent)) return [];
+    const memoryId = EnhancedMemory.memoryId[agent];
+    return this.theoryOfMind.beliefsOf(memoryId)
+      .map(belief => this.theoryOfMind.predict(memoryId, belief.subject, this.world.time || 0, horizon))
+      .filter(Boolean);
+  }
+
+  // ### Shared Memory Pool
+  exchangeSharedMemories(agent) {
+    if (!this.sharedPool || !hasComponent(this.world, EnhancedMemory, agent)) return { published: 0, adopted: 0 };
+    return { published: this.publishSharedMemories(agent), adopted: this.adoptSharedMemories(agent) };
+  }
+
+  // Publishes the agent's important first-hand memories, and patterns it has new
+  // evidence for. Knowledge it received from others is not passed on.
+  publishSharedMemories(agent) {
+    const memoryId = EnhancedMemory.memoryId[agent];
+    const now = this.world.time || 0;
+    let published = 0;
+    [...(this.episodicQueue.get(memoryId) || []), ...(this.longTermMemory.get(memoryId) || [])]
+      .filter(m => !m.shared && !m.context.source && m.importance >= this.options.SHARED_PUBLISH_IMPORTANCE)
+      .forEach(m => {
+        m.shared = true;
+        const entry = this.sharedPool.publish({
+          kind: 'episodic',
+          source: agent,
+          sourceMemoryId: memoryId,
+          memory: m.compress(),
+          fidelity: m.fidelity
+        }, now);
+        if (entry) published++;
+      });
+    this.getSemanticMemory(agent).patterns
+      .filter(p => p.confidence >= this.options.PATTERN_CONFIDENCE_THRESHOLD && p.evidence.length > (p.sharedEvidence || 0))
+      .forEach(p => {
+        p.sharedEvidence = p.evidence.length;
+        const entry = this.sharedPool.publish({
+          kind: 'pattern',
+          source: agent,
+          sourceMemoryId: memoryId,
+          pattern: { type: p.type, rule: p.rule, confidence: p.confidence, evidenceCount: p.evidence.length }
+        }, now);
+        if (entry) published++;
+      });
+    return published;
+  }
+
+  // Takes in what other agents published since the last exchange. Belief is
+  // weighted by trust in the source: adopted memories keep importance * trust and
+  // lose fidelity in transmission, adopted patterns join the agent's semantic
+  // memory at reduced confidence and without evidence, like inherited ones.
+  adoptSharedMemories(agent) {
+    const memoryId = EnhancedMemory.memoryId[agent];
+    const now = this.world.time || 0;
+    const transmission = this.options.SHARED_TRANSMISSION_FIDELITY;
+    let adopted = 0;
+    for (const entry of this.sharedPool.read(memoryId)) {
+      const trust = this.getSourceTrust(agent, entry.sourceMemoryId);
+      if (trust < this.options.MIN_TRUST) {
+        this.sharedPool.stats.rejected++;
+        continue;
+      }
+      const source = { agent: entry.source, memoryId: entry.sourceMemoryId, publishedAt: entry.publishedAt, receivedAt: now, trust };
+      if (entry.kind === 'episodic') {
+        const memory = EpisodicMemory.decompress(agent, entry.memory, this.rng);
+        memory.importance = memory.baseImportance = memory.importance * trust;
+        memory.fidelity = entry.fidelity * transmission;
+        memory.context = { ...memory.context, source: { ...source, originalId: entry.memory.id } };
+        memory.tags = [...memory.tags, 'shared'];
+        if (!this.episodicQueue.has(memoryId)) this.episodicQueue.set(memoryId, []);
+        this.episodicQueue.get(memoryId).push(memory);
+        this.spatialIndex.addMemory(memory);
+        this.similarityIndex.add(memoryId, memory);
+        this.trackUnverified(memoryId, memory);
+        this.updateBeliefs(memoryId, memory);
+        emitEvent(this.world, 'memory:adopted', { agent, memory, source });
+      } else {
+        this.learnPattern(agent, entry.pattern, transmission, source);
+        emitEvent(this.world, 'memory:adopted', { agent, pattern: entry.pattern, source });
+      }
+      adopted++;
+    }
+    this.sharedPool.stats.adopted += adopted;
+    return adopted;
+  }
+
+  // Adds a pattern another agent found to the agent's semantic memory, at
+  // confidence * factor * trust in the source and without evidence, so it is
+  // never passed on as first-hand
+  learnPattern(agent, pattern, factor, source) {
+    const memoryId = EnhancedMemory.memoryId[agent];
+    const semantic = this.agentMemoryCache.get(memoryId) || new SemanticMemory();
+    const trust = this.getSourceTrust(agent, source.memoryId);
+    semantic.addPattern({
+      type: pattern.type,
+      rule: pattern.rule,
+      confidence: pattern.confidence * factor * trust,
+      sourceCount: 1,
+      timestamp: this.world.time || 0,
+      evidence: [],
+      source: { ...source, trust }
+    });
+    this.agentMemoryCache.set(memoryId, semantic);
+  }
+
+  getSharedPoolStatus() {
+    return this.sharedPool ? this.sharedPool.status() : null;
   }
 
   getSemanticMemory(agent) {
     return this.agentMemoryCache.get(EnhancedMemory.memoryId[agent]) || new SemanticMemory();
   }
 
+  // Episodic and long-term memories matching a query (see memory-query.js), as
+  // the live memory objects; tier 'archive' searches decompressed copies of
+  // forgotten memories. Spatial queries over both live tiers start from the index.
+  queryMemories(query = {}) {
+    const { matches, compare, offset, limit } = compileQuery(query, this.world.time || 0);
+    const tier = query.tier || 'all';
+    let candidates;
+    if (tier === 'archive') {
+      candidates = query.agent === undefined
+        ? this.getArchivedMemories()
+        : [].concat(query.agent).flatMap(agent => this.getArchivedMemories(agent));
+    } else if (query.near && tier === 'all') {
+      candidates = this.spatialIndex.getMemoriesNear(query.near.x, query.near.y, query.near.radius);
+    } else {
+      const memoryIds = query.agent === undefined
+        ? null
+        : [].concat(query.agent).filter(agent => hasComponent(this.world, EnhancedMemory, agent)).map(agent => EnhancedMemory.memoryId[agent]);
+      const tiers = [];
+      if (tier !== 'longTerm') tiers.push(this.episodicQueue);
+      if (tier !== 'episodic') tiers.push(this.longTermMemory);
+      candidates = tiers.flatMap(lists => memoryIds
+        ? memoryIds.flatMap(memoryId => lists.get(memoryId) || [])
+        : Array.from(lists.values()).flat());
+    }
+    const results = candidates.filter(matches);
+    if (compare) results.sort(compare);
+    const page = results.slice(offset, offset + limit);
+    if (query.rehearse) this.rehearseMemories(page, 'recall');
+    return page;
+  }
+
+  createSimilarityIndex() {
+    return new SimilarityIndex({
+      positionScale: this.options.SIMILARITY_POSITION_SCALE,
+      weights: this.options.SIMILARITY_WEIGHTS
+    });
+  }
+
+  // The agent's current situation in the terms recallSimilar compares
+  describeSituation(agent) {
+    return {
+      position: { x: Position.x[agent], y: Position.y[agent] },
+      action: hasComponent(this.world, Actions, agent) ? Actions.currentAction[agent] : null,
+      emotional: hasComponent(this.world, CognitiveState, agent) ? CognitiveState.emotionalState[agent] : null,
+      realityShift: hasComponent(this.world, RealityFlux, agent) && RealityFlux.effectType[agent] > 0
+    };
+  }
+
+  // The k episodic or long-term memories of the agent most similar to a situation
+  // (see similarity-index.js), as [{ memory, similarity }] most similar first. The
+  // situation may be partial, e.g. { position, entityType: 2 }, or a memory, which
+  // then is left out of its own results. Options: where (memory => boolean, e.g. only
+  // memories with an outcome), minSimilarity (0-1), rehearse.
+  recallSimilar(agent, situation = this.describeSituation(agent), k = 5, options = {}) {
+    if (!hasComponent(this.world, EnhancedMemory, agent)) return [];
+    const memoryId = EnhancedMemory.memoryId[agent];
+    const isMemory = situation instanceof EpisodicMemory;
+    const probe = isMemory ? situationOfMemory(situation) : situation;
+    const exclude = m => (isMemory && m.id === situation.id) || (options.where && !options.where(m));
+    const results = this.similarityIndex.search(memoryId, probe, k, { exclude })
+      .filter(result => result.similarity >= (options.minSimilarity || 0));
+    if (options.rehearse) this.rehearseMemories(results.map(result => result.memory), 'recall');
+    return results;
+  }
+
+  // Recall, dream replay and reflection rehearse memories. As in spaced repetition,
+  // a rehearsal counts fully only once REHEARSAL_SPACING ticks (scaled by the
+  // memory's stability) have passed since the last one, so massed repetition adds
+  // little and well-used memories need ever longer gaps. A rehearsal restores part
+  // of the missing importance and adds stability, which slows forgetting.
+  rehearseMemories(memories, source = 'recall') {
+    const sourceStrength = this.options.REHEARSAL_SOURCES[source];
+    if (sourceStrength === undefined) throw new Error(`Unknown rehearsal source: ${source}`);
+    const now = this.world.time || 0;
+    let strengthened = 0;
+    memories.forEach(m => {
+      const elapsed = now - (m.lastRehearsed ?? m.timestamp);
+      const spacing = Math.min(1, elapsed / (this.options.REHEARSAL_SPACING * memoryStability(m, this.options)));
+      const gain = sourceStrength * spacing;
+      if (gain <= 0) return;
+      const boost = this.options.REHEARSAL_BOOST * gain;
+      m.baseImportance = Math.min(1, (m.baseImportance ?? m.importance) + boost * (1 - (m.baseImportance ?? m.importance)));
+      m.importance = Math.min(1, m.importance + boost * (1 - m.importance));
+      m.rehearsals = (m.rehearsals || 0) + gain;
+      m.lastRehearsed = now;
+      strengthened++;
+    });
+    this.rehearsalStats[source] = (this.rehearsalStats[source] || 0) + strengthened;
+    return strengthened;
+  }
+
   findRelevantPatterns(agent, context = {}) {
     const semantic = this.getSemanticMemory(agent);
     if (!semantic.patterns?.length) return [];
@@ -467,7 +1031,7 @@ export class MemoryManager {
   }
 
   processRealityShift(agent) {
-    const realityEffect = RealityFlux[agent]?.effectType || 0;
+    const realityEffect = hasComponent(this.world, RealityFlux, agent) ? RealityFlux.effectType[agent] : 0;
     if (realityEffect > 0) {
       switch (realityEffect) {
         case 1: EnhancedMemory.globalFidelity[agent] *= 0.8; break; // Teleport
@@ -490,9 +1054,10 @@ export class MemoryManager {
   distortTemporalMemories(agent) {
     const capacity = EnhancedMemory.shortTermCapacity[agent];
     for (let i = 0; i < capacity; i++) {
-      if (Math.random() < 0.3 && EnhancedMemory.shortTermTimestamps[agent * 10 + i] > 0) {
-        EnhancedMemory.shortTermTimestamps[agent * 10 + i] += (Math.random() * 20 - 10) | 0;
-        EnhancedMemory.shortTermFidelity[agent * 10 + i] *= 0.9;
+      const timestamp = this.shortTerm.timestamps.get(agent, i);
+      if (this.rng.random() < 0.3 && timestamp > 0) {
+        this.shortTerm.timestamps.set(agent, i, timestamp + ((this.rng.random() * 20 - 10) | 0));
+        this.shortTerm.fidelity.set(agent, i, this.shortTerm.fidelity.get(agent, i) * 0.9);
       }
     }
   }
@@ -500,9 +1065,9 @@ export class MemoryManager {
   distortTypeMemories(agent) {
     const capacity = EnhancedMemory.shortTermCapacity[agent];
     for (let i = 0; i < capacity; i++) {
-      if (Math.random() < 0.3 && EnhancedMemory.shortTermTypes[agent * 10 + i] <= 2) {
-        EnhancedMemory.shortTermTypes[agent * 10 + i] = (Math.random() * 3) | 0;
-        EnhancedMemory.shortTermFidelity[agent * 10 + i] *= 0.9;
+      if (this.rng.random() < 0.3 && this.shortTerm.types.get(agent, i) <= 2) {
+        this.shortTerm.types.set(agent, i, this.rng.int(3));
+        this.shortTerm.fidelity.set(agent, i, this.shortTerm.fidelity.get(agent, i) * 0.9);
       }
     }
   }
@@ -521,26 +1086,147 @@ export class MemoryManager {
     }
   }
 
+  // Recomputes each memory's importance from its encoded importance and the
+  // forgetting curve, then forgets memories that fall below FORGET_THRESHOLD: they
+  // leave their tier and the spatial index, and the newest ARCHIVE_LIMIT per agent
+  // are kept compressed in the archive. Memories still waiting for storage sync
+  // are forgotten once they are synced.
   applyMemoryDecay() {
-    const decayRate = this.options.MEMORY_DECAY_RATE;
-    for (const [memoryId, memories] of this.episodicQueue) {
-      memories.forEach(m => {
-        const age = this.world.time - m.timestamp;
-        m.importance *= Math.exp(-decayRate * age);
-        if (m.importance < 0.1) {
-          // Remove or archive the memory
-        }
-      });
+    const now = this.world.time || 0;
+    const forgotten = new Set();
+    const decay = (tier, lists, rate) => {
+      for (const [memoryId, memories] of lists) {
+        const kept = memories.filter(m => {
+          m.importance = (m.baseImportance ?? m.importance) * this.forgettingCurve(m, now, rate, this.options);
+          if (m.importance >= this.options.FORGET_THRESHOLD || (this.storage && !m.synced)) return true;
+          this.forgetMemory(memoryId, m, tier, now);
+          this.similarityIndex.remove(m);
+          if (m.context.source) this.untrackUnverified(memoryId, m);
+          forgotten.add(m.id);
+          return false;
+        });
+        lists.set(memoryId, kept);
+      }
+    };
+    decay('episodic', this.episodicQueue, this.options.MEMORY_DECAY_RATE);
+    decay('longTerm', this.longTermMemory, this.options.LONG_TERM_DECAY_RATE);
+    if (forgotten.size > 0) this.spatialIndex.removeWhere(m => forgotten.has(m.id));
+    return forgotten.size;
+  }
+
+  forgetMemory(memoryId, memory, tier, now) {
+    const stats = this.forgettingStats;
+    stats.forgotten++;
+    stats.byTier[tier]++;
+    stats.byType[memory.entityType] = (stats.byType[memory.entityType] || 0) + 1;
+    stats.totalAge += now - memory.timestamp;
+
+    const limit = this.options.ARCHIVE_LIMIT;
+    if (limit <= 0) {
+      stats.discarded++;
+      return;
     }
-    for (const [memoryId, memories] of this.longTermMemory) {
-      memories.forEach(m => {
-        const age = this.world.time - m.timestamp;
-        m.importance *= Math.exp(-decayRate * age);
-        if (m.importance < 0.1) {
-          // Remove or archive the memory
-        }
-      });
+    if (!this.archive.has(memoryId)) this.archive.set(memoryId, []);
+    const archive = this.archive.get(memoryId);
+    archive.push({ ...memory.compress(), agent: memory.agentId, tier, forgottenAt: now });
+    stats.archived++;
+    if (archive.length > limit) stats.discarded += archive.splice(0, archive.length - limit).length;
+  }
+
+  // Forgotten memories still in the archive for an agent (every agent if omitted),
+  // decompressed with their original ids
+  getArchivedMemories(agent) {
+    const memoryIds = agent === undefined
+      ? Array.from(this.archive.keys())
+      : hasComponent(this.world, EnhancedMemory, agent) ? [EnhancedMemory.memoryId[agent]] : [];
+    return memoryIds.flatMap(memoryId => (this.archive.get(memoryId) || []).map(record =>
+      Object.assign(EpisodicMemory.decompress(record.agent, record), { id: record.id, forgottenAt: record.forgottenAt })
+    ));
+  }
+
+  getForgettingStats() {
+    const { totalAge, ...stats } = this.forgettingStats;
+    return {
+      ...stats,
+      byTier: { ...stats.byTier },
+      byType: { ...stats.byType },
+      averageAgeForgotten: stats.forgotten > 0 ? totalAge / stats.forgotten : 0,
+      rehearsals: { ...this.rehearsalStats },
+      inArchive: Array.from(this.archive.values()).reduce((total, list) => total + list.length, 0)
+    };
+  }
+
+  // Memories are stored once by id and referenced from queues and the spatial index
+  serialize() {
+    const memories = new Map();
+    const refs = list => list.map(m => { memories.set(m.id, m); return m.id; });
+    const episodicQueue = Array.from(this.episodicQueue, ([memoryId, list]) => [memoryId, refs(list)]);
+    const longTermMemory = Array.from(this.longTermMemory, ([memoryId, list]) => [memoryId, refs(list)]);
+    const spatialIndex = refs(Array.from(this.spatialIndex.grid.values()).flat());
+    return {
+      memories: Array.from(memories.values(), m => encodeValue(m)),
+      episodicQueue,
+      longTermMemory,
+      spatialIndex,
+      semantic: encodeValue(this.agentMemoryCache),
+      pendingSemanticUpdates: Array.from(this.pendingSemanticUpdates),
+      archive: Array.from(this.archive),
+      forgettingStats: this.forgettingStats,
+      rehearsalStats: this.rehearsalStats,
+      sharedPool: this.sharedPool ? this.sharedPool.serialize() : null,
+      trust: this.trust.serialize(),
+      beliefs: this.theoryOfMind.serialize(),
+      shortTerm: Object.fromEntries(Object.entries(this.shortTerm).map(([key, buffer]) => [key, buffer.serialize()]))
+    };
+  }
+
+  // entityMap renumbers the entity ids memories hold; storage is keyed by memoryId, which survives restores
+  restore(data, entityMap) {
+    const remap = entity => remapEntity(entityMap, entity);
+    const memories = new Map(data.memories.map(m => {
+      const memory = remapMemoryEntities(decodeValue(m, { EpisodicMemory }), remap);
+      return [memory.id, memory];
+    }));
+    const resolve = ids => ids.map(id => memories.get(id)).filter(Boolean);
+    this.episodicQueue = new Map(data.episodicQueue.map(([memoryId, ids]) => [memoryId, resolve(ids)]));
+    this.longTermMemory = new Map(data.longTermMemory.map(([memoryId, ids]) => [memoryId, resolve(ids)]));
+    this.spatialIndex = new SpatialIndex(this.options.SPATIAL_CELL_SIZE);
+    resolve(data.spatialIndex).forEach(m => this.spatialIndex.addMemory(m));
+    // Vectors are derived data, so they are rebuilt rather than saved
+    this.similarityIndex = this.createSimilarityIndex();
+    [this.episodicQueue, this.longTermMemory].forEach(lists => lists.forEach((list, memoryId) =>
+      list.forEach(m => this.similarityIndex.add(memoryId, m))));
+    this.agentMemoryCache = decodeValue(data.semantic, { SemanticMemory });
+    this.agentMemoryCache.forEach(semantic => semantic.patterns.forEach(pattern => {
+      pattern.sources = (pattern.sources || []).map(source => ({ ...source, agent: remap(source.agent) }));
+    }));
+    this.pendingSemanticUpdates = new Set(data.pendingSemanticUpdates);
+    this.archive = new Map((data.archive || []).map(([memoryId, records]) =>
+      [memoryId, records.map(record => ({ ...remapRecordEntities(record, remap), agent: remap(record.agent) }))]));
+    if (data.forgettingStats) this.forgettingStats = data.forgettingStats;
+    if (data.rehearsalStats) this.rehearsalStats = data.rehearsalStats;
+    if (data.sharedPool && this.sharedPool) {
+      this.sharedPool.restore(data.sharedPool);
+      this.sharedPool.entries = this.sharedPool.entries.map(entry => ({
+        ...entry,
+        source: remap(entry.source),
+        ...(entry.memory ? { memory: remapRecordEntities(entry.memory, remap) } : {})
+      }));
     }
+    this.trust = new TrustModel({ defaultTrust: this.options.DEFAULT_TRUST, priorWeight: this.options.TRUST_PRIOR_WEIGHT });
+    if (data.trust) this.trust.restore(data.trust);
+    // Snapshots from before the trust model hold one trust value per source
+    (data.sourceTrust || []).forEach(([memoryId, trust]) =>
+      trust.forEach(([source, value]) => this.trust.set(memoryId, source, value)));
+    this.theoryOfMind = this.createTheoryOfMind();
+    if (data.beliefs) this.theoryOfMind.restore(data.beliefs, entityMap);
+    this.unverified = new Map();
+    [this.episodicQueue, this.longTermMemory].forEach(lists => lists.forEach((list, memoryId) =>
+      list.filter(m => m.context.source?.verified === null).forEach(m => this.trackUnverified(memoryId, m))));
+    Object.entries(data.shortTerm).forEach(([key, saved]) => this.shortTerm[key]?.restore(saved, entityMap));
+    this.shortTerm.ids.data = this.shortTerm.ids.data.map(id => id === NO_ENTITY ? id : remap(id));
+    this.initialized = true;
+    return this;
   }
 
   async retryOperation(operation, retries = this.options.MAX_RETRIES) {
@@ -565,16 +1251,32 @@ export const createEnhancedMemorySystem = (memoryManager) => {
     const currentTime = world.time || 0;
     for (const agent of agents) {
       memoryManager.processRealityShift(agent);
-      for (let j = 0; j < 10; j++) {
-        const entity = SensoryData.entitiesDetected[agent * 10 + j];
-        if (entity === 0 || checkRecentlyRecorded(agent, entity)) continue;
-        const type = Environmental[entity]?.type || 0;
-        const importance = calculateImportance(type, entity, agent);
+      for (const entity of getDetectedEntities(world, agent)) {
+        const type = entityTypeOf(world, entity);
+        // Other agents are watched: a change of goal is remembered at once
+        const observed = type === 3 ? observeAgent(world, entity) : null;
+        if (checkRecentlyRecorded(memoryManager, agent, entity) &&
+          !(observed && memoryManager.observedGoalChanged(agent, observed))) continue;
+        const importance = calculateImportance(world, type, entity, agent);
         memoryManager.recordEpisodicMemory(agent, {
           entityId: entity,
           entityType: type,
           position: { x: Position.x[entity], y: Position.y[entity] },
-          importance
+          importance,
+          ...(observed ? { observed } : {})
+        });
+      }
+      // Harvests and failed actions are remembered with their real outcome. The
+      // remember phase runs before act, so the latest outcome is last tick's.
+      const outcome = getActionOutcome(world, agent, 1);
+      if (outcome && hasComponent(world, Position, outcome.target)) {
+        const type = entityTypeOf(world, outcome.target);
+        memoryManager.recordEpisodicMemory(agent, {
+          entityId: outcome.target,
+          entityType: type,
+          position: { x: Position.x[outcome.target], y: Position.y[outcome.target] },
+          importance: calculateImportance(world, type, outcome.target, agent, outcome),
+          outcome
         });
       }
       if (currentTime - EnhancedMemory.lastSyncTime[agent] >= memoryManager.options.MEMORY_SYNC_INTERVAL) {
@@ -589,8 +1291,11 @@ export const createEnhancedMemorySystem = (memoryManager) => {
         memoryManager.consolidateMemories();
         memoryManager.applyMemoryDecay();
       }
+      if (memoryManager.sharedPool && currentTime % memoryManager.options.SHARED_POOL_INTERVAL === 0) {
+        memoryManager.exchangeSharedMemories(agent);
+      }
     }
-    if (memoryManager.options.ENABLE_CLOUD_SYNC) {
+    if (memoryManager.storage) {
       await memoryManager.syncEpisodicMemories();
       await memoryManager.updateSemanticPatterns();
     }
@@ -599,25 +1304,92 @@ export const createEnhancedMemorySystem = (memoryManager) => {
 };
 
 // ### Helper Functions
-function checkRecentlyRecorded(agent, entityId) {
-  const capacity = EnhancedMemory.shortTermCapacity[agent];
-  return Array.from({ length: capacity }, (_, i) => i)
-    .some(i => EnhancedMemory.shortTermIds[agent * 10 + i] === entityId && 
-               (memoryManager.world.time - EnhancedMemory.shortTermTimestamps[agent * 10 + i]) < 10);
+function checkRecentlyRecorded(memoryManager, agent, entityId) {
+  return memoryManager.getShortTermMemories(agent)
+    .some(m => m.entityId === entityId && (memoryManager.world.time - m.timestamp) < 10);
 }
 
-function calculateImportance(type, entityId, agent) {
+// Entity ids held in a memory's context: the agent a heard or shared memory came
+// from and the target of an observed agent
+function remapContextEntities(context, remap) {
+  const remapped = { ...context };
+  if (context.source?.agent !== undefined) remapped.source = { ...context.source, agent: remap(context.source.agent) };
+  if (context.observed?.targetEntity !== undefined) {
+    remapped.observed = { ...context.observed, targetEntity: remap(context.observed.targetEntity) };
+  }
+  return remapped;
+}
+
+// Renumbers a memory's entity ids after a snapshot restore
+function remapMemoryEntities(memory, remap) {
+  memory.entityId = remap(memory.entityId);
+  memory.agentId = remap(memory.agentId);
+  memory.context = remapContextEntities(memory.context || {}, remap);
+  return memory;
+}
+
+// The same for a compressed memory (archive records and shared pool entries)
+function remapRecordEntities(record, remap) {
+  return { ...record, eid: remap(record.eid), ctx: JSON.stringify(remapContextEntities(JSON.parse(record.ctx), remap)) };
+}
+
+// Environment entities have their type; other agents are type 3
+function entityTypeOf(world, entity) {
+  if (hasComponent(world, Environmental, entity)) return Environmental.type[entity];
+  return hasComponent(world, SensoryData, entity) ? 3 : 0;
+}
+
+// What can be seen of another agent: who it is and the goal it is pursuing
+function observeAgent(world, entity) {
+  if (!hasComponent(world, EnhancedMemory, entity)) return null;
+  return {
+    memoryId: EnhancedMemory.memoryId[entity],
+    ...(hasComponent(world, Goals, entity) ? {
+      goalType: Goals.primaryType[entity],
+      target: { x: Goals.targetX[entity], y: Goals.targetY[entity] },
+      targetEntity: Goals.targetEntity[entity]
+    } : {})
+  };
+}
+
+// Whether another agent in view is expected to go for the resource and is nearer to it
+function claimedByRival(memoryManager, agent, resource, agents) {
+  const distance = Math.hypot(Position.x[agent] - resource.pos.x, Position.y[agent] - resource.pos.y);
+  return agents.some(other => {
+    const prediction = memoryManager.predictAgent(agent, other.entity);
+    return prediction?.goalType === 1 && prediction.targetEntity === resource.entity &&
+      Math.hypot(other.pos.x - resource.pos.x, other.pos.y - resource.pos.y) < distance;
+  });
+}
+
+// Whether the agent has its own memory of what a heard memory is about, newer than it
+function hasSeenSince(memoryManager, agent, heard) {
+  return memoryManager.queryMemories({
+    agent,
+    entityId: heard.entityId,
+    time: { from: heard.timestamp },
+    where: m => !m.context.source,
+    limit: 1
+  }).length > 0;
+}
+
+function calculateImportance(world, type, entityId, agent, outcome = null) {
   let importance = [0.7, 0.4, 0.8][type] || 0.5;
-  if (Goals[agent]?.primaryType === 1 && type === 0) importance += 0.2;
-  if (Goals[agent]?.primaryType === 2 && type === 2) importance += 0.2;
-  if (RealityFlux[entityId]?.effectType > 0) importance += 0.1;
-  if (CognitiveState[agent]?.emotionalState > 70 || CognitiveState[agent]?.emotionalState < 30) importance += 0.15;
+  if (outcome) importance += outcome.success ? Math.min(0.3, 0.1 + outcome.reward / 20) : 0.2;
+  const goalType = hasComponent(world, Goals, agent) ? Goals.primaryType[agent] : null;
+  if (goalType === 1 && type === 0) importance += 0.2;
+  if (goalType === 2 && type === 2) importance += 0.2;
+  if (hasComponent(world, RealityFlux, entityId) && RealityFlux.effectType[entityId] > 0) importance += 0.1;
+  if (hasComponent(world, CognitiveState, agent)) {
+    const emotional = CognitiveState.emotionalState[agent];
+    if (emotional > 70 || emotional < 30) importance += 0.15;
+  }
   return Math.min(1.0, Math.max(0.1, importance));
 }
 
 // ### Integration with ArgOS
 export function integrateHESMSWithArgOS(world, options = {}) {
-  console.log("Initializing HESMS...");
+  logMessage(world, "Initializing HESMS...");
   const memoryManager = new MemoryManager(world, options);
   const memorySystem = createEnhancedMemorySystem(memoryManager);
   const decisionSystem = createEnhancedDecisionSystem(memoryManager);
@@ -626,14 +1398,14 @@ export function integrateHESMSWithArgOS(world, options = {}) {
 
 // ### Demo Utility
 export function runHESMSDemoSetup(world, options = {}) {
-  console.log("Running HESMS demo setup...");
+  logMessage(world, "Running HESMS demo setup...");
   const { memoryManager } = integrateHESMSWithArgOS(world, options);
   return memoryManager;
 }
 
 // ### Visualization
 export function visualizeAgentMemory(ctx, agent, memoryManager, pixelsPerUnit = 5) {
-  if (!EnhancedMemory[agent]) return;
+  if (!hasComponent(memoryManager.world, EnhancedMemory, agent)) return;
   const x = Position.x[agent] * pixelsPerUnit;
   const y = Position.y[agent] * pixelsPerUnit;
   const semantic = memoryManager.getSemanticMemory(agent);
@@ -688,23 +1460,22 @@ export const createEnhancedDecisionSystem = (memoryManager) => {
   const decisionQuery = defineQuery([EnhancedMemory, Goals, SensoryData, CognitiveState, Position]);
   return defineSystem((world) => {
     const agents = decisionQuery(world);
+    const rng = getRandomStream(world, 'memory-decision');
     for (const agent of agents) {
-      const memoryId = EnhancedMemory.memoryId[agent];
       const semantic = memoryManager.getSemanticMemory(agent);
       const context = {
         agentPos: { x: Position.x[agent], y: Position.y[agent] },
-        emotionalState: CognitiveState[agent]?.emotionalState || 50,
-        adaptability: CognitiveState[agent]?.adaptability || 50
+        emotionalState: CognitiveState.emotionalState[agent],
+        adaptability: CognitiveState.adaptability[agent]
       };
       const entities = { resources: [], obstacles: [], hazards: [], agents: [] };
-      for (let j = 0; j < 10; j++) {
-        const entity = SensoryData.entitiesDetected[agent * 10 + j];
-        if (entity === 0) continue;
+      for (const entity of getDetectedEntities(world, agent)) {
         const pos = { x: Position.x[entity], y: Position.y[entity] };
-        if (Environmental[entity]) {
+        if (hasComponent(world, Environmental, entity)) {
           const type = Environmental.type[entity];
+          if (type === 0 && !isResourceAvailable(world, entity)) continue;
           entities[['resources', 'obstacles', 'hazards'][type]].push({ entity, pos });
-        } else if (SensoryData[entity]) {
+        } else if (hasComponent(world, SensoryData, entity)) {
           entities.agents.push({ entity, pos });
         }
       }
@@ -715,21 +1486,21 @@ export const createEnhancedDecisionSystem = (memoryManager) => {
         switch (topPattern.type) {
           case 'resource_obstacle_proximity':
             if (entities.obstacles.length > 0 && entities.resources.length === 0) {
-              const obs = entities.obstacles[Math.floor(Math.random() * entities.obstacles.length)];
-              const angle = Math.random() * Math.PI * 2;
+              const obs = rng.pick(entities.obstacles);
+              const angle = rng.random() * Math.PI * 2;
               goalType = 1;
-              targetX = obs.pos.x + Math.cos(angle) * (5 + Math.random() * 5);
-              targetY = obs.pos.y + Math.sin(angle) * (5 + Math.random() * 5);
+              targetX = obs.pos.x + Math.cos(angle) * (5 + rng.random() * 5);
+              targetY = obs.pos.y + Math.sin(angle) * (5 + rng.random() * 5);
               priority = 60 * topPattern.confidence;
             }
             break;
           case 'resource_clustering':
             if (entities.resources.length === 1) {
               const res = entities.resources[0];
-              const angle = Math.random() * Math.PI * 2;
+              const angle = rng.random() * Math.PI * 2;
               goalType = 1;
-              targetX = res.pos.x + Math.cos(angle) * (3 + Math.random() * 7);
-              targetY = res.pos.y + Math.sin(angle) * (3 + Math.random() * 7);
+              targetX = res.pos.x + Math.cos(angle) * (3 + rng.random() * 7);
+              targetY = res.pos.y + Math.sin(angle) * (3 + rng.random() * 7);
               priority = 55 * topPattern.confidence;
             }
             break;
@@ -749,15 +1520,40 @@ export const createEnhancedDecisionSystem = (memoryManager) => {
             break;
         }
       }
-      const nearbyMemories = memoryManager.spatialIndex.getMemoriesNear(context.agentPos.x, context.agentPos.y, 20);
-      const emotionalMemories = memoryManager.longTermMemory.get(memoryId)
-        .filter(m => Math.abs(m.emotionalImpact - context.emotionalState) < 10);
-      if (nearbyMemories.some(m => m.entityType === 2)) {
+      // Memories that inform the decision are rehearsed, so useful ones last
+      const nearbyHazards = memoryManager.queryMemories({
+        agent,
+        near: { x: context.agentPos.x, y: context.agentPos.y, radius: 20 },
+        entityType: 2,
+        limit: 1,
+        rehearse: true
+      });
+      const emotionalFailures = memoryManager.queryMemories({
+        agent,
+        tier: 'longTerm',
+        emotional: { min: context.emotionalState - 10, max: context.emotionalState + 10 },
+        where: m => m.context.success === false,
+        limit: 1,
+        rehearse: true
+      });
+      if (nearbyHazards.length > 0) {
         priority += 20;
       }
-      if (emotionalMemories.some(m => m.context.success < 50)) {
+      if (emotionalFailures.length > 0) {
         priority += 10;
       }
+      // Resource locations other agents told it about recently, unless it has been there since
+      const heardResources = entities.resources.length === 0
+        ? memoryManager.queryMemories({
+          agent,
+          tags: ['heard'],
+          entityType: 0,
+          within: 50,
+          where: m => !hasSeenSince(memoryManager, agent, m),
+          sort: ['-timestamp'],
+          limit: 1
+        })
+        : [];
       if (priority === 0) {
         if (entities.hazards.length > 0) {
           const haz = entities.hazards[0];
@@ -769,21 +1565,33 @@ export const createEnhancedDecisionSystem = (memoryManager) => {
           targetY = context.agentPos.y + (dy / dist) * 15;
           priority = 70;
         } else if (entities.resources.length > 0) {
-          const res = entities.resources[0];
+          // A resource another agent will reach first is left to it when there are others
+          const res = entities.resources.length > 1
+            ? entities.resources.find(r => !claimedByRival(memoryManager, agent, r, entities.agents)) || entities.resources[0]
+            : entities.resources[0];
           goalType = 1;
           targetX = res.pos.x;
           targetY = res.pos.y;
           targetEntity = res.entity;
           priority = 50;
-        } else if (entities.agents.length > 0 && Math.random() < 0.2) {
+        } else if (heardResources.length > 0) {
+          const heard = heardResources[0];
+          goalType = 1;
+          targetX = heard.position.x;
+          targetY = heard.position.y;
+          targetEntity = heard.entityId;
+          priority = 40;
+        } else if (entities.agents.length > 0 && rng.random() < 0.2) {
           const agt = entities.agents[0];
+          // Meet the other agent where it is expected to be
+          const expected = memoryManager.predictAgent(agent, agt.entity, 5)?.position || agt.pos;
           goalType = 3;
-          targetX = agt.pos.x;
-          targetY = agt.pos.y;
+          targetX = expected.x;
+          targetY = expected.y;
           targetEntity = agt.entity;
           priority = 30;
         } else {
-          const angle = Math.random() * Math.PI * 2;
+          const angle = rng.random() * Math.PI * 2;
           goalType = 0;
           targetX = context.agentPos.x + Math.cos(angle) * 10;
           targetY = context.agentPos.y + Math.sin(angle) * 10;
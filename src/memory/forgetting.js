@@ -0,0 +1,47 @@
+/**
+ * HESMS Forgetting Curves
+ *
+ * A curve gives the share of a memory's encoded importance that is retained
+ * (0-1) at world time now, for a tier's decay rate per tick. Rehearsal makes a
+ * memory more stable, S = 1 + REHEARSAL_STABILITY_GAIN * rehearsals, which
+ * stretches every curve:
+ *
+ *   exponential   e^(-rate * age / S)
+ *   power-law     (1 + rate * age / S)^(-POWER_LAW_EXPONENT), a long tail of old memories
+ *   ebbinghaus    e^(-rate * t / S), where t counts from the last rehearsal rather
+ *                 than from encoding, so each rehearsal also resets the curve
+ *
+ * FORGETTING_CURVE may also be a function (memory, now, rate, options) => retention.
+ */
+
+const ageOf = (memory, now) => Math.max(0, now - memory.timestamp);
+
+export const memoryStability = (memory, options) => 1 + options.REHEARSAL_STABILITY_GAIN * (memory.rehearsals || 0);
+
+export const FORGETTING_CURVES = {
+  exponential: (memory, now, rate, options) =>
+    Math.exp(-rate * ageOf(memory, now) / memoryStability(memory, options)),
+
+  'power-law': (memory, now, rate, options) =>
+    Math.pow(1 + rate * ageOf(memory, now) / memoryStability(memory, options), -options.POWER_LAW_EXPONENT),
+
+  ebbinghaus: (memory, now, rate, options) => {
+    const sinceRehearsal = Math.max(0, now - (memory.lastRehearsed ?? memory.timestamp));
+    return Math.exp(-rate * sinceRehearsal / memoryStability(memory, options));
+  }
+};
+
+export function resolveForgettingCurve(curve) {
+  if (typeof curve === 'function') return curve;
+  const resolved = FORGETTING_CURVES[curve];
+  if (!resolved) {
+    throw new Error(`Unknown forgetting curve: ${curve} (expected ${Object.keys(FORGETTING_CURVES).join(', ')} or a function)`);
+  }
+  return resolved;
+}
+
+export default {
+  FORGETTING_CURVES,
+  memoryStability,
+  resolveForgettingCurve
+};
@@ -0,0 +1,170 @@
+/**
+ * HESMS Memory Queries
+ *
+ * Declarative filters over episodic memories. A query is a plain object, so
+ * decision systems can build one inline and tooling can load one from JSON:
+ *
+ *   {
+ *     agent: 3,                         // or [3, 4]; omitted: every agent
+ *     tier: 'episodic',                 // 'episodic', 'longTerm', 'all' (both, default)
+ *                                       // or 'archive' (forgotten memories)
+ *     tags: ['success'],                // memory has all of these tags
+ *     anyTags: ['type_0', 'type_2'],    // memory has at least one of these
+ *     entityType: 0,                    // or [0, 2]
+ *     entityId: 17,
+ *     time: { from: 100, to: 200 },     // timestamps, inclusive
+ *     within: 50,                       // recorded in the last 50 ticks
+ *     importance: { min: 0.6 },         // ranges take min and/or max, inclusive
+ *     fidelity: { min: 0.5 },
+ *     emotional: { max: 30 },
+ *     near: { x: 40, y: 60, radius: 15 },
+ *     sort: ['-importance', 'distance'], // fields, '-' for descending
+ *     offset: 0,
+ *     limit: 10,
+ *     rehearse: true                    // results count as recalled, strengthening them
+ *   }
+ *
+ * Sortable fields: timestamp, importance, fidelity, emotional, entityType and
+ * distance (needs near). Code may also pass where: memory => boolean.
+ */
+
+const RANGE_FIELDS = {
+  importance: m => m.importance,
+  fidelity: m => m.fidelity,
+  emotional: m => m.emotionalImpact
+};
+
+const SORT_FIELDS = {
+  timestamp: m => m.timestamp,
+  importance: m => m.importance,
+  fidelity: m => m.fidelity,
+  emotional: m => m.emotionalImpact,
+  entityType: m => m.entityType
+};
+
+const QUERY_KEYS = new Set([
+  'agent', 'tier', 'tags', 'anyTags', 'entityType', 'entityId', 'time', 'within',
+  'importance', 'fidelity', 'emotional', 'near', 'where', 'sort', 'offset', 'limit', 'rehearse'
+]);
+
+export const MEMORY_TIERS = ['episodic', 'longTerm', 'all', 'archive'];
+
+const asList = value => (value === undefined ? null : Array.isArray(value) ? value : [value]);
+const isNumber = value => typeof value === 'number' && Number.isFinite(value);
+
+// Returns a list of problems with the query (empty when valid)
+export function validateQuery(query) {
+  if (!query || typeof query !== 'object') return ['query must be an object'];
+  const errors = [];
+  Object.keys(query).forEach(key => {
+    if (!QUERY_KEYS.has(key)) errors.push(`unknown field ${key}`);
+  });
+  if (query.tier !== undefined && !MEMORY_TIERS.includes(query.tier)) {
+    errors.push(`tier must be one of ${MEMORY_TIERS.join(', ')}`);
+  }
+  ['agent', 'entityType', 'entityId'].forEach(key => {
+    const values = asList(query[key]);
+    if (values && !values.every(isNumber)) errors.push(`${key} must be a number or an array of numbers`);
+  });
+  ['tags', 'anyTags'].forEach(key => {
+    if (query[key] !== undefined && (!Array.isArray(query[key]) || !query[key].every(t => typeof t === 'string'))) {
+      errors.push(`${key} must be an array of strings`);
+    }
+  });
+  ['time', ...Object.keys(RANGE_FIELDS)].forEach(key => {
+    const range = query[key];
+    if (range === undefined) return;
+    const bounds = key === 'time' ? ['from', 'to'] : ['min', 'max'];
+    if (typeof range !== 'object' || range === null || !bounds.some(b => range[b] !== undefined)) {
+      errors.push(`${key} must be an object with ${bounds.join(' and/or ')}`);
+    } else if (bounds.some(b => range[b] !== undefined && !isNumber(range[b]))) {
+      errors.push(`${key}.${bounds.join('/')} must be numbers`);
+    }
+  });
+  if (query.within !== undefined && !(isNumber(query.within) && query.within >= 0)) {
+    errors.push('within must be a non-negative number');
+  }
+  if (query.near !== undefined && !(query.near && ['x', 'y', 'radius'].every(k => isNumber(query.near[k])))) {
+    errors.push('near must have numeric x, y and radius');
+  }
+  if (query.where !== undefined && typeof query.where !== 'function') errors.push('where must be a function');
+  (asList(query.sort) || []).forEach(spec => {
+    const field = typeof spec === 'string' ? spec.replace(/^-/, '') : null;
+    if (field === 'distance' ? !query.near : !SORT_FIELDS[field]) {
+      errors.push(field === 'distance' ? 'sorting by distance needs near' : `cannot sort by ${spec}`);
+    }
+  });
+  if (query.rehearse !== undefined && typeof query.rehearse !== 'boolean') errors.push('rehearse must be a boolean');
+  if (query.rehearse && query.tier === 'archive') errors.push('archived memories cannot be rehearsed');
+  ['offset', 'limit'].forEach(key => {
+    if (query[key] !== undefined && !(Number.isInteger(query[key]) && query[key] >= 0)) {
+      errors.push(`${key} must be a non-negative integer`);
+    }
+  });
+  return errors;
+}
+
+// Turns a query into a predicate and a comparator. now is the world time used by within.
+export function compileQuery(query = {}, now = 0) {
+  const errors = validateQuery(query);
+  if (errors.length > 0) throw new Error(`Invalid memory query: ${errors.join('; ')}`);
+
+  const agents = asList(query.agent);
+  const entityTypes = asList(query.entityType);
+  const entityIds = asList(query.entityId);
+  const { near } = query;
+  const distance = m => Math.hypot(m.position.x - near.x, m.position.y - near.y);
+
+  const tests = [];
+  if (agents) tests.push(m => agents.includes(m.agentId));
+  if (entityTypes) tests.push(m => entityTypes.includes(m.entityType));
+  if (entityIds) tests.push(m => entityIds.includes(m.entityId));
+  if (query.tags) tests.push(m => query.tags.every(tag => m.tags.includes(tag)));
+  if (query.anyTags) tests.push(m => query.anyTags.some(tag => m.tags.includes(tag)));
+  if (query.time) {
+    const { from = -Infinity, to = Infinity } = query.time;
+    tests.push(m => m.timestamp >= from && m.timestamp <= to);
+  }
+  if (query.within !== undefined) tests.push(m => now - m.timestamp <= query.within);
+  Object.entries(RANGE_FIELDS).forEach(([key, read]) => {
+    if (!query[key]) return;
+    const { min = -Infinity, max = Infinity } = query[key];
+    tests.push(m => read(m) >= min && read(m) <= max);
+  });
+  if (near) tests.push(m => distance(m) <= near.radius);
+  if (query.where) tests.push(query.where);
+
+  const sorts = (asList(query.sort) || []).map(spec => {
+    const descending = spec.startsWith('-');
+    const field = spec.replace(/^-/, '');
+    return { read: field === 'distance' ? distance : SORT_FIELDS[field], sign: descending ? -1 : 1 };
+  });
+
+  return {
+    matches: memory => tests.every(test => test(memory)),
+    compare: sorts.length === 0 ? null : (a, b) => {
+      for (const { read, sign } of sorts) {
+        const difference = read(a) - read(b);
+        if (difference !== 0) return sign * difference;
+      }
+      return 0;
+    },
+    offset: query.offset || 0,
+    limit: query.limit ?? Infinity
+  };
+}
+
+// Runs a query over any list of memories, e.g. those loaded back from storage
+export function runQuery(memories, query = {}, now = 0) {
+  const { matches, compare, offset, limit } = compileQuery(query, now);
+  const results = memories.filter(matches);
+  if (compare) results.sort(compare);
+  return results.slice(offset, offset + limit);
+}
+
+export default {
+  MEMORY_TIERS,
+  validateQuery,
+  compileQuery,
+  runQuery
+};
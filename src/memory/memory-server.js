@@ -0,0 +1,181 @@
+/**
+ * HESMS Reference Memory Server
+ *
+ * A small HTTP server implementing the memory API that CloudStorage talks to,
+ * backed by FileSystemStorage (one JSONL file per memoryId). Meant for testing
+ * sync, retries and batching end-to-end on one machine, not for production.
+ *
+ *   POST /api/memory/:id/create     register a memory                 -> 201 { memoryId }
+ *   POST /api/memory/:id/episodic   { memories: [compressed, ...] }   -> { memoryId, stored, duplicates }
+ *   POST /api/memory/:id/semantic   encoded SemanticMemory            -> { memoryId, saved }
+ *   GET  /api/memory/:id/episodic   stored episodic memories          -> { memoryId, memories }
+ *   GET  /api/memory/:id/semantic   latest semantic memory, 404 if none
+ *   GET  /api/memory                memoryIds with stored data        -> { memories }
+ *   GET  /api/health                status and request counters
+ *
+ * failureRate and latency inject faults into POST requests, so the client's
+ * retry path can be exercised: a failing request answers 503 without storing.
+ */
+
+import http from 'http';
+import { FileSystemStorage } from './storage-adapters.js';
+
+const SERVER_CONFIG = {
+  port: 5001,
+  host: '127.0.0.1',
+  basePath: '/api',
+  directory: 'argos-memory-server',
+  failureRate: 0,       // 0-1, share of POST requests answered with 503
+  latency: 0,           // Milliseconds added to every request
+  maxBodyBytes: 10 * 1024 * 1024,
+  log: console.log
+};
+
+class HttpError extends Error {
+  constructor(status, message) {
+    super(message);
+    this.status = status;
+  }
+}
+
+function readJsonBody(request, maxBytes) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    request.on('data', chunk => {
+      size += chunk.length;
+      if (size > maxBytes) {
+        reject(new HttpError(413, `Request body exceeds ${maxBytes} bytes`));
+        request.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    request.on('end', () => {
+      const text = Buffer.concat(chunks).toString('utf8');
+      if (text.length === 0) return resolve({});
+      try {
+        resolve(JSON.parse(text));
+      } catch (error) {
+        reject(new HttpError(400, `Invalid JSON body: ${error.message}`));
+      }
+    });
+    request.on('error', reject);
+  });
+}
+
+function sendJson(response, status, body) {
+  const payload = JSON.stringify(body);
+  response.writeHead(status, {
+    'Content-Type': 'application/json',
+    'Content-Length': Buffer.byteLength(payload)
+  });
+  response.end(payload);
+}
+
+export class MemoryServer {
+  constructor(options = {}) {
+    this.options = { ...SERVER_CONFIG, ...options };
+    this.storage = options.storage || new FileSystemStorage({ directory: this.options.directory });
+    this.stats = { requests: 0, failures: 0, injectedFailures: 0, episodicBatches: 0, episodicMemories: 0, semanticSaves: 0 };
+    this.server = http.createServer((request, response) => this.handle(request, response));
+  }
+
+  // Resolves with the bound address once the server is listening (port 0 picks a free port)
+  listen(port = this.options.port, host = this.options.host) {
+    return new Promise((resolve, reject) => {
+      this.server.once('error', reject);
+      this.server.listen(port, host, () => {
+        this.server.off('error', reject);
+        const address = this.server.address();
+        this.url = `http://${address.address}:${address.port}${this.options.basePath}`;
+        this.options.log(`HESMS: Memory server listening on ${this.url}`);
+        resolve(address);
+      });
+    });
+  }
+
+  close() {
+    return new Promise((resolve, reject) => this.server.close(error => (error ? reject(error) : resolve())));
+  }
+
+  async handle(request, response) {
+    this.stats.requests++;
+    try {
+      if (this.options.latency > 0) await new Promise(resolve => setTimeout(resolve, this.options.latency));
+
+      const url = new URL(request.url, 'http://localhost');
+      if (!url.pathname.startsWith(this.options.basePath)) throw new HttpError(404, `Not found: ${url.pathname}`);
+      const route = url.pathname.slice(this.options.basePath.length) || '/';
+
+      if (request.method === 'POST' && Math.random() < this.options.failureRate) {
+        this.stats.injectedFailures++;
+        throw new HttpError(503, 'Injected failure');
+      }
+
+      const result = await this.route(request, route);
+      sendJson(response, result.status || 200, result.body);
+    } catch (error) {
+      this.stats.failures++;
+      const status = error.status || 500;
+      if (status === 500) this.options.log(`HESMS: Memory server error: ${error.message}`);
+      sendJson(response, status, { error: error.message });
+    }
+  }
+
+  async route(request, route) {
+    if (request.method === 'GET' && route === '/health') {
+      return { body: { status: 'ok', ...this.stats } };
+    }
+    if (request.method === 'GET' && route === '/memory') {
+      return { body: { memories: await this.storage.listMemories() } };
+    }
+
+    const match = route.match(/^\/memory\/([\w.-]+)\/(create|episodic|semantic)$/);
+    if (!match) throw new HttpError(404, `Not found: ${route}`);
+    const [, memoryId, resource] = match;
+
+    if (request.method === 'POST') {
+      const body = await readJsonBody(request, this.options.maxBodyBytes);
+      if (resource === 'create') {
+        await this.storage.createMemory(memoryId);
+        return { status: 201, body: { memoryId } };
+      }
+      if (resource === 'episodic') {
+        if (!Array.isArray(body.memories)) throw new HttpError(400, 'memories must be an array');
+        // Replayed batches are safe: memories already stored are skipped by id
+        const stored = await this.storage.appendEpisodic(memoryId, body.memories);
+        this.stats.episodicBatches++;
+        this.stats.episodicMemories += stored;
+        this.options.log(`HESMS: Stored ${stored} memories for ID ${memoryId}`);
+        return { body: { memoryId, stored, duplicates: body.memories.length - stored } };
+      }
+      await this.storage.saveSemantic(memoryId, body);
+      this.stats.semanticSaves++;
+      return { body: { memoryId, saved: true } };
+    }
+
+    if (request.method === 'GET') {
+      if (resource === 'episodic') {
+        return { body: { memoryId, memories: await this.storage.loadEpisodic(memoryId) } };
+      }
+      if (resource === 'semantic') {
+        const semantic = await this.storage.loadSemantic(memoryId);
+        if (semantic === null) throw new HttpError(404, `No semantic memory for ID ${memoryId}`);
+        return { body: semantic };
+      }
+    }
+    throw new HttpError(405, `${request.method} not allowed on ${route}`);
+  }
+}
+
+export async function startMemoryServer(options = {}) {
+  const server = new MemoryServer(options);
+  await server.listen();
+  return server;
+}
+
+export default {
+  MemoryServer,
+  startMemoryServer
+};
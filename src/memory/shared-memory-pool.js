@@ -0,0 +1,94 @@
+/**
+ * HESMS Shared Memory Pool
+ *
+ * A collective memory that agents publish to and learn from. Entries are either
+ * episodic memories (compressed, as sent to storage) or semantic patterns, and
+ * carry their provenance: the publishing agent and its memoryId. Each reader
+ * keeps a cursor, so every entry from another agent is read once.
+ *
+ * The pool only stores and orders entries; MemoryManager decides what is
+ * published and how much a reader believes it (trust in the source, fidelity
+ * lost on transmission). A pattern is republished when its source gains new
+ * evidence for it and replaces the earlier entry, so the pool holds one current
+ * version per source and pattern type.
+ */
+
+const POOL_CONFIG = {
+  capacity: 200 // Oldest entries are dropped beyond this
+};
+
+export class SharedMemoryPool {
+  constructor(options = {}) {
+    this.options = { ...POOL_CONFIG, ...options };
+    this.entries = [];
+    this.nextSequence = 1;
+    this.cursors = new Map(); // reader memoryId -> last sequence read
+    this.stats = { published: 0, adopted: 0, rejected: 0, dropped: 0 };
+  }
+
+  // entry: { kind: 'episodic', source, sourceMemoryId, memory, importance, fidelity }
+  //     or { kind: 'pattern', source, sourceMemoryId, pattern }
+  // Returns the stored entry, or null when the pool already holds this version.
+  publish(entry, now = 0) {
+    if (entry.kind === 'episodic') {
+      if (this.entries.some(e => e.kind === 'episodic' && e.memory.id === entry.memory.id)) return null;
+    } else {
+      const current = this.entries.find(e => e.kind === 'pattern' &&
+        e.sourceMemoryId === entry.sourceMemoryId && e.pattern.type === entry.pattern.type);
+      if (current && current.pattern.evidenceCount >= entry.pattern.evidenceCount) return null;
+      if (current) this.entries.splice(this.entries.indexOf(current), 1);
+    }
+    const stored = { ...entry, sequence: this.nextSequence++, publishedAt: now };
+    this.entries.push(stored);
+    if (this.entries.length > this.options.capacity) {
+      this.stats.dropped += this.entries.splice(0, this.entries.length - this.options.capacity).length;
+    }
+    this.stats.published++;
+    return stored;
+  }
+
+  // Entries from other sources published since the reader's last read
+  read(readerMemoryId) {
+    const cursor = this.cursors.get(readerMemoryId) || 0;
+    this.cursors.set(readerMemoryId, this.nextSequence - 1);
+    return this.entries.filter(e => e.sequence > cursor && e.sourceMemoryId !== readerMemoryId);
+  }
+
+  removeReader(readerMemoryId) {
+    this.cursors.delete(readerMemoryId);
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  status() {
+    const sources = new Set(this.entries.map(e => e.sourceMemoryId));
+    return {
+      entries: this.entries.length,
+      episodic: this.entries.filter(e => e.kind === 'episodic').length,
+      patterns: this.entries.filter(e => e.kind === 'pattern').length,
+      sources: sources.size,
+      ...this.stats
+    };
+  }
+
+  serialize() {
+    return {
+      entries: this.entries,
+      nextSequence: this.nextSequence,
+      cursors: Array.from(this.cursors),
+      stats: this.stats
+    };
+  }
+
+  restore(data) {
+    this.entries = data.entries;
+    this.nextSequence = data.nextSequence;
+    this.cursors = new Map(data.cursors);
+    this.stats = data.stats;
+    return this;
+  }
+}
+
+export default SharedMemoryPool;
@@ -0,0 +1,222 @@
+/**
+ * HESMS Similarity Index
+ *
+ * Encodes episodic memories and situations as local feature vectors and finds
+ * the memories nearest to a situation, without external services. A vector is
+ * made of feature groups:
+ *
+ *   type       one-hot entity type (resource, obstacle, hazard, reality shift, other)
+ *   position   x and y divided by positionScale
+ *   action     one-hot action id (modulo ACTION_SLOTS)
+ *   outcome    success, failure and reward / 10
+ *   emotion    emotional impact / 100
+ *   shift      1 during a reality shift
+ *   tags       hashed bag of tags
+ *
+ * A situation may leave groups out ({ position, entityType } is enough); only
+ * the groups it gives are compared. Search is exact: a scan over the owning
+ * agent's vectors, which forgetting keeps to a bounded number.
+ */
+
+const ENTITY_TYPE_SLOTS = { 0: 0, 1: 1, 2: 2, 99: 3 };
+const ACTION_SLOTS = 8;
+const TAG_SLOTS = 16;
+
+export const FEATURE_GROUPS = [
+  { name: 'type', size: 5 },
+  { name: 'position', size: 2 },
+  { name: 'action', size: ACTION_SLOTS },
+  { name: 'outcome', size: 3 },
+  { name: 'emotion', size: 1 },
+  { name: 'shift', size: 1 },
+  { name: 'tags', size: TAG_SLOTS }
+];
+
+export const DEFAULT_SIMILARITY_WEIGHTS = {
+  type: 2, position: 1.5, action: 1, outcome: 1, emotion: 0.5, shift: 0.5, tags: 0.5
+};
+
+const OFFSETS = {};
+let offset = 0;
+FEATURE_GROUPS.forEach(group => {
+  OFFSETS[group.name] = offset;
+  offset += group.size;
+});
+export const VECTOR_SIZE = offset;
+
+const hashTag = (tag) => {
+  let hash = 0;
+  for (let i = 0; i < tag.length; i++) hash = (hash * 31 + tag.charCodeAt(i)) | 0;
+  return Math.abs(hash) % TAG_SLOTS;
+};
+
+// The situation a memory describes
+export function situationOfMemory(memory) {
+  return {
+    entityType: memory.entityType,
+    position: memory.position,
+    action: memory.context?.action,
+    success: memory.context?.success,
+    reward: memory.context?.reward,
+    emotional: memory.emotionalImpact,
+    realityShift: memory.context?.realityShift,
+    // Importance buckets change nothing about the situation itself
+    tags: (memory.tags || []).filter(tag => !tag.startsWith('imp_'))
+  };
+}
+
+// Returns { vector, mask } where mask has one bit per feature group present
+export function encodeSituation(situation, positionScale = 100) {
+  const vector = new Float32Array(VECTOR_SIZE);
+  let mask = 0;
+  const set = (group, index, value) => { vector[OFFSETS[group] + index] = value; };
+  const present = (group) => { mask |= 1 << FEATURE_GROUPS.findIndex(g => g.name === group); };
+
+  if (situation.entityType !== undefined && situation.entityType !== null) {
+    set('type', ENTITY_TYPE_SLOTS[situation.entityType] ?? 4, 1);
+    present('type');
+  }
+  if (situation.position) {
+    set('position', 0, situation.position.x / positionScale);
+    set('position', 1, situation.position.y / positionScale);
+    present('position');
+  }
+  if (situation.action !== undefined && situation.action !== null) {
+    set('action', Math.abs(situation.action) % ACTION_SLOTS, 1);
+    present('action');
+  }
+  if (situation.success !== undefined) {
+    set('outcome', 0, situation.success ? 1 : 0);
+    set('outcome', 1, situation.success ? 0 : 1);
+    set('outcome', 2, Math.max(-1, Math.min(1, (situation.reward || 0) / 10)));
+    present('outcome');
+  }
+  if (situation.emotional !== undefined && situation.emotional !== null) {
+    set('emotion', 0, situation.emotional / 100);
+    present('emotion');
+  }
+  if (situation.realityShift !== undefined) {
+    set('shift', 0, situation.realityShift ? 1 : 0);
+    present('shift');
+  }
+  if (situation.tags?.length) {
+    const weight = 1 / Math.sqrt(situation.tags.length);
+    situation.tags.forEach(tag => { vector[OFFSETS.tags + hashTag(tag)] += weight; });
+    present('tags');
+  }
+  return { vector, mask };
+}
+
+export class SimilarityIndex {
+  constructor(options = {}) {
+    this.positionScale = options.positionScale || 100;
+    this.weights = { ...DEFAULT_SIMILARITY_WEIGHTS, ...options.weights };
+    this.partitions = new Map(); // memoryId -> { memories, vectors, masks }
+    this.locations = new Map();  // episodic memory id -> memoryId
+  }
+
+  partition(memoryId) {
+    if (!this.partitions.has(memoryId)) {
+      this.partitions.set(memoryId, { memories: [], vectors: new Float32Array(VECTOR_SIZE * 64), masks: [] });
+    }
+    return this.partitions.get(memoryId);
+  }
+
+  add(memoryId, memory) {
+    if (this.locations.has(memory.id)) return;
+    const part = this.partition(memoryId);
+    const slot = part.memories.length;
+    if ((slot + 1) * VECTOR_SIZE > part.vectors.length) {
+      const grown = new Float32Array(part.vectors.length * 2);
+      grown.set(part.vectors);
+      part.vectors = grown;
+    }
+    const { vector, mask } = encodeSituation(situationOfMemory(memory), this.positionScale);
+    part.vectors.set(vector, slot * VECTOR_SIZE);
+    part.masks.push(mask);
+    part.memories.push(memory);
+    this.locations.set(memory.id, memoryId);
+  }
+
+  // Swap-removes the memory's vector
+  remove(memoryOrId) {
+    const id = typeof memoryOrId === 'string' ? memoryOrId : memoryOrId.id;
+    const memoryId = this.locations.get(id);
+    if (memoryId === undefined) return false;
+    const part = this.partitions.get(memoryId);
+    const slot = part.memories.findIndex(m => m.id === id);
+    const last = part.memories.length - 1;
+    if (slot !== last) {
+      part.vectors.copyWithin(slot * VECTOR_SIZE, last * VECTOR_SIZE, (last + 1) * VECTOR_SIZE);
+      part.masks[slot] = part.masks[last];
+      part.memories[slot] = part.memories[last];
+    }
+    part.memories.pop();
+    part.masks.pop();
+    this.locations.delete(id);
+    return true;
+  }
+
+  removePartition(memoryId) {
+    const part = this.partitions.get(memoryId);
+    if (!part) return;
+    part.memories.forEach(m => this.locations.delete(m.id));
+    this.partitions.delete(memoryId);
+  }
+
+  size(memoryId) {
+    return this.partitions.get(memoryId)?.memories.length || 0;
+  }
+
+  // The k memories of memoryId nearest to the situation, as { memory, similarity }
+  // with similarity in (0, 1], most similar first
+  search(memoryId, situation, k = 5, options = {}) {
+    const part = this.partitions.get(memoryId);
+    if (!part || k <= 0) return [];
+    const { vector, mask } = encodeSituation(situation, this.positionScale);
+    if (mask === 0) return [];
+
+    const groups = FEATURE_GROUPS
+      .map((group, bit) => ({ ...group, bit, start: OFFSETS[group.name], weight: this.weights[group.name] || 0 }))
+      .filter(group => (mask & (1 << group.bit)) && group.weight > 0);
+    const totalWeight = groups.reduce((total, group) => total + group.weight, 0);
+    if (totalWeight === 0) return [];
+
+    const best = []; // Sorted ascending by distance, at most k long
+    for (let slot = 0; slot < part.memories.length; slot++) {
+      const memory = part.memories[slot];
+      if (options.exclude && options.exclude(memory)) continue;
+      const base = slot * VECTOR_SIZE;
+      let distance = 0;
+      for (const group of groups) {
+        // A memory without a group the situation asks about counts as a full mismatch
+        if (!(part.masks[slot] & (1 << group.bit))) {
+          distance += group.weight;
+          continue;
+        }
+        let squared = 0;
+        for (let i = group.start; i < group.start + group.size; i++) {
+          const difference = vector[i] - part.vectors[base + i];
+          squared += difference * difference;
+        }
+        distance += group.weight * squared;
+      }
+      distance = Math.sqrt(distance / totalWeight);
+      if (best.length === k && distance >= best[k - 1].distance) continue;
+      let position = best.length;
+      while (position > 0 && best[position - 1].distance > distance) position--;
+      best.splice(position, 0, { memory, distance });
+      if (best.length > k) best.pop();
+    }
+    return best.map(({ memory, distance }) => ({ memory, similarity: 1 / (1 + distance) }));
+  }
+}
+
+export default {
+  FEATURE_GROUPS,
+  DEFAULT_SIMILARITY_WEIGHTS,
+  VECTOR_SIZE,
+  situationOfMemory,
+  encodeSituation,
+  SimilarityIndex
+};
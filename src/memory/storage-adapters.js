@@ -0,0 +1,210 @@
+/**
+ * HESMS Storage Adapters
+ *
+ * Where MemoryManager persists memories. Every adapter implements the same
+ * async interface, keyed by an agent's memoryId:
+ *
+ *   createMemory(memoryId)
+ *   appendEpisodic(memoryId, records)   records: EpisodicMemory.compress() output;
+ *                                       skips ids already stored, resolves to the count added
+ *   saveSemantic(memoryId, semantic)    semantic: encodeValue(SemanticMemory)
+ *   loadEpisodic(memoryId)              -> records in the order they were appended
+ *   loadSemantic(memoryId)              -> latest saved semantic value or null
+ *   listMemories()                      -> memoryIds with stored data
+ *
+ * Built-in backends: 'memory' (process lifetime only), 'filesystem' (one
+ * append-only JSONL file per memoryId) and 'cloud' (the HTTP memory API).
+ */
+
+import axios from 'axios';
+
+const ADAPTER_METHODS = ['createMemory', 'appendEpisodic', 'saveSemantic', 'loadEpisodic', 'loadSemantic', 'listMemories'];
+
+// ### In-Memory Storage
+export class InMemoryStorage {
+  constructor() {
+    this.episodic = new Map();  // memoryId -> records
+    this.semantic = new Map();  // memoryId -> semantic value
+  }
+
+  async createMemory(memoryId) {
+    if (!this.episodic.has(memoryId)) this.episodic.set(memoryId, []);
+  }
+
+  async appendEpisodic(memoryId, records) {
+    await this.createMemory(memoryId);
+    const stored = this.episodic.get(memoryId);
+    const known = new Set(stored.map(record => record.id));
+    const added = records.filter(record => !known.has(record.id));
+    stored.push(...added);
+    return added.length;
+  }
+
+  async saveSemantic(memoryId, semantic) {
+    this.semantic.set(memoryId, semantic);
+  }
+
+  async loadEpisodic(memoryId) {
+    return [...(this.episodic.get(memoryId) || [])];
+  }
+
+  async loadSemantic(memoryId) {
+    return this.semantic.get(memoryId) ?? null;
+  }
+
+  async listMemories() {
+    return [...new Set([...this.episodic.keys(), ...this.semantic.keys()])];
+  }
+}
+
+// ### Filesystem Storage
+// <directory>/<memoryId>.jsonl, one line per write: {"type":"episodic","memory":{...}}
+// or {"type":"semantic","semantic":{...}}. Files are only ever appended to, so a
+// crashed run loses at most the write in flight.
+export class FileSystemStorage {
+  constructor(options = {}) {
+    this.directory = options.directory || 'argos-memory';
+    this.fs = null;
+    this.path = null;
+    this.ids = new Map();  // memoryId -> Set of stored episodic ids, read from the file on first append
+  }
+
+  async modules() {
+    if (!this.fs) {
+      this.fs = await import('fs/promises');
+      this.path = await import('path');
+      await this.fs.mkdir(this.directory, { recursive: true });
+    }
+    return this.fs;
+  }
+
+  fileFor(memoryId) {
+    if (!/^[\w.-]+$/.test(String(memoryId))) throw new Error(`Invalid memoryId for file storage: ${memoryId}`);
+    return this.path.join(this.directory, `${memoryId}.jsonl`);
+  }
+
+  async append(memoryId, lines) {
+    const fs = await this.modules();
+    if (lines.length === 0) return;
+    await fs.appendFile(this.fileFor(memoryId), lines.map(line => JSON.stringify(line)).join('\n') + '\n');
+  }
+
+  async read(memoryId) {
+    const fs = await this.modules();
+    let text;
+    try {
+      text = await fs.readFile(this.fileFor(memoryId), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return [];
+      throw error;
+    }
+    return text.split('\n').filter(Boolean).map(line => JSON.parse(line));
+  }
+
+  async createMemory(memoryId) {
+    const fs = await this.modules();
+    await fs.appendFile(this.fileFor(memoryId), '');
+  }
+
+  async appendEpisodic(memoryId, records) {
+    if (!this.ids.has(memoryId)) {
+      this.ids.set(memoryId, new Set((await this.loadEpisodic(memoryId)).map(record => record.id)));
+    }
+    const known = this.ids.get(memoryId);
+    const added = records.filter(record => !known.has(record.id));
+    await this.append(memoryId, added.map(memory => ({ type: 'episodic', memory })));
+    added.forEach(record => known.add(record.id));
+    return added.length;
+  }
+
+  async saveSemantic(memoryId, semantic) {
+    await this.append(memoryId, [{ type: 'semantic', semantic }]);
+  }
+
+  async loadEpisodic(memoryId) {
+    return (await this.read(memoryId)).filter(line => line.type === 'episodic').map(line => line.memory);
+  }
+
+  async loadSemantic(memoryId) {
+    const lines = (await this.read(memoryId)).filter(line => line.type === 'semantic');
+    return lines.length > 0 ? lines[lines.length - 1].semantic : null;
+  }
+
+  async listMemories() {
+    const fs = await this.modules();
+    return (await fs.readdir(this.directory))
+      .filter(name => name.endsWith('.jsonl'))
+      .map(name => name.slice(0, -'.jsonl'.length));
+  }
+}
+
+// ### Cloud Storage
+// The HTTP memory API at endpoint (API_ENDPOINT by default)
+export class CloudStorage {
+  constructor(options = {}) {
+    this.endpoint = options.endpoint;
+    this.log = options.log || console.log;
+  }
+
+  async createMemory(memoryId) {
+    const response = await axios.post(`${this.endpoint}/memory/${memoryId}/create`, {});
+    this.log(`HESMS: Cloud memory created for ID ${memoryId}`);
+    return response.data;
+  }
+
+  async appendEpisodic(memoryId, records) {
+    const response = await axios.post(`${this.endpoint}/memory/${memoryId}/episodic`, { memories: records });
+    return response.data?.stored ?? records.length;
+  }
+
+  async saveSemantic(memoryId, semantic) {
+    await axios.post(`${this.endpoint}/memory/${memoryId}/semantic`, semantic);
+  }
+
+  async loadEpisodic(memoryId) {
+    const response = await axios.get(`${this.endpoint}/memory/${memoryId}/episodic`);
+    return response.data.memories || [];
+  }
+
+  async loadSemantic(memoryId) {
+    try {
+      const response = await axios.get(`${this.endpoint}/memory/${memoryId}/semantic`);
+      return response.data ?? null;
+    } catch (error) {
+      if (error.response?.status === 404) return null;
+      throw error;
+    }
+  }
+
+  async listMemories() {
+    const response = await axios.get(`${this.endpoint}/memory`);
+    return response.data.memories || [];
+  }
+}
+
+export const STORAGE_ADAPTERS = {
+  memory: InMemoryStorage,
+  filesystem: FileSystemStorage,
+  cloud: CloudStorage
+};
+
+// storage: a built-in name, an adapter instance or null (no persistence)
+export function createStorageAdapter(storage, options = {}) {
+  if (storage === null || storage === undefined || storage === false) return null;
+  if (typeof storage === 'string') {
+    const Adapter = STORAGE_ADAPTERS[storage];
+    if (!Adapter) throw new Error(`Unknown memory storage: ${storage} (expected ${Object.keys(STORAGE_ADAPTERS).join(', ')})`);
+    return new Adapter(options);
+  }
+  const missing = ADAPTER_METHODS.filter(method => typeof storage[method] !== 'function');
+  if (missing.length > 0) throw new Error(`Memory storage adapter is missing ${missing.join(', ')}`);
+  return storage;
+}
+
+export default {
+  InMemoryStorage,
+  FileSystemStorage,
+  CloudStorage,
+  STORAGE_ADAPTERS,
+  createStorageAdapter
+};
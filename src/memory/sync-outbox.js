@@ -0,0 +1,144 @@
+/**
+ * HESMS Sync Outbox
+ *
+ * Holds storage writes that failed after MemoryManager's retries: episodic
+ * batches, memory creation and semantic saves. Entries are kept in
+ * <directory>/outbox.json, so they survive a crash or restart, and replayed in
+ * order once the backoff delay has passed. Delays grow exponentially with
+ * every failed replay, with random jitter so many clients do not retry in step.
+ * Replays are safe to repeat: storage skips episodic memories whose id it
+ * already holds, and only the latest semantic save per memory is kept.
+ */
+
+const OUTBOX_CONFIG = {
+  directory: 'argos-outbox',  // null keeps the outbox in memory only
+  baseDelay: 1000,            // Milliseconds before the first replay
+  maxDelay: 5 * 60 * 1000,
+  jitter: 0.25                // Up to this share of the delay is added at random
+};
+
+export class SyncOutbox {
+  constructor(options = {}) {
+    this.options = { ...OUTBOX_CONFIG, ...options };
+    this.entries = [];
+    this.nextSequence = 0;
+    this.attempts = 0;         // Consecutive failed replays
+    this.nextRetryAt = 0;
+    this.lastError = null;
+    this.fs = null;
+    this.file = null;
+    this.saving = Promise.resolve();
+    this.durable = this.options.directory !== null;
+  }
+
+  async modules() {
+    if (!this.fs && this.durable) {
+      try {
+        this.fs = await import('fs/promises');
+        const path = await import('path');
+        this.file = path.join(this.options.directory, 'outbox.json');
+      } catch (error) {
+        // No filesystem (browser): keep going in memory
+        console.warn(`HESMS: Outbox is not durable here: ${error.message}`);
+        this.durable = false;
+      }
+    }
+    return this.fs;
+  }
+
+  // Picks up entries left by an earlier run
+  async load() {
+    const fs = await this.modules();
+    if (!fs) return this;
+    try {
+      const saved = JSON.parse(await fs.readFile(this.file, 'utf8'));
+      this.entries = saved.entries || [];
+      this.nextSequence = saved.nextSequence || this.entries.length;
+    } catch (error) {
+      if (error.code !== 'ENOENT') console.warn(`HESMS: Could not read outbox ${this.file}: ${error.message}`);
+    }
+    return this;
+  }
+
+  // Saves run one at a time, each writing the outbox as it is when the save starts
+  save() {
+    this.saving = this.saving.catch(() => {}).then(() => this.write());
+    return this.saving;
+  }
+
+  // Written to a temporary file and renamed, so a crash mid-write keeps the old outbox
+  async write() {
+    const fs = await this.modules();
+    if (!fs) return;
+    await fs.mkdir(this.options.directory, { recursive: true });
+    const temporary = `${this.file}.tmp`;
+    await fs.writeFile(temporary, JSON.stringify({ nextSequence: this.nextSequence, entries: this.entries }));
+    await fs.rename(temporary, this.file);
+  }
+
+  // entry: { kind: 'create' | 'episodic' | 'semantic', memoryId, records?, semantic? }
+  async add(entry, error = null) {
+    if (entry.kind === 'semantic') {
+      this.entries = this.entries.filter(e => !(e.kind === 'semantic' && e.memoryId === entry.memoryId));
+    }
+    this.entries.push({ ...entry, id: `${entry.kind}-${entry.memoryId}-${this.nextSequence++}`, queuedAt: Date.now() });
+    if (error) this.recordFailure(error);
+    await this.save();
+  }
+
+  get size() {
+    return this.entries.length;
+  }
+
+  // True while the endpoint is known to be failing and the next replay is not yet due
+  isBackingOff(now = Date.now()) {
+    return this.attempts > 0 && now < this.nextRetryAt;
+  }
+
+  isDue(now = Date.now()) {
+    return this.entries.length > 0 && !this.isBackingOff(now);
+  }
+
+  recordFailure(error) {
+    this.attempts++;
+    this.lastError = error?.message || String(error);
+    const delay = Math.min(this.options.maxDelay, this.options.baseDelay * 2 ** (this.attempts - 1));
+    this.nextRetryAt = Date.now() + Math.round(delay * (1 + Math.random() * this.options.jitter));
+  }
+
+  // Sends entries in order through write(entry); stops at the first failure
+  // and backs off. Returns the number of entries delivered.
+  async replay(write) {
+    if (!this.isDue()) return 0;
+    let delivered = 0;
+    while (this.entries.length > 0) {
+      const entry = this.entries[0];
+      try {
+        await write(entry);
+      } catch (error) {
+        this.recordFailure(error);
+        break;
+      }
+      this.entries.shift();
+      delivered++;
+      this.attempts = 0;
+      this.lastError = null;
+    }
+    if (delivered > 0 || this.attempts > 0) await this.save();
+    return delivered;
+  }
+
+  status() {
+    return {
+      durable: this.durable,
+      pendingEntries: this.entries.length,
+      pendingMemories: this.entries.reduce((total, e) => total + (e.records?.length || 0), 0),
+      oldestQueuedAt: this.entries.length > 0 ? this.entries[0].queuedAt : null,
+      attempts: this.attempts,
+      nextRetryAt: this.entries.length > 0 && this.attempts > 0 ? this.nextRetryAt : null,
+      lastError: this.lastError
+    };
+  }
+}
+
+export default SyncOutbox;
@@ -0,0 +1,184 @@
+/**
+ * HESMS Theory of Mind
+ *
+ * Each agent's beliefs about the agents it has observed, inferred from what it
+ * remembers of them: where they were, how they moved and which goals they were
+ * pursuing. A belief holds
+ *
+ *   goals        how often the other was seen pursuing each goal type, decayed so
+ *                recent behaviour counts most; normalised, its preferences
+ *   transitions  counts of goal type -> next observed goal type
+ *   knowledge    entities the other has shown it knows about: targets it went
+ *                for, and what it told the observer or shared in the pool
+ *   movement     last position and time seen, smoothed velocity, current goal
+ *
+ * and predicts the other's next goal and where it will be. Holders and subjects
+ * are memoryIds; the entity id the subject was last seen as is kept with the
+ * belief.
+ */
+
+import { remapEntity } from '../core/snapshot.js';
+
+export const GOAL_TYPES = ['explore', 'resource', 'avoid_hazard', 'social'];
+
+const BELIEF_CONFIG = {
+  goalDecay: 0.9,         // Weight earlier goal observations keep at each new one
+  velocitySmoothing: 0.5, // Weight of the latest movement in the velocity estimate
+  knowledgeLimit: 20,     // Entities kept per belief as known to the subject
+  confidentAfter: 5       // Observations before predictions are fully trusted
+};
+
+export class TheoryOfMind {
+  constructor(options = {}) {
+    this.options = { ...BELIEF_CONFIG, ...options };
+    this.beliefs = new Map(); // holder memoryId -> Map(subject memoryId -> belief)
+  }
+
+  belief(holder, subject) {
+    if (!this.beliefs.has(holder)) this.beliefs.set(holder, new Map());
+    const beliefs = this.beliefs.get(holder);
+    if (!beliefs.has(subject)) {
+      beliefs.set(subject, {
+        subject,
+        entity: null,
+        observations: 0,
+        lastSeen: null,
+        velocity: { x: 0, y: 0 },
+        goal: null,
+        goalChanges: 0,
+        goals: GOAL_TYPES.map(() => 0),
+        transitions: GOAL_TYPES.map(() => GOAL_TYPES.map(() => 0)),
+        knowledge: []
+      });
+    }
+    return beliefs.get(subject);
+  }
+
+  get(holder, subject) {
+    return this.beliefs.get(holder)?.get(subject) || null;
+  }
+
+  // observation: { entity, position, time, goalType, target, targetEntity };
+  // the goal fields are left out when the subject's goal could not be seen
+  observe(holder, subject, observation) {
+    const belief = this.belief(holder, subject);
+    const { position, time, goalType } = observation;
+
+    if (belief.lastSeen && time > belief.lastSeen.time) {
+      const elapsed = time - belief.lastSeen.time;
+      const smoothing = this.options.velocitySmoothing;
+      belief.velocity.x = belief.velocity.x * (1 - smoothing) + ((position.x - belief.lastSeen.x) / elapsed) * smoothing;
+      belief.velocity.y = belief.velocity.y * (1 - smoothing) + ((position.y - belief.lastSeen.y) / elapsed) * smoothing;
+    }
+
+    if (goalType !== undefined && GOAL_TYPES[goalType]) {
+      belief.goals = belief.goals.map((weight, type) => weight * this.options.goalDecay + (type === goalType ? 1 : 0));
+      if (belief.goal) belief.transitions[belief.goal.type][goalType]++;
+      const changed = !belief.goal || belief.goal.type !== goalType;
+      if (changed && belief.goal) belief.goalChanges++;
+      belief.goal = {
+        type: goalType,
+        target: observation.target ? { ...observation.target } : null,
+        targetEntity: observation.targetEntity || null, // 0: no target entity
+        since: changed ? time : belief.goal.since
+      };
+      // Going for a resource or another agent shows the subject knows where it is
+      if ((goalType === 1 || goalType === 3) && observation.targetEntity) {
+        this.noteKnowledge(holder, subject, observation.targetEntity, 'target', time);
+      }
+    }
+
+    belief.entity = observation.entity;
+    belief.lastSeen = { x: position.x, y: position.y, time };
+    belief.observations++;
+    return belief;
+  }
+
+  // Records that the subject knows about an entity ('target', 'told' or 'shared')
+  noteKnowledge(holder, subject, entity, reason, time) {
+    const knowledge = this.belief(holder, subject).knowledge;
+    const known = knowledge.findIndex(k => k.entity === entity);
+    if (known >= 0) knowledge.splice(known, 1);
+    knowledge.push({ entity, reason, time });
+    if (knowledge.length > this.options.knowledgeLimit) knowledge.splice(0, knowledge.length - this.options.knowledgeLimit);
+  }
+
+  preferences(belief) {
+    const total = belief.goals.reduce((sum, weight) => sum + weight, 0);
+    return Object.fromEntries(GOAL_TYPES.map((name, type) => [name, total > 0 ? belief.goals[type] / total : 1 / GOAL_TYPES.length]));
+  }
+
+  // The subject's likely goal and position `horizon` ticks after now: goal
+  // probabilities follow the observed goal changes from its current goal,
+  // smoothed towards its preferences. If it keeps its goal it heads for the
+  // goal's target at its observed speed; otherwise it keeps drifting.
+  predict(holder, subject, now, horizon = 1) {
+    const belief = this.get(holder, subject);
+    if (!belief?.lastSeen) return null;
+    const preferences = Object.values(this.preferences(belief));
+    const row = belief.goal ? belief.transitions[belief.goal.type] : GOAL_TYPES.map(() => 0);
+    const total = row.reduce((sum, count) => sum + count, 0);
+    const probabilities = row.map((count, type) => (count + preferences[type]) / (total + 1));
+    const goalType = probabilities.indexOf(Math.max(...probabilities));
+
+    const elapsed = Math.max(0, now + horizon - belief.lastSeen.time);
+    const keepsGoal = belief.goal?.type === goalType && belief.goal.target;
+    let position = { x: belief.lastSeen.x + belief.velocity.x * elapsed, y: belief.lastSeen.y + belief.velocity.y * elapsed };
+    if (keepsGoal) {
+      const { target } = belief.goal;
+      const remaining = Math.hypot(target.x - belief.lastSeen.x, target.y - belief.lastSeen.y);
+      const travelled = Math.min(remaining, Math.hypot(belief.velocity.x, belief.velocity.y) * elapsed);
+      position = remaining > 0
+        ? { x: belief.lastSeen.x + (target.x - belief.lastSeen.x) * travelled / remaining, y: belief.lastSeen.y + (target.y - belief.lastSeen.y) * travelled / remaining }
+        : { ...target };
+    }
+
+    return {
+      subject,
+      entity: belief.entity,
+      goalType,
+      goal: GOAL_TYPES[goalType],
+      probabilities,
+      confidence: probabilities[goalType] * Math.min(1, belief.observations / this.options.confidentAfter),
+      target: keepsGoal ? { ...belief.goal.target } : null,
+      targetEntity: keepsGoal ? belief.goal.targetEntity : null,
+      position
+    };
+  }
+
+  // The holder's beliefs, most observed subject first
+  beliefsOf(holder) {
+    return Array.from(this.beliefs.get(holder)?.values() || [])
+      .map(belief => ({ ...belief, preferences: this.preferences(belief) }))
+      .sort((a, b) => b.observations - a.observations);
+  }
+
+  removeHolder(holder) {
+    this.beliefs.delete(holder);
+  }
+
+  // Beliefs about a removed agent are dropped by every holder
+  removeSubject(subject) {
+    this.beliefs.forEach(beliefs => beliefs.delete(subject));
+  }
+
+  serialize() {
+    return Array.from(this.beliefs, ([holder, beliefs]) => [holder, Array.from(beliefs)]);
+  }
+
+  // entityMap renumbers the entity ids beliefs hold after a snapshot restore
+  restore(data, entityMap) {
+    const remap = entity => (entity === null ? null : remapEntity(entityMap, entity));
+    const remapBelief = belief => ({
+      ...belief,
+      entity: remap(belief.entity),
+      goal: belief.goal ? { ...belief.goal, targetEntity: remap(belief.goal.targetEntity) } : null,
+      knowledge: belief.knowledge.map(known => ({ ...known, entity: remap(known.entity) }))
+    });
+    this.beliefs = new Map(data.map(([holder, beliefs]) =>
+      [holder, new Map(beliefs.map(([subject, belief]) => [subject, remapBelief(belief)]))]));
+    return this;
+  }
+}
+
+export default TheoryOfMind;
@@ -0,0 +1,82 @@
+/**
+ * HESMS Trust Model
+ *
+ * How much each agent believes each other agent, learned from experience. An
+ * agent holds a record per source of how often the source's knowledge was
+ * confirmed or contradicted by what the agent later saw for itself. Trust is the
+ * beta-reputation estimate
+ *
+ *   (confirmed + base * priorWeight) / (confirmed + contradicted + priorWeight)
+ *
+ * so it starts at the base trust and moves towards the observed confirmation
+ * rate as evidence accumulates. Holders and sources are memoryIds.
+ */
+
+const TRUST_CONFIG = {
+  defaultTrust: 0.5, // Base trust in a source nothing is known about
+  priorWeight: 2     // Observations the base trust counts as
+};
+
+const clamp = value => Math.min(1, Math.max(0, value));
+
+export class TrustModel {
+  constructor(options = {}) {
+    this.options = { ...TRUST_CONFIG, ...options };
+    this.tables = new Map(); // holder memoryId -> Map(source memoryId -> record)
+  }
+
+  record(holder, source) {
+    if (!this.tables.has(holder)) this.tables.set(holder, new Map());
+    const table = this.tables.get(holder);
+    if (!table.has(source)) {
+      table.set(source, { confirmed: 0, contradicted: 0, base: this.options.defaultTrust, lastUpdated: null });
+    }
+    return table.get(source);
+  }
+
+  trustOf(record) {
+    const { priorWeight } = this.options;
+    return (record.confirmed + record.base * priorWeight) / (record.confirmed + record.contradicted + priorWeight);
+  }
+
+  get(holder, source) {
+    const record = this.tables.get(holder)?.get(source);
+    return record ? this.trustOf(record) : this.options.defaultTrust;
+  }
+
+  // Sets the base trust; evidence gathered so far still counts
+  set(holder, source, trust) {
+    this.record(holder, source).base = clamp(trust);
+  }
+
+  // Counts one piece of the source's knowledge as confirmed or contradicted and
+  // returns the new trust
+  observe(holder, source, confirmed, now = 0, weight = 1) {
+    const record = this.record(holder, source);
+    if (confirmed) record.confirmed += weight;
+    else record.contradicted += weight;
+    record.lastUpdated = now;
+    return this.trustOf(record);
+  }
+
+  // The holder's trust table, most trusted source first
+  table(holder) {
+    return Array.from(this.tables.get(holder) || [], ([source, record]) => ({ source, trust: this.trustOf(record), ...record }))
+      .sort((a, b) => b.trust - a.trust);
+  }
+
+  removeHolder(holder) {
+    this.tables.delete(holder);
+  }
+
+  serialize() {
+    return Array.from(this.tables, ([holder, table]) => [holder, Array.from(table)]);
+  }
+
+  restore(data) {
+    this.tables = new Map(data.map(([holder, table]) => [holder, new Map(table)]));
+    return this;
+  }
+}
+
+export default TrustModel;
@@ -0,0 +1,65 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { execFile, spawn } from 'node:child_process';
+import { promisify } from 'node:util';
+import fs from 'node:fs/promises';
+import os from 'node:os';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+
+const run = promisify(execFile);
+const root = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+const argos = path.join(root, 'bin', 'argos.js');
+
+test('argos run writes metrics, a snapshot and a summary', async (t) => {
+  const out = await fs.mkdtemp(path.join(os.tmpdir(), 'argos-run-'));
+  t.after(() => fs.rm(out, { recursive: true, force: true }));
+
+  const { stdout } = await run(process.execPath, [
+    argos, 'run', path.join(root, 'example/scenarios/basic.json'), '--ticks', '10', '--seed', '7', '--out', out, '--quiet'
+  ], { timeout: 120000 });
+
+  assert.match(stdout, /^ArgOS: ran 10 ticks/);
+  assert.equal(stdout.trim().split('\n').length, 1, '--quiet leaves only the summary line');
+
+  const summary = JSON.parse(await fs.readFile(path.join(out, 'summary.json'), 'utf8'));
+  assert.equal(summary.ticks, 10);
+  assert.equal(summary.seed, 7);
+  assert.ok(summary.finalMetrics.agents > 0);
+
+  const metrics = (await fs.readFile(path.join(out, 'metrics.jsonl'), 'utf8')).trim().split('\n').map(line => JSON.parse(line));
+  assert.equal(metrics[metrics.length - 1].tick, 10);
+
+  const snapshot = JSON.parse(await fs.readFile(path.join(out, 'snapshot.json'), 'utf8'));
+  assert.equal(snapshot.world.time, 10);
+});
+
+test('argos rejects unknown commands with usage', async () => {
+  await assert.rejects(run(process.execPath, [argos, 'fly'], { timeout: 30000 }), error => {
+    assert.equal(error.code, 1);
+    assert.match(error.stderr, /Usage:/);
+    return true;
+  });
+});
+
+test('argos serve-memory answers health checks', async (t) => {
+  const directory = await fs.mkdtemp(path.join(os.tmpdir(), 'argos-serve-'));
+  const server = spawn(process.execPath, [argos, 'serve-memory', '--port', '0', '--directory', directory]);
+  t.after(async () => {
+    server.kill();
+    await fs.rm(directory, { recursive: true, force: true });
+  });
+
+  const url = await new Promise((resolve, reject) => {
+    let output = '';
+    server.stdout.on('data', chunk => {
+      output += chunk;
+      const match = output.match(/listening on (\S+)/);
+      if (match) resolve(match[1]);
+    });
+    server.once('exit', code => reject(new Error(`serve-memory exited with ${code}`)));
+  });
+
+  const response = await fetch(`${url}/health`);
+  assert.equal(response.status, 200);
+});
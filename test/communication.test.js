@@ -0,0 +1,62 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasComponent } from 'bitecs';
+import { getEventBus } from '../src/core/ArgOS-Framework.js';
+import { EnhancedMemory } from '../src/memory/argos-memory-extension.js';
+import { Communication } from '../src/integration/communication.js';
+import { createCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+
+const simulate = (options = {}) => createCognitiveSimulation({
+  SEED: 21,
+  LOG: () => {},
+  ENABLE_VISUALIZATION: false,
+  ENABLE_CONSCIOUSNESS: false,
+  ENABLE_REPRODUCTION: false,
+  ENABLE_COMMUNICATION: true,
+  ...options
+});
+
+test('agents in range hear warnings and remember them as heard', async () => {
+  const simulation = await simulate();
+  const memory = simulation.memoryManager;
+  const sender = simulation.createAgent({ x: 40, y: 40 });
+  const receiver = simulation.createAgent({ x: 45, y: 40 });
+  const loner = simulation.createAgent({ x: 140, y: 110 });
+  const hazard = simulation.createEnvironmentalEntity(2, 30, 60);
+  memory.recordEpisodicMemory(sender, { entityId: hazard, entityType: 2, position: { x: 30, y: 60 }, importance: 0.8 });
+
+  const delivered = [];
+  getEventBus(simulation.world).on('message:delivered', ({ sender, receiver, message }) => delivered.push([sender, receiver, message.type]));
+  await simulation.runSimulation(1);
+
+  assert.ok(hasComponent(simulation.world, Communication, sender));
+  assert.deepEqual(delivered.filter(([from]) => from === sender), [[sender, receiver, 'warning']]);
+
+  const [heard] = memory.queryMemories({ agent: receiver, entityId: hazard, where: m => m.context.source });
+  assert.equal(heard.context.source.agent, sender);
+  assert.equal(heard.context.source.memoryId, EnhancedMemory.memoryId[sender]);
+  assert.deepEqual(heard.position, { x: 30, y: 60 });
+  assert.ok(heard.tags.includes('heard'));
+
+  const report = simulation.communicationChannel.getReport(receiver);
+  assert.equal(report.received, 1);
+  assert.equal(report.lastHeardFrom, sender);
+  assert.equal(simulation.communicationChannel.getReport(loner).received, 0);
+  assert.equal(simulation.communicationChannel.getReport(hazard), null);
+
+  await simulation.runSimulation(1);
+  assert.equal(simulation.communicationChannel.getReport(receiver).received, 1, 'warnings are not repeated right away, nor retold');
+});
+
+test('receivers ignore senders they distrust', async () => {
+  const simulation = await simulate();
+  const memory = simulation.memoryManager;
+  const sender = simulation.createAgent({ x: 40, y: 40 });
+  const receiver = simulation.createAgent({ x: 45, y: 40 });
+  memory.recordEpisodicMemory(sender, { entityId: 500, entityType: 2, position: { x: 30, y: 60 }, importance: 0.8 });
+  memory.setSourceTrust(receiver, EnhancedMemory.memoryId[sender], 0);
+
+  await simulation.runSimulation(1);
+  assert.equal(simulation.communicationChannel.getReport(receiver).ignored, 1);
+  assert.deepEqual(memory.queryMemories({ agent: receiver, where: m => m.context.source }), []);
+});
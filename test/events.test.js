@@ -0,0 +1,59 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EventBus, createWorld, emitEvent, getEventBus } from '../src/core/ArgOS-Framework.js';
+
+test('listeners receive typed payloads by name or alias', () => {
+  const bus = new EventBus();
+  const received = [];
+  const unsubscribe = bus.on('dream', payload => received.push(payload));
+  bus.once('dream:started', () => received.push('once'));
+
+  const payload = { agent: 1, intensity: 0.5, time: 3 };
+  assert.equal(bus.emit('dream:started', payload), 2);
+  assert.equal(bus.emit('dream:started', payload), 1);
+  assert.deepEqual(received, [payload, 'once', payload]);
+
+  unsubscribe();
+  assert.equal(bus.listenerCount('dream:started'), 0);
+});
+
+test('schemas and subscriptions are checked when they are made', () => {
+  const bus = new EventBus();
+  assert.throws(() => bus.on('dream:nightmare', () => {}), /Unknown event type: dream:nightmare/);
+  assert.throws(() => bus.on('dream:started', 'not a function'), TypeError);
+  assert.throws(() => bus.define('dream:started', {}), /already defined/);
+  assert.throws(() => bus.define('quantum:collapse', { agent: 'integer' }), /agent has unknown type integer/);
+
+  bus.define('quantum:collapse', { agent: 'number', entities: 'array' });
+  assert.equal(bus.listenerCount('quantum:collapse'), 0);
+});
+
+test('a mismatched payload is reported once and not delivered, without throwing', (t) => {
+  const warn = t.mock.method(console, 'warn', () => {});
+  const world = createWorld();
+  const received = [];
+  getEventBus(world).on('trust:updated', payload => received.push(payload));
+
+  assert.equal(emitEvent(world, 'trust:updated', { agent: 1, source: 2, confirmed: 'yes', trust: 0.5 }), 0);
+  assert.equal(emitEvent(world, 'trust:updated', { agent: 1, source: 2, confirmed: 'yes', trust: 0.5 }), 0);
+  assert.equal(emitEvent(world, 'not:defined', {}), 0);
+  assert.deepEqual(received, []);
+  assert.deepEqual(warn.mock.calls.map(call => call.arguments[0]), [
+    'ArgOS: Event trust:updated: confirmed must be a boolean; event not delivered',
+    'ArgOS: Unknown event type: not:defined; event not delivered'
+  ]);
+
+  assert.equal(emitEvent(world, 'trust:updated', { agent: 1, source: 2, confirmed: true, trust: 0.5 }), 1);
+  assert.equal(received[0].time, 0, 'payloads are stamped with the world time');
+});
+
+test('a listener that throws does not stop the others', (t) => {
+  t.mock.method(console, 'error', () => {});
+  const bus = new EventBus();
+  const received = [];
+  bus.on('entity:removed', () => { throw new Error('broken listener'); });
+  bus.on('entity:removed', ({ entity }) => received.push(entity));
+
+  assert.equal(bus.emit('entity:removed', { entity: 4, time: 0 }), 2);
+  assert.deepEqual(received, [4]);
+});
@@ -0,0 +1,51 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+
+test('every cognitive extension initializes through one path', async () => {
+  const simulation = await createCognitiveSimulation({
+    SEED: 3,
+    ENABLE_TEMPORAL_CONSCIOUSNESS: true,
+    ENABLE_CROSS_REALITY_KNOWLEDGE: true,
+    ENABLE_VISUALIZATION: false
+  });
+
+  assert.ok(simulation.initialized);
+  assert.ok(simulation.memoryManager);
+  assert.ok(simulation.consciousnessManager);
+  assert.ok(simulation.temporalConsciousnessManager);
+  assert.ok(simulation.crossRealityManager);
+
+  await simulation.runSimulation(5);
+  assert.equal(simulation.world.time, 5);
+});
+
+test('temporal and cross-reality extensions stay off by default', async () => {
+  const simulation = await createCognitiveSimulation({ SEED: 3, ENABLE_VISUALIZATION: false });
+  assert.ok(!simulation.temporalConsciousnessManager);
+  assert.ok(!simulation.crossRealityManager);
+});
+
+test('knowledge ids come from world time and counters, so seeded runs repeat them', async () => {
+  const run = async () => {
+    const simulation = await createCognitiveSimulation({
+      SEED: 3,
+      LOG: () => {},
+      ENABLE_CROSS_REALITY_KNOWLEDGE: true,
+      ENABLE_VISUALIZATION: false,
+      ENABLE_REPRODUCTION: false,
+      MEMORY_OPTIONS: { ENABLE_CLOUD_SYNC: false }
+    });
+    for (let i = 0; i < 3; i++) simulation.createAgent({ x: 40 + i * 4, y: 40 });
+    for (let i = 0; i < 6; i++) simulation.createEnvironmentalEntity(0, 36 + i * 3, 44);
+    await simulation.runSimulation(10);
+    return [...simulation.crossRealityManager.agentKnowledge.values()]
+      .flatMap(({ low, mid, high }) => [...low.values(), ...mid.values(), ...high.values()])
+      .map(entry => [entry.id, entry.created, entry.lastConfirmed]);
+  };
+
+  const entries = await run();
+  assert.ok(entries.length > 0);
+  assert.ok(entries.every(([id, created, confirmed]) => id.startsWith(`knowledge-${created}-`) && confirmed <= 10));
+  assert.deepEqual(await run(), entries);
+});
@@ -0,0 +1,68 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+
+const simulate = (memoryOptions = {}) => createCognitiveSimulation({
+  SEED: 4,
+  LOG: () => {},
+  ENABLE_VISUALIZATION: false,
+  ENABLE_CONSCIOUSNESS: false,
+  ENABLE_REPRODUCTION: false,
+  MEMORY_OPTIONS: { ENABLE_CLOUD_SYNC: false, MEMORY_DECAY_RATE: 0.05, FORGET_THRESHOLD: 0.1, ...memoryOptions }
+});
+
+const remember = (memory, agent, x, importance) =>
+  memory.recordEpisodicMemory(agent, { entityId: 700 + x, entityType: 0, position: { x, y: 20 }, importance });
+
+test('faded memories are forgotten into the archive and stay queryable there', async () => {
+  const simulation = await simulate();
+  const memory = simulation.memoryManager;
+  const agent = simulation.createAgent({ x: 20, y: 20, emotional: 50 });
+  const faint = remember(memory, agent, 21, 0.2);
+  const vivid = remember(memory, agent, 22, 1);
+
+  simulation.world.time += 30;
+  assert.equal(memory.applyMemoryDecay(), 1);
+
+  assert.deepEqual(memory.queryMemories({ agent }).map(m => m.id), [vivid.id]);
+  assert.ok(vivid.importance < 1, 'kept memories fade too');
+  assert.deepEqual(memory.queryMemories({ agent, near: { x: 21, y: 20, radius: 0.5 } }), [], 'the spatial index forgets as well');
+
+  const [archived] = memory.queryMemories({ agent, tier: 'archive' });
+  assert.equal(archived.id, faint.id);
+  assert.equal(archived.forgottenAt, simulation.world.time);
+
+  const stats = memory.getForgettingStats();
+  assert.equal(stats.forgotten, 1);
+  assert.equal(stats.archived, 1);
+  assert.deepEqual(stats.byTier, { episodic: 1, longTerm: 0 });
+  assert.equal(stats.averageAgeForgotten, 30);
+});
+
+test('the archive keeps only the most recently forgotten memories', async () => {
+  const simulation = await simulate({ ARCHIVE_LIMIT: 2 });
+  const memory = simulation.memoryManager;
+  const agent = simulation.createAgent({ x: 20, y: 20, emotional: 50 });
+  const memories = [1, 2, 3].map(x => remember(memory, agent, x, 0.15));
+
+  simulation.world.time += 30;
+  assert.equal(memory.applyMemoryDecay(), 3);
+  assert.deepEqual(memory.getArchivedMemories(agent).map(m => m.id), memories.slice(1).map(m => m.id));
+  assert.equal(memory.getForgettingStats().discarded, 1);
+});
+
+test('rehearsed memories outlast the forgetting curve', async () => {
+  const simulation = await simulate();
+  const memory = simulation.memoryManager;
+  const agent = simulation.createAgent({ x: 20, y: 20, emotional: 50 });
+  const rehearsed = remember(memory, agent, 5, 0.3);
+  const neglected = remember(memory, agent, 6, 0.3);
+
+  for (let i = 0; i < 3; i++) {
+    simulation.world.time += 20;
+    memory.rehearseMemories([rehearsed], 'recall');
+  }
+  memory.applyMemoryDecay();
+  assert.deepEqual(memory.queryMemories({ agent }).map(m => m.id), [rehearsed.id]);
+  assert.ok(memory.queryMemories({ agent, tier: 'archive' }).some(m => m.id === neglected.id));
+});
@@ -0,0 +1,127 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { MemoryServer } from '../src/memory/memory-server.js';
+import { EnhancedMemory } from '../src/memory/argos-memory-extension.js';
+import { createCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+
+const startServer = async (t, options = {}) => {
+  const directory = await mkdtemp(join(tmpdir(), 'argos-memory-server-'));
+  const server = new MemoryServer({ directory, log: () => {}, ...options });
+  await server.listen(0);
+  t.after(async () => {
+    await server.close();
+    await rm(directory, { recursive: true, force: true });
+  });
+  return server;
+};
+
+const request = async (server, method, path, body) => {
+  const response = await fetch(`${server.url}${path}`, {
+    method,
+    headers: body === undefined ? {} : { 'Content-Type': 'application/json' },
+    body: body === undefined ? undefined : JSON.stringify(body)
+  });
+  return { status: response.status, body: await response.json() };
+};
+
+const record = (id, x) => ({ id, t: 10 + id, e: 1000 + x, k: 2, p: [x, 20] });
+
+test('episodic and semantic batches are stored and read back', async (t) => {
+  const server = await startServer(t);
+
+  assert.deepEqual(await request(server, 'POST', '/memory/m1/create', {}), { status: 201, body: { memoryId: 'm1' } });
+  assert.deepEqual(
+    (await request(server, 'POST', '/memory/m1/episodic', { memories: [record(1, 21), record(2, 22)] })).body,
+    { memoryId: 'm1', stored: 2, duplicates: 0 }
+  );
+  assert.deepEqual(
+    (await request(server, 'POST', '/memory/m1/episodic', { memories: [record(2, 22), record(3, 23)] })).body,
+    { memoryId: 'm1', stored: 1, duplicates: 1 },
+    'memories already stored are skipped'
+  );
+  assert.equal((await request(server, 'GET', '/memory/m1/semantic')).status, 404, 'no semantic memory yet');
+  await request(server, 'POST', '/memory/m1/semantic', { patterns: ['first'] });
+  assert.deepEqual((await request(server, 'POST', '/memory/m1/semantic', { patterns: ['second'] })).body, { memoryId: 'm1', saved: true });
+
+  assert.deepEqual((await request(server, 'GET', '/memory/m1/episodic')).body, {
+    memoryId: 'm1',
+    memories: [record(1, 21), record(2, 22), record(3, 23)]
+  });
+  assert.deepEqual((await request(server, 'GET', '/memory/m1/semantic')).body, { patterns: ['second'] }, 'the latest one wins');
+  assert.deepEqual((await request(server, 'GET', '/memory')).body, { memories: ['m1'] });
+  assert.equal((await request(server, 'POST', '/memory/m1/episodic', { memories: 'nope' })).status, 400);
+
+  const { body: health } = await request(server, 'GET', '/health');
+  assert.equal(health.status, 'ok');
+  assert.deepEqual([health.episodicBatches, health.episodicMemories, health.semanticSaves], [2, 3, 2]);
+});
+
+test('injected failures reject writes without storing them', async (t) => {
+  const server = await startServer(t, { failureRate: 1 });
+
+  assert.deepEqual(
+    await request(server, 'POST', '/memory/m1/episodic', { memories: [record(1, 21)] }),
+    { status: 503, body: { error: 'Injected failure' } }
+  );
+  assert.equal((await request(server, 'POST', '/memory/m1/semantic', { patterns: [] })).status, 503);
+  assert.deepEqual((await request(server, 'GET', '/memory')).body, { memories: [] }, 'reads are not failed');
+
+  server.options.failureRate = 0;
+  assert.equal((await request(server, 'POST', '/memory/m1/episodic', { memories: [record(1, 21)] })).body.stored, 1);
+  assert.equal(server.stats.injectedFailures, 2);
+});
+
+// Resolves once condition() holds, checking every few milliseconds
+const until = async (condition, timeout = 5000) => {
+  const deadline = Date.now() + timeout;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error('Timed out waiting for condition');
+    await new Promise(resolve => setTimeout(resolve, 5));
+  }
+};
+
+test('writes a failing server rejects wait in the outbox and reach it in order once it recovers', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const server = await startServer(t, { failureRate: 1 });
+  const simulation = await createCognitiveSimulation({
+    SEED: 16,
+    LOG: () => {},
+    ENABLE_VISUALIZATION: false,
+    ENABLE_CONSCIOUSNESS: false,
+    ENABLE_REPRODUCTION: false,
+    MEMORY_OPTIONS: {
+      STORAGE: 'cloud',
+      STORAGE_OPTIONS: { endpoint: server.url },
+      OUTBOX_DIRECTORY: null,
+      MAX_RETRIES: 1,
+      OUTBOX_BASE_DELAY: 0
+    }
+  });
+  const memory = simulation.memoryManager;
+  const agent = simulation.createAgent({ x: 20, y: 20 });
+  await until(() => memory.outbox.size === 1);
+
+  const recorded = Array.from({ length: 5 }, (_, i) =>
+    memory.recordEpisodicMemory(agent, { entityId: 1000 + i, entityType: 2, position: { x: 21 + i, y: 20 }, importance: 0.5 }));
+  EnhancedMemory.syncPending[agent] = 1;
+  await memory.syncEpisodicMemories();
+  EnhancedMemory.semanticPending[agent] = 1;
+  await memory.updateSemanticPatterns();
+
+  assert.equal(memory.outbox.size, 3, 'create, the episodic batch and the semantic memory');
+  assert.equal(memory.getSyncStatus().outbox.lastError, 'Request failed with status code 503');
+  assert.equal(server.stats.injectedFailures, 2, 'the create and its replay at sync: later writes queue behind it unsent');
+  assert.deepEqual(await memory.loadStoredMemory(agent), { memoryId: EnhancedMemory.memoryId[agent], episodic: [], semantic: null });
+
+  server.options.failureRate = 0;
+  assert.equal(await memory.replayOutbox(), 3);
+  assert.equal(memory.getSyncStatus().state, 'synced');
+
+  const stored = await memory.loadStoredMemory(agent);
+  assert.deepEqual(stored.episodic.map(m => m.id), recorded.map(m => m.id));
+  assert.deepEqual(stored.semantic.patterns.map(p => p.rule), memory.getSemanticMemory(agent).patterns.map(p => p.rule));
+  assert.equal(server.stats.episodicMemories, recorded.length);
+});
@@ -0,0 +1,112 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mkdtemp, rm, readdir } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { CognitiveState } from '../src/core/ArgOS-Framework.js';
+import { EnhancedMemory } from '../src/memory/argos-memory-extension.js';
+import { FileSystemStorage, InMemoryStorage } from '../src/memory/storage-adapters.js';
+import { createCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+
+const MEMORY_OPTIONS = { ENABLE_CLOUD_SYNC: false, OUTBOX_DIRECTORY: null, MEMORY_SYNC_INTERVAL: 5 };
+
+const simulate = (memoryOptions = {}) => createCognitiveSimulation({
+  SEED: 11,
+  LOG: () => {},
+  ENABLE_VISUALIZATION: false,
+  ENABLE_CONSCIOUSNESS: false,
+  ENABLE_REPRODUCTION: false,
+  MEMORY_OPTIONS: { ...MEMORY_OPTIONS, ...memoryOptions }
+});
+
+const hazardAt = (x, y) => ({ entityId: 1000 + x, entityType: 2, position: { x, y }, importance: 0.5 });
+
+test('memories are recorded with the agent state and queried per agent', async () => {
+  const simulation = await simulate();
+  const memory = simulation.memoryManager;
+  const calm = simulation.createAgent({ x: 10, y: 10, emotional: 50 });
+  const upset = simulation.createAgent({ x: 90, y: 90, emotional: 90 });
+
+  memory.recordEpisodicMemory(calm, hazardAt(12, 10));
+  const recorded = memory.recordEpisodicMemory(upset, hazardAt(92, 90));
+
+  assert.equal(recorded.context.emotionalState, CognitiveState.emotionalState[upset]);
+  assert.ok(recorded.importance > 0.5, 'strong emotions make memories more important');
+  assert.deepEqual(memory.queryMemories({ agent: calm }).map(m => m.position), [{ x: 12, y: 10 }]);
+  assert.deepEqual(memory.getShortTermMemories(calm).map(m => m.entityId), [1012], 'empty short-term slots are skipped');
+  assert.equal(memory.queryMemories({ agent: [calm, upset], entityType: 2 }).length, 2);
+  assert.deepEqual(memory.queryMemories({ agent: calm, near: { x: 90, y: 90, radius: 5 }, tier: 'episodic' }), []);
+});
+
+test('synced memories can be read back from memory storage', async () => {
+  const storage = new InMemoryStorage();
+  const simulation = await simulate({ STORAGE: storage });
+  const memory = simulation.memoryManager;
+  const agent = simulation.createAgent({ x: 20, y: 20 });
+  simulation.createEnvironmentalEntity(0, 24, 20);
+
+  await simulation.runSimulation(12);
+  await memory.syncEpisodicMemories();
+
+  const stored = await memory.loadStoredMemory(agent);
+  assert.equal(stored.memoryId, EnhancedMemory.memoryId[agent]);
+  assert.ok(stored.episodic.length > 0);
+  assert.deepEqual(stored.episodic.map(m => m.id), memory.queryMemories({ agent, sort: ['timestamp'] }).filter(m => m.synced).map(m => m.id));
+  assert.equal(memory.getSyncStatus().state, 'synced');
+});
+
+test('filesystem storage appends each memory once', async (t) => {
+  const directory = await mkdtemp(join(tmpdir(), 'argos-memory-'));
+  t.after(() => rm(directory, { recursive: true, force: true }));
+  const simulation = await simulate({ STORAGE: 'filesystem', STORAGE_OPTIONS: { directory } });
+  const memory = simulation.memoryManager;
+  const agent = simulation.createAgent({ x: 20, y: 20 });
+  memory.recordEpisodicMemory(agent, hazardAt(25, 20));
+  EnhancedMemory.syncPending[agent] = 1;
+  await memory.syncEpisodicMemories();
+
+  const memoryId = EnhancedMemory.memoryId[agent];
+  assert.deepEqual(await readdir(directory), [`${memoryId}.jsonl`]);
+  const reopened = new FileSystemStorage({ directory });
+  const records = await reopened.loadEpisodic(memoryId);
+  assert.equal(records.length, 1);
+  assert.equal(await reopened.appendEpisodic(memoryId, records), 0, 'replayed records are skipped');
+});
+
+test('failed writes wait in the outbox and are replayed in order', async (t) => {
+  t.mock.method(console, 'warn', () => {});
+  const storage = new InMemoryStorage();
+  const writes = [];
+  let down = true;
+  const flaky = {
+    createMemory: (memoryId) => down ? Promise.reject(new Error('offline')) : storage.createMemory(memoryId),
+    appendEpisodic: (memoryId, records) => {
+      if (down) return Promise.reject(new Error('offline'));
+      writes.push(records.map(r => r.id));
+      return storage.appendEpisodic(memoryId, records);
+    },
+    saveSemantic: (memoryId, semantic) => storage.saveSemantic(memoryId, semantic),
+    loadEpisodic: (memoryId) => storage.loadEpisodic(memoryId),
+    loadSemantic: (memoryId) => storage.loadSemantic(memoryId),
+    listMemories: () => storage.listMemories()
+  };
+  const simulation = await simulate({ STORAGE: flaky, MAX_RETRIES: 1, OUTBOX_BASE_DELAY: 0 });
+  const memory = simulation.memoryManager;
+  const agent = simulation.createAgent({ x: 20, y: 20 });
+
+  const first = memory.recordEpisodicMemory(agent, hazardAt(21, 20));
+  EnhancedMemory.syncPending[agent] = 1;
+  await memory.syncEpisodicMemories();
+  const second = memory.recordEpisodicMemory(agent, hazardAt(22, 20));
+  EnhancedMemory.syncPending[agent] = 1;
+  await memory.syncEpisodicMemories();
+
+  assert.equal(memory.outbox.size, 3, 'create, then both batches');
+  assert.equal(memory.getSyncStatus().outbox.lastError, 'offline');
+
+  down = false;
+  assert.equal(await memory.replayOutbox(), 3);
+  assert.deepEqual(writes, [[first.id], [second.id]]);
+  assert.equal(memory.getSyncStatus().state, 'synced');
+  assert.equal(memory.syncStats.replayedWrites, 3);
+});
@@ -0,0 +1,54 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasComponent } from 'bitecs';
+import { removeEntity } from '../src/core/ArgOS-Framework.js';
+import { createCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+import { validateModule } from '../src/integration/module-registry.js';
+import { quantumObserverModule, QuantumObserver } from '../example/modules/quantum-observer.js';
+
+const OPTIONS = { SEED: 3, LOG: () => {}, ENABLE_VISUALIZATION: false, ENABLE_ENHANCED_MEMORY: false, ENABLE_CONSCIOUSNESS: false };
+
+test('validateModule reports every problem with a definition', () => {
+  assert.deepEqual(validateModule(quantumObserverModule), []);
+  assert.deepEqual(validateModule({ name: '', report: 1, serialize() {} }), [
+    'name must be a non-empty string',
+    'report must be a function',
+    'serialize and restore must be provided together'
+  ]);
+});
+
+test('modules see every live agent and report on the ones they were installed on', async () => {
+  const initialized = [];
+  const simulation = await createCognitiveSimulation({
+    ...OPTIONS,
+    MODULES: [quantumObserverModule, { name: 'tracker', initializeAgent: agent => initialized.push(agent) }]
+  });
+  const first = simulation.createAgent({ x: 10, y: 10 });
+  const second = simulation.createAgent({ x: 20, y: 20 });
+  simulation.createEnvironmentalEntity(0, 15, 15);
+
+  assert.deepEqual(simulation.modules.getAgents(), [first, second], 'environmental entities are not agents');
+  assert.deepEqual(initialized, [first, second]);
+
+  simulation.modules.installQuantumObserver(second, 0.6);
+  assert.ok(hasComponent(simulation.world, QuantumObserver, second));
+  assert.ok(!hasComponent(simulation.world, QuantumObserver, first));
+  assert.deepEqual(simulation.modules.reports(second), { 'quantum-observer': { coherence: QuantumObserver.coherence[second], collapses: 0 } });
+  assert.deepEqual(simulation.modules.reports(first), {});
+
+  await simulation.runSimulation(5);
+  assert.ok(QuantumObserver.coherence[second] > 0);
+
+  removeEntity(simulation.world, first);
+  assert.deepEqual(simulation.modules.getAgents(), [second]);
+});
+
+test('unregister removes the module api and reports', async () => {
+  const simulation = await createCognitiveSimulation({ ...OPTIONS, MODULES: [quantumObserverModule] });
+  const agent = simulation.createAgent({ x: 10, y: 10 });
+  simulation.modules.installQuantumObserver(agent);
+
+  assert.ok(simulation.modules.unregister('quantum-observer'));
+  assert.equal(simulation.modules.installQuantumObserver, undefined);
+  assert.deepEqual(simulation.modules.reports(agent), {});
+});
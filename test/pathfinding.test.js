@@ -0,0 +1,133 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addComponent } from 'bitecs';
+import {
+  createWorld,
+  addEntity,
+  Position,
+  Goals,
+  Environmental,
+  NavigationGrid,
+  createMovementSystem,
+  getNavigationGrid
+} from '../src/core/ArgOS-Framework.js';
+
+const BOUNDS = { width: 40, height: 40 };
+
+// Obstacles down x = 20 from y = 0 to 30, leaving a gap along the top edge
+const wallPoints = () => Array.from({ length: 16 }, (_, i) => ({ x: 20, y: i * 2 }));
+
+const walledGrid = () => {
+  const grid = new NavigationGrid({ bounds: BOUNDS });
+  wallPoints().forEach(({ x, y }, i) => grid.setObstacle(100 + i, x, y));
+  return grid;
+};
+
+test('A* routes through free cells around a wall', () => {
+  const grid = walledGrid();
+  const { waypoints, complete } = grid.findPath(5, 5, 35, 5);
+
+  assert.ok(complete);
+  assert.ok(waypoints.every(({ x, y }) => !grid.isBlocked(x, y)));
+  assert.ok(waypoints.some(({ y }) => y >= 32), 'the route goes through the gap');
+  assert.deepEqual(new NavigationGrid({ bounds: BOUNDS }).findPath(5, 5, 5.5, 5.5), { waypoints: [], complete: true });
+});
+
+test('obstacles block the cells they cover until every one of them is removed', () => {
+  const grid = new NavigationGrid({ cellSize: 2, obstacleRadius: 1 });
+  grid.setObstacle(1, 10, 10);
+  grid.setObstacle(2, 10.5, 10);
+  assert.ok(grid.isBlocked(10, 10));
+  assert.ok(grid.isBlocked(8.5, 11.5));
+  assert.ok(!grid.isBlocked(13, 10));
+
+  grid.removeObstacle(1);
+  assert.ok(grid.isBlocked(10, 10), 'the second obstacle still covers the cell');
+  grid.removeObstacle(2);
+  assert.ok(!grid.isBlocked(10, 10));
+});
+
+test('an unreachable goal gives a partial route to the closest reachable cell', () => {
+  const grid = new NavigationGrid({ bounds: BOUNDS });
+  // Ring the goal at (30, 30)
+  let obstacle = 0;
+  for (let x = 24; x <= 36; x += 2) {
+    for (let y = 24; y <= 36; y += 2) {
+      if (x === 24 || x === 36 || y === 24 || y === 36) grid.setObstacle(obstacle++, x, y);
+    }
+  }
+
+  const { waypoints, complete } = grid.findPath(5, 5, 30, 30);
+  assert.equal(complete, false);
+  const last = waypoints[waypoints.length - 1];
+  assert.ok(!grid.isBlocked(last.x, last.y));
+  assert.ok(Math.hypot(last.x - 30, last.y - 30) < Math.hypot(5 - 30, 5 - 30));
+});
+
+test('cached routes are replanned when an obstacle appears or moves', () => {
+  const grid = new NavigationGrid({ bounds: BOUNDS });
+  const open = grid.route(1, 5, 5, 35, 5);
+  assert.ok(open.complete);
+  assert.ok(open.waypoints.every(({ y }) => y < 8), 'nothing in the way: straight along the row');
+  assert.equal(grid.route(1, 5, 5, 35, 5), open, 'an unchanged grid keeps the route');
+
+  wallPoints().forEach(({ x, y }, i) => grid.setObstacle(100 + i, x, y));
+  const around = grid.route(1, 5, 5, 35, 5);
+  assert.notEqual(around, open);
+  assert.ok(around.waypoints.some(({ y }) => y >= 32));
+
+  // Moving the wall's bottom section up closes the gap at the top and opens one below
+  wallPoints().slice(0, 4).forEach(({ x }, i) => grid.setObstacle(100 + i, x, 32 + i * 2));
+  const replanned = grid.route(1, 5, 5, 35, 5);
+  assert.notEqual(replanned, around);
+  assert.ok(replanned.complete);
+  assert.ok(replanned.waypoints.every(({ x, y }) => !grid.isBlocked(x, y) && y < 8));
+});
+
+// An agent heading from (10, 10) to (30, 10) across the wall
+const movementWorld = () => {
+  const world = createWorld({ seed: 3, width: BOUNDS.width, height: BOUNDS.height });
+  wallPoints().forEach(({ x, y }) => {
+    const obstacle = addEntity(world);
+    addComponent(world, Position, obstacle);
+    addComponent(world, Environmental, obstacle);
+    Position.x[obstacle] = x;
+    Position.y[obstacle] = y;
+    Environmental.type[obstacle] = 1;
+  });
+  const agent = addEntity(world);
+  addComponent(world, Position, agent);
+  addComponent(world, Goals, agent);
+  Position.x[agent] = 10;
+  Position.y[agent] = 10;
+  Goals.targetX[agent] = 30;
+  Goals.targetY[agent] = 10;
+  return { world, agent };
+};
+
+// Each step covers one world unit (0.05 per tick over 20 ticks)
+const move = (world, movement, agent, steps) => {
+  const grid = getNavigationGrid(world);
+  for (let i = 0; i < steps; i++) {
+    world.lastTime = world.time;
+    world.time += 20;
+    movement(world);
+    assert.ok(!grid.isBlocked(Position.x[agent], Position.y[agent]), 'never inside an obstacle');
+  }
+};
+
+test('without pathfinding, movement stops at an obstacle', () => {
+  const { world, agent } = movementWorld();
+  move(world, createMovementSystem({ pathfinding: false }), agent, 30);
+
+  assert.equal(Position.x[agent], 17, 'the last whole step before the wall at x = 18');
+  assert.equal(Position.y[agent], 10);
+});
+
+test('with pathfinding, movement goes around an obstacle to the target', () => {
+  const { world, agent } = movementWorld();
+  move(world, createMovementSystem(), agent, 80);
+
+  assert.ok(Math.hypot(Position.x[agent] - 30, Position.y[agent] - 10) <= 1);
+  assert.equal(Goals.completionPercentage[agent], 100);
+});
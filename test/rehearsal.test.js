@@ -0,0 +1,76 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { createCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+
+const simulate = (options = {}) => createCognitiveSimulation({
+  SEED: 8,
+  LOG: () => {},
+  ENABLE_VISUALIZATION: false,
+  ENABLE_REPRODUCTION: false,
+  MEMORY_OPTIONS: { ENABLE_CLOUD_SYNC: false, REHEARSAL_SPACING: 20 },
+  ...options
+});
+
+const remember = (memory, agent, x, y, importance = 0.5) =>
+  memory.recordEpisodicMemory(agent, { entityId: 900 + x, entityType: 2, position: { x, y }, importance });
+
+test('well-spaced rehearsals strengthen memories, massed ones barely do', async () => {
+  const simulation = await simulate({ ENABLE_CONSCIOUSNESS: false });
+  const memory = simulation.memoryManager;
+  const world = simulation.world;
+  const agent = simulation.createAgent({ x: 10, y: 10, emotional: 50 });
+  const spaced = remember(memory, agent, 12, 10);
+  const massed = remember(memory, agent, 14, 10);
+  const start = spaced.importance;
+
+  assert.equal(memory.rehearseMemories([massed], 'recall'), 0, 'nothing is gained right after recording');
+
+  world.time += 20;
+  assert.equal(memory.rehearseMemories([spaced], 'recall'), 1);
+  assert.ok(spaced.importance > start);
+  assert.equal(spaced.rehearsals, 1);
+
+  world.time += 1;
+  const before = spaced.importance;
+  memory.rehearseMemories([spaced], 'recall');
+  assert.ok(spaced.importance - before < (before - start) / 10, 'a rehearsal straight after another adds little');
+
+  world.time += 20;
+  const weak = remember(memory, agent, 16, 10);
+  world.time += 20;
+  memory.rehearseMemories([weak], 'reflection');
+  assert.equal(weak.rehearsals, 0.6, 'reflection counts less than recall');
+  assert.throws(() => memory.rehearseMemories([weak], 'gossip'), /Unknown rehearsal source: gossip/);
+});
+
+test('decisions rehearse only the deciding agent\'s memories', async () => {
+  const simulation = await simulate({ ENABLE_CONSCIOUSNESS: false });
+  const memory = simulation.memoryManager;
+  const near = simulation.createAgent({ x: 50, y: 50 });
+  const far = simulation.createAgent({ x: 140, y: 110 });
+  const other = remember(memory, far, 52, 50);
+  const own = remember(memory, near, 55, 50);
+
+  await simulation.runSimulation(25);
+
+  assert.ok(own.rehearsals > 0, 'the hazard near the agent informs its decisions');
+  assert.equal(other.rehearsals ?? 0, 0, 'another agent\'s memory at the same place is left alone');
+  assert.ok(memory.rehearsalStats.recall > 0);
+});
+
+test('dreams and reflection rehearse what they replay', async () => {
+  const simulation = await simulate();
+  const memory = simulation.memoryManager;
+  const consciousness = simulation.consciousnessManager;
+  const agent = simulation.createAgent({ x: 30, y: 30 });
+  const vivid = remember(memory, agent, 32, 30, 0.9);
+  simulation.world.time += 20;
+
+  consciousness.dreamStates.get(agent).activate();
+  assert.equal(memory.rehearsalStats.dream, 1);
+  assert.ok(vivid.rehearsals > 0);
+
+  simulation.world.time += 40;
+  consciousness.selfReflections.get(agent).analyzeRecentBehaviors();
+  assert.ok(memory.rehearsalStats.reflection >= 1);
+});
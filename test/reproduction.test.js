@@ -0,0 +1,46 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasComponent } from 'bitecs';
+import { Energy, CognitiveState, Position } from '../src/core/ArgOS-Framework.js';
+import { Lineage } from '../src/integration/reproduction.js';
+import { createCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+
+const createSimulation = (reproduction = {}) => createCognitiveSimulation({
+  SEED: 21,
+  LOG: () => {},
+  ENABLE_VISUALIZATION: false,
+  REPRODUCTION_OPTIONS: { MAX_POPULATION: 4, ...reproduction }
+});
+
+test('spawnOffspring creates a mutated child next to its parent', async () => {
+  const simulation = await createSimulation();
+  const parent = simulation.createAgent({ x: 50, y: 50, adaptability: 60, curiosity: 40 });
+  await simulation.runSimulation(1);
+  const parentEnergy = Energy.current[parent];
+  const [x, y] = [Position.x[parent], Position.y[parent]];
+
+  const child = simulation.spawnOffspring(parent);
+  const world = simulation.world;
+
+  assert.ok(hasComponent(world, Lineage, child));
+  assert.equal(Lineage.parent[child], parent);
+  assert.equal(Lineage.generation[child], 1);
+  assert.ok(Math.hypot(Position.x[child] - x, Position.y[child] - y) <= 3.001);
+  assert.ok(Math.abs(CognitiveState.adaptability[child] - 60) < 40);
+  assert.ok(Math.abs(Energy.current[parent] + Energy.current[child] - parentEnergy) < 1e-3, 'energy moves from parent to child');
+  assert.ok(simulation.getAgentStats(child), 'the child gets every cognitive extension');
+});
+
+test('the reproduction system spawns once agents are fed and off cooldown', async () => {
+  const simulation = await createSimulation({ COOLDOWN: 5, ENERGY_THRESHOLD: 0.5 });
+  const founders = [simulation.createAgent({ x: 20, y: 20 }), simulation.createAgent({ x: 90, y: 90 })];
+  await simulation.runSimulation(12);
+
+  const world = simulation.world;
+  const agents = world.entities.filter(entity => hasComponent(world, Lineage, entity));
+  founders.forEach(founder => assert.equal(Lineage.generation[founder], 0));
+  const offspring = agents.filter(agent => Lineage.generation[agent] > 0);
+  assert.ok(offspring.length > 0);
+  assert.ok(agents.length <= 4, 'MAX_POPULATION caps births');
+  offspring.forEach(child => assert.ok(agents.includes(Lineage.parent[child])));
+});
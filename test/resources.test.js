@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addComponent } from 'bitecs';
+import {
+  createWorld,
+  addEntity,
+  Environmental,
+  Energy,
+  RESOURCE_DEFAULTS,
+  createResourceSystem,
+  harvestResource,
+  isResourceAvailable
+} from '../src/core/ArgOS-Framework.js';
+import { createCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+
+const addResource = (world, fields = {}) => {
+  const resource = addEntity(world);
+  addComponent(world, Environmental, resource);
+  Environmental.type[resource] = 0;
+  Object.entries(fields).forEach(([field, value]) => { Environmental[field][resource] = value; });
+  return resource;
+};
+
+test('new resources get the economy defaults', () => {
+  const world = createWorld();
+  const resources = createResourceSystem();
+  const plain = addResource(world);
+  const rich = addResource(world, { value: 30, depletion: 5 });
+  resources(world);
+
+  assert.deepEqual(
+    [Environmental.capacity[plain], Environmental.value[plain], Environmental.depletion[plain], Environmental.respawnTime[plain]],
+    [RESOURCE_DEFAULTS.value, RESOURCE_DEFAULTS.value, RESOURCE_DEFAULTS.depletion, RESOURCE_DEFAULTS.respawnTime]
+  );
+  assert.deepEqual([Environmental.capacity[rich], Environmental.value[rich], Environmental.depletion[rich]], [30, 30, 5]);
+});
+
+test('a resource depletes with harvests and respawns after its respawn time', () => {
+  const world = createWorld();
+  const resources = createResourceSystem();
+  const resource = addResource(world, { value: 5, depletion: 2, respawnTime: 3 });
+  resources(world);
+
+  assert.deepEqual([harvestResource(world, resource), harvestResource(world, resource)], [2, 2]);
+  assert.equal(harvestResource(world, resource), 1, 'the last harvest takes what is left');
+  assert.ok(!isResourceAvailable(world, resource));
+
+  for (let tick = 0; tick < 3; tick++) {
+    resources(world);
+    assert.equal(Environmental.value[resource], 0, 'still regrowing');
+  }
+  resources(world);
+  assert.equal(Environmental.value[resource], 5);
+  assert.ok(isResourceAvailable(world, resource));
+});
+
+test('an agent on a resource harvests it, gains energy and remembers the outcome', async () => {
+  const simulation = await createCognitiveSimulation({
+    SEED: 8,
+    LOG: () => {},
+    ENABLE_VISUALIZATION: false,
+    ENABLE_CONSCIOUSNESS: false,
+    ENABLE_REPRODUCTION: false,
+    MEMORY_OPTIONS: { ENABLE_CLOUD_SYNC: false }
+  });
+  const agent = simulation.createAgent({ x: 50, y: 50, goalType: 1 });
+  const resource = simulation.createEnvironmentalEntity(0, 50, 50, { value: 4, depletion: 2, respawnTime: 5 });
+  Energy.current[agent] = 40;
+
+  let gained = false;
+  let depleted = false;
+  let respawned = false;
+  for (let tick = 0; tick < 120 && !respawned; tick++) {
+    const before = Energy.current[agent];
+    await simulation.runSimulation(1);
+    gained ||= Energy.current[agent] > before;
+    if (Environmental.value[resource] === 0) depleted = true;
+    else if (depleted && Environmental.value[resource] === 4) respawned = true;
+  }
+
+  assert.ok(gained, 'harvests refill energy');
+  assert.ok(depleted, 'the resource runs out');
+  assert.ok(respawned, 'and grows back');
+
+  const harvests = simulation.memoryManager.queryMemories({ agent, entityId: resource, tags: ['success'] });
+  assert.ok(harvests.length > 0, 'successful harvests are remembered');
+  assert.ok(harvests.every(memory => memory.context.reward > 0));
+});
@@ -0,0 +1,48 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { defineQuery } from 'bitecs';
+import { SensoryData } from '../src/core/ArgOS-Framework.js';
+import { validateScenario, loadScenario, loadScenarioFile } from '../src/integration/scenario-loader.js';
+
+const QUIET = { LOG: () => {} };
+const agentQuery = defineQuery([SensoryData]);
+
+test('the example scenarios load', async () => {
+  const basic = await loadScenarioFile('example/scenarios/basic.json', QUIET);
+  assert.equal(basic.name, 'basic');
+  assert.equal(basic.ticks, 2000);
+  assert.equal(agentQuery(basic.cognitiveArchitecture.world).length, 8);
+
+  const valley = await loadScenarioFile('example/scenarios/river-valley.yaml', QUIET);
+  assert.ok(agentQuery(valley.cognitiveArchitecture.world).length > 0);
+});
+
+test('areas must stay inside the world', () => {
+  const scenario = {
+    world: { width: 100, height: 80 },
+    agents: [{ count: 2, area: { x: 60, y: 50, width: 50, height: 20 } }],
+    resources: [{ count: 2, area: { x: 0, y: 40, width: 10, height: 50 } }]
+  };
+  assert.deepEqual(validateScenario(scenario).map(e => e.path), ['agents[0].area.width', 'resources[0].area.height']);
+
+  scenario.agents[0].area.width = 40;
+  scenario.resources[0].area.height = 40;
+  assert.deepEqual(validateScenario(scenario), []);
+});
+
+test('without a world section, areas are checked against the size the world will have', () => {
+  const agents = [{ count: 2, area: { x: 100, y: 0, width: 80, height: 10 } }];
+  assert.deepEqual(validateScenario({ agents }).map(e => e.message), ['reaches past the world width (160)']);
+  assert.deepEqual(validateScenario({ agents: [{ x: 150, y: 130 }] }).map(e => e.path), ['agents[0].y']);
+
+  assert.deepEqual(validateScenario({ agents, options: { WORLD_WIDTH: 200 } }), []);
+  assert.deepEqual(validateScenario({ agents }, { WORLD_WIDTH: 200 }), [], 'loadScenario overrides count too');
+  assert.equal(validateScenario({ agents, world: { width: 300 } }, { WORLD_WIDTH: 150 }).length, 1);
+});
+
+test('invalid scenarios are rejected with the offending field', async () => {
+  await assert.rejects(
+    loadScenario({ world: { width: 50 }, hazards: [{ area: { x: 40, y: 0, width: 20, height: 10 } }] }, QUIET),
+    /hazards\[0\]\.area\.width: reaches past the world width \(50\)/
+  );
+});
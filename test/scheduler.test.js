@@ -0,0 +1,95 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Scheduler, PHASES } from '../src/core/ArgOS-Framework.js';
+
+// A system named name that logs its name, and the tick when given the scheduler, each time it runs
+const recorder = (log, name, scheduler) => ({ [name]: () => { log.push(scheduler ? `${name}@${scheduler.tickCount}` : name); } })[name];
+
+test('phases run in order whatever order their systems were added in', async () => {
+  const scheduler = new Scheduler();
+  const log = [];
+  const world = { systems: [recorder(log, 'pushed')] };
+  [...PHASES].reverse().forEach(phase => scheduler.add(recorder(log, phase), { phase }));
+  scheduler.add(recorder(log, 'default'));
+  scheduler.add(recorder(log, 'secondSense'), { phase: 'sense' });
+
+  await scheduler.tick(world);
+  assert.deepEqual(log, ['sense', 'secondSense', 'remember', 'think', 'decide', 'act', 'default', 'pushed', 'render']);
+  assert.deepEqual(scheduler.systems().map(entry => entry.name), ['sense', 'secondSense', 'remember', 'think', 'decide', 'act', 'default', 'render']);
+
+  log.length = 0;
+  await scheduler.tick(world, { render: false });
+  assert.equal(log.at(-1), 'pushed', 'render can be skipped');
+  assert.throws(() => scheduler.add(() => {}, { phase: 'dream' }), /Unknown phase: dream/);
+});
+
+test('systems run every interval ticks, starting at their offset', async () => {
+  const scheduler = new Scheduler();
+  const log = [];
+  scheduler.add(recorder(log, 'every', scheduler));
+  scheduler.add(recorder(log, 'third', scheduler), { interval: 3 });
+  scheduler.add(recorder(log, 'thirdLate', scheduler), { interval: 3, offset: 4 });
+  for (let i = 0; i < 6; i++) await scheduler.tick({});
+
+  assert.deepEqual(log.filter(entry => !entry.startsWith('every')), ['third@0', 'thirdLate@1', 'third@3', 'thirdLate@4']);
+  assert.equal(log.filter(entry => entry.startsWith('every')).length, 6);
+  assert.throws(() => scheduler.add(() => {}, { interval: 0 }), /positive integer/);
+
+  const removed = recorder(log, 'removed', scheduler);
+  const remove = scheduler.add(removed, { phase: 'think' });
+  assert.ok(remove());
+  assert.ok(!scheduler.has(removed));
+  assert.ok(!scheduler.remove(removed));
+});
+
+test('advance runs one fixed tick per timestep of elapsed time and carries the remainder', async () => {
+  const scheduler = new Scheduler({ timestep: 10, maxTicksPerAdvance: 3 });
+  const log = [];
+  scheduler.add(recorder(log, 'tick'));
+  scheduler.add(recorder(log, 'render'), { phase: 'render' });
+  const ticksAndRenders = () => {
+    const counts = [log.filter(entry => entry === 'tick').length, log.filter(entry => entry === 'render').length];
+    log.length = 0;
+    return counts;
+  };
+
+  assert.equal(await scheduler.advance({}, 4), 0);
+  assert.deepEqual(ticksAndRenders(), [0, 1], 'rendered even when no tick is due');
+  assert.equal(await scheduler.advance({}, 7), 1, '4 + 7 ms covers one tick');
+  assert.equal(scheduler.accumulator, 1);
+  assert.equal(await scheduler.advance({}, 25), 2);
+  assert.deepEqual(ticksAndRenders(), [3, 2], 'one render per advance');
+  assert.equal(scheduler.tickCount, 3);
+
+  // A long stall runs at most maxTicksPerAdvance ticks and drops the rest
+  assert.equal(await scheduler.advance({}, 1000), 3);
+  assert.equal(scheduler.accumulator, 10);
+  assert.equal(await scheduler.advance({}, 0), 1, 'only one timestep is carried over');
+  assert.equal(await scheduler.advance({}, -50), 0, 'negative elapsed time is ignored');
+
+  scheduler.reset();
+  assert.deepEqual(scheduler.serialize(), { tickCount: 0, accumulator: 0 });
+});
+
+test('async systems finish before the next system or phase starts', async () => {
+  const scheduler = new Scheduler();
+  const log = [];
+  const slow = (name, delay) => async () => {
+    log.push(`${name}:start`);
+    await new Promise(resolve => setTimeout(resolve, delay));
+    log.push(`${name}:end`);
+  };
+  scheduler.add(slow('remember', 20), { phase: 'remember' });
+  scheduler.add(recorder(log, 'think'), { phase: 'think' });
+  scheduler.add(slow('firstAct', 10));
+  scheduler.add(recorder(log, 'secondAct'));
+  const world = { systems: [slow('pushed', 5)] };
+  scheduler.add(recorder(log, 'render'), { phase: 'render' });
+
+  await scheduler.tick(world);
+  assert.deepEqual(log, [
+    'remember:start', 'remember:end', 'think',
+    'firstAct:start', 'firstAct:end', 'secondAct',
+    'pushed:start', 'pushed:end', 'render'
+  ]);
+});
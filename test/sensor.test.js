@@ -0,0 +1,122 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addComponent, hasComponent, resetGlobals } from 'bitecs';
+import {
+  createWorld,
+  addEntity,
+  removeEntity,
+  Position,
+  SensoryData,
+  createSensorSystem,
+  getDetections,
+  getRandomStream,
+  updateEntityPosition
+} from '../src/core/ArgOS-Framework.js';
+
+const WORLD_SIZE = 200;
+
+const populate = (entityCount, seed = 89) => {
+  const world = createWorld({ seed });
+  const rng = getRandomStream(world, 'spawn');
+  for (let i = 0; i < entityCount; i++) {
+    const entity = addEntity(world);
+    addComponent(world, Position, entity);
+    Position.x[entity] = rng.random() * WORLD_SIZE;
+    Position.y[entity] = rng.random() * WORLD_SIZE;
+
+    // Every fourth entity is a sensing agent
+    if (i % 4 === 0) {
+      addComponent(world, SensoryData, entity);
+      SensoryData.visionRange[entity] = 30;
+    }
+  }
+  return world;
+};
+
+const readDetections = (world) => world.entities
+  .filter(entity => hasComponent(world, SensoryData, entity))
+  .map(entity => getDetections(world, entity).map(({ entity: detected, distance }) => [detected, distance]));
+
+const timed = (world, system, ticks) => {
+  const start = performance.now();
+  for (let i = 0; i < ticks; i++) system(world);
+  return (performance.now() - start) / ticks;
+};
+
+test('spatial hash and brute force report identical detections', (t) => {
+  const ticks = 3;
+  const world = populate(800);
+
+  const bruteForceMs = timed(world, createSensorSystem({ broadphase: false }), ticks);
+  const bruteForce = readDetections(world);
+  const broadphaseMs = timed(world, createSensorSystem(), ticks);
+  const broadphase = readDetections(world);
+  t.diagnostic(`brute force ${bruteForceMs.toFixed(2)} ms/tick, spatial hash ${broadphaseMs.toFixed(2)} ms/tick`);
+
+  assert.ok(bruteForce.some(detections => detections.length > 0), 'agents detect something');
+  assert.deepEqual(broadphase, bruteForce);
+});
+
+test('detections are nearest first and never include the sensing agent', () => {
+  const world = populate(200, 7);
+  createSensorSystem()(world);
+
+  for (const agent of world.entities.filter(entity => hasComponent(world, SensoryData, entity))) {
+    const detections = getDetections(world, agent);
+    assert.ok(detections.every(({ entity }) => entity !== agent));
+    detections.forEach(({ distance }, i) => {
+      assert.ok(distance <= 30);
+      if (i > 0) assert.ok(distance >= detections[i - 1].distance);
+    });
+  }
+});
+
+test('moved and removed entities are sensed where they are now', () => {
+  const world = createWorld({ seed: 1 });
+  const sensors = createSensorSystem();
+  const [agent, other] = [addEntity(world), addEntity(world)];
+  [agent, other].forEach(entity => {
+    addComponent(world, Position, entity);
+    Position.x[entity] = 0;
+    Position.y[entity] = 0;
+  });
+  addComponent(world, SensoryData, agent);
+  SensoryData.visionRange[agent] = 10;
+  Position.x[other] = 5;
+
+  sensors(world);
+  assert.deepEqual(getDetections(world, agent).map(d => d.entity), [other]);
+
+  Position.x[other] = 50;
+  updateEntityPosition(world, other);
+  sensors(world);
+  assert.deepEqual(getDetections(world, agent), []);
+
+  Position.x[other] = 3;
+  updateEntityPosition(world, other);
+  sensors(world);
+  assert.deepEqual(getDetections(world, agent).map(d => d.entity), [other]);
+
+  removeEntity(world, other);
+  sensors(world);
+  assert.deepEqual(getDetections(world, agent), []);
+});
+
+test('entity 0 is sensed like any other entity', () => {
+  // bitECS numbers entities process-wide; start over so the target is entity 0
+  resetGlobals();
+  const world = createWorld({ seed: 1 });
+  const sensors = createSensorSystem();
+  const [target, agent] = [addEntity(world), addEntity(world)];
+  assert.equal(target, 0);
+  [target, agent].forEach(entity => {
+    addComponent(world, Position, entity);
+    Position.x[entity] = entity * 4;
+    Position.y[entity] = 0;
+  });
+  addComponent(world, SensoryData, agent);
+  SensoryData.visionRange[agent] = 10;
+
+  sensors(world);
+  assert.deepEqual(getDetections(world, agent), [{ entity: 0, distance: 4 }]);
+});
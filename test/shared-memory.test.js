@@ -0,0 +1,90 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EnhancedMemory } from '../src/memory/argos-memory-extension.js';
+import { createCognitiveSimulation, restoreCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+
+const OPTIONS = {
+  SEED: 14,
+  LOG: () => {},
+  ENABLE_VISUALIZATION: false,
+  ENABLE_CONSCIOUSNESS: false,
+  ENABLE_REPRODUCTION: false,
+  MEMORY_OPTIONS: { ENABLE_CLOUD_SYNC: false, SHARED_MEMORY_POOL: true, SHARED_PUBLISH_IMPORTANCE: 0.8 }
+};
+
+const hazardAt = (x, y, importance = 0.9) => ({ entityId: 600 + x, entityType: 2, position: { x, y }, importance });
+
+test('memoryIds come from a world counter and are never reused', async () => {
+  const simulation = await createCognitiveSimulation(OPTIONS);
+  const first = simulation.createAgent({ x: 10, y: 10 });
+  const second = simulation.createAgent({ x: 20, y: 10 });
+  assert.deepEqual([EnhancedMemory.memoryId[first], EnhancedMemory.memoryId[second]], [1, 2]);
+
+  simulation.removeAgent(second);
+  const third = simulation.createAgent({ x: 30, y: 10 });
+  assert.equal(EnhancedMemory.memoryId[third], 3, 'a removed agent\'s memoryId is not handed out again');
+
+  const restored = await restoreCognitiveSimulation(JSON.parse(JSON.stringify(simulation.snapshot())), { LOG: () => {} });
+  assert.equal(EnhancedMemory.memoryId[restored.world.restoredEntities.get(third)], 3);
+  const fourth = restored.createAgent({ x: 40, y: 10 });
+  assert.equal(EnhancedMemory.memoryId[fourth], 4, 'the counter travels with snapshots');
+});
+
+test('agents publish important first-hand memories and adopt others\' by trust', async () => {
+  const simulation = await createCognitiveSimulation(OPTIONS);
+  const memory = simulation.memoryManager;
+  const scout = simulation.createAgent({ x: 10, y: 10 });
+  const listener = simulation.createAgent({ x: 90, y: 90 });
+  const skeptic = simulation.createAgent({ x: 150, y: 10 });
+  const seen = memory.recordEpisodicMemory(scout, hazardAt(12, 10));
+  memory.recordEpisodicMemory(scout, hazardAt(14, 10, 0.1));
+  memory.setSourceTrust(listener, EnhancedMemory.memoryId[scout], 0.8);
+  memory.setSourceTrust(skeptic, EnhancedMemory.memoryId[scout], 0.1);
+
+  assert.deepEqual(memory.exchangeSharedMemories(scout), { published: 1, adopted: 0 });
+  assert.deepEqual(memory.exchangeSharedMemories(listener), { published: 0, adopted: 1 });
+
+  const [adopted] = memory.queryMemories({ agent: listener, tags: ['shared'] });
+  assert.equal(adopted.context.source.memoryId, EnhancedMemory.memoryId[scout]);
+  assert.equal(adopted.context.source.originalId, seen.id);
+  assert.ok(Math.abs(adopted.importance - seen.importance * 0.8) < 1e-9, 'belief follows trust in the source');
+
+  assert.deepEqual(memory.exchangeSharedMemories(listener), { published: 0, adopted: 0 }, 'each entry is read once');
+  assert.deepEqual(memory.exchangeSharedMemories(skeptic), { published: 0, adopted: 0 }, 'distrusted sources are rejected');
+  assert.equal(memory.getSharedPoolStatus().rejected, 1);
+  assert.deepEqual(memory.exchangeSharedMemories(scout), { published: 0, adopted: 0 }, 'nothing is published twice');
+});
+
+test('a simulation restored next to a live one renumbers the entities its memories refer to', async () => {
+  const simulation = await createCognitiveSimulation(OPTIONS);
+  const memory = simulation.memoryManager;
+  const scout = simulation.createAgent({ x: 10, y: 10 });
+  const observer = simulation.createAgent({ x: 30, y: 10 });
+  const hazard = simulation.createEnvironmentalEntity(2, 12, 10);
+  memory.recordEpisodicMemory(scout, { entityId: hazard, entityType: 2, position: { x: 12, y: 10 }, importance: 0.9 });
+  memory.recordEpisodicMemory(observer, {
+    entityId: scout,
+    entityType: 3,
+    position: { x: 10, y: 10 },
+    importance: 0.5,
+    observed: { memoryId: EnhancedMemory.memoryId[scout], goalType: 1, target: { x: 12, y: 10 }, targetEntity: hazard }
+  });
+  memory.exchangeSharedMemories(scout);
+
+  const restored = await restoreCognitiveSimulation(JSON.parse(JSON.stringify(simulation.snapshot())), { LOG: () => {} });
+  const [newScout, newObserver, newHazard] = [scout, observer, hazard].map(entity => restored.world.restoredEntities.get(entity));
+  assert.ok([newScout, newObserver, newHazard].every(entity => !simulation.world.entities.includes(entity)));
+
+  const restoredMemory = restored.memoryManager;
+  const [seen] = restoredMemory.queryMemories({ agent: newScout, entityType: 2 });
+  assert.deepEqual([seen.entityId, seen.agentId], [newHazard, newScout]);
+  const [sighting] = restoredMemory.queryMemories({ agent: newObserver, entityType: 3 });
+  assert.equal(sighting.context.observed.targetEntity, newHazard);
+  const belief = restoredMemory.getBelief(newObserver, newScout);
+  assert.deepEqual([belief.entity, belief.goal.targetEntity], [newScout, newHazard]);
+  assert.equal(restoredMemory.sharedPool.entries[0].source, newScout);
+  assert.equal(restoredMemory.sharedPool.entries[0].memory.eid, newHazard);
+
+  const [live] = memory.queryMemories({ agent: scout, entityType: 2 });
+  assert.deepEqual([live.entityId, live.agentId], [hazard, scout], 'the live simulation keeps its own ids');
+});
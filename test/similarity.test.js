@@ -0,0 +1,63 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { Position } from '../src/core/ArgOS-Framework.js';
+import { createCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+
+const simulate = () => createCognitiveSimulation({
+  SEED: 6,
+  LOG: () => {},
+  ENABLE_VISUALIZATION: false,
+  ENABLE_CONSCIOUSNESS: false,
+  ENABLE_REPRODUCTION: false,
+  MEMORY_OPTIONS: { ENABLE_CLOUD_SYNC: false }
+});
+
+const remember = (memory, agent, entityType, x, y) =>
+  memory.recordEpisodicMemory(agent, { entityId: 800 + x, entityType, position: { x, y }, importance: 0.5 });
+
+test('recallSimilar ranks the agent\'s memories by how close they are to a situation', async () => {
+  const simulation = await simulate();
+  const memory = simulation.memoryManager;
+  const agent = simulation.createAgent({ x: 20, y: 20 });
+  const other = simulation.createAgent({ x: 22, y: 20 });
+  const nearHazard = remember(memory, agent, 2, 22, 20);
+  const farHazard = remember(memory, agent, 2, 90, 80);
+  const nearResource = remember(memory, agent, 0, 21, 20);
+  remember(memory, other, 2, 22, 20);
+
+  const results = memory.recallSimilar(agent, { entityType: 2, position: { x: 20, y: 20 } }, 3);
+  assert.deepEqual(results.map(r => r.memory.id), [nearHazard.id, farHazard.id, nearResource.id]);
+  assert.ok(results[0].similarity > results[1].similarity);
+  assert.ok(results.every(r => r.memory.agentId === agent), 'only the agent\'s own memories are searched');
+
+  const alike = memory.recallSimilar(agent, nearHazard, 1);
+  assert.notEqual(alike[0].memory.id, nearHazard.id, 'a memory is not its own neighbour');
+  assert.equal(memory.recallSimilar(agent, { entityType: 2, position: { x: 20, y: 20 } }, 5, { minSimilarity: 0.99 }).length, 0);
+});
+
+test('the current situation is described from the agent\'s components', async () => {
+  const simulation = await simulate();
+  const memory = simulation.memoryManager;
+  const agent = simulation.createAgent({ x: 30, y: 40, emotional: 65 });
+  const situation = memory.describeSituation(agent);
+
+  assert.deepEqual(situation.position, { x: Position.x[agent], y: Position.y[agent] });
+  assert.equal(situation.emotional, 65);
+  assert.equal(situation.realityShift, false);
+
+  const recalled = remember(memory, agent, 0, 31, 40);
+  simulation.world.time += 30;
+  memory.recallSimilar(agent, undefined, 1, { rehearse: true });
+  assert.ok(recalled.rehearsals > 0, 'recall with rehearse strengthens what it returns');
+});
+
+test('forgotten memories leave the similarity index', async () => {
+  const simulation = await simulate();
+  const memory = simulation.memoryManager;
+  const agent = simulation.createAgent({ x: 20, y: 20 });
+  remember(memory, agent, 2, 22, 20).baseImportance = 0.01;
+  const kept = remember(memory, agent, 2, 60, 60);
+
+  memory.applyMemoryDecay();
+  assert.deepEqual(memory.recallSimilar(agent, { entityType: 2 }, 5).map(r => r.memory.id), [kept.id]);
+});
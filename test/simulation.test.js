@@ -0,0 +1,78 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { hasComponent } from 'bitecs';
+import { Position, SensoryData, Energy, Environmental } from '../src/core/ArgOS-Framework.js';
+import { EnhancedMemory } from '../src/memory/argos-memory-extension.js';
+import { createCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+
+const populate = (simulation, agentCount = 4) => {
+  const agents = [];
+  for (let i = 0; i < agentCount; i++) agents.push(simulation.createAgent({ x: 40 + i * 4, y: 40 }));
+  for (let i = 0; i < 6; i++) {
+    simulation.createEnvironmentalEntity(0, 36 + i * 3, 44);
+    simulation.createEnvironmentalEntity(2, 70, 30 + i * 5);
+  }
+  return agents;
+};
+
+test('createAgent and createEnvironmentalEntity add their components', async () => {
+  const simulation = await createCognitiveSimulation({ SEED: 5, LOG: () => {}, ENABLE_VISUALIZATION: false });
+  const agent = simulation.createAgent({ x: 12, y: 8, energy: 80 });
+  const resource = simulation.createEnvironmentalEntity(0, 3, 4, { value: 6 });
+  const world = simulation.world;
+
+  assert.ok(hasComponent(world, Position, agent));
+  assert.ok(hasComponent(world, SensoryData, agent));
+  assert.ok(hasComponent(world, EnhancedMemory, agent), 'agents created after initialization get memory');
+  assert.deepEqual([Position.x[agent], Position.y[agent]], [12, 8]);
+  assert.equal(Energy.current[agent], 80);
+
+  assert.ok(hasComponent(world, Environmental, resource));
+  assert.ok(!hasComponent(world, SensoryData, resource));
+  assert.equal(Environmental.value[resource], 6);
+});
+
+test('agents perceive, remember and report stats while the simulation runs', async () => {
+  const messages = [];
+  const simulation = await createCognitiveSimulation({
+    SEED: 5,
+    LOG: (message) => messages.push(message),
+    ENABLE_VISUALIZATION: false,
+    ENABLE_REPRODUCTION: false
+  });
+  const agents = populate(simulation);
+  await simulation.runSimulation(60);
+
+  const stats = simulation.getAgentStats(agents[0]);
+  assert.ok(stats);
+  assert.ok(stats.longTermMemories + stats.episodicMemories > 0, 'agents remember what they sensed');
+  assert.ok(stats.consciousness);
+  assert.ok(messages.includes('Initialization complete.'), 'progress goes to the LOG option');
+});
+
+test('the same seed gives the same run', async () => {
+  const run = async () => {
+    const simulation = await createCognitiveSimulation({ SEED: 11, LOG: () => {}, ENABLE_VISUALIZATION: false, ENABLE_REPRODUCTION: false });
+    const agents = populate(simulation, 3);
+    await simulation.runSimulation(40);
+    return agents.map(agent => [Position.x[agent], Position.y[agent], Energy.current[agent]]);
+  };
+  assert.deepEqual(await run(), await run());
+});
+
+test('runSimulation yields to the event loop every YIELD_INTERVAL ticks', async (t) => {
+  const yields = async (options) => {
+    const simulation = await createCognitiveSimulation({ SEED: 5, LOG: () => {}, ENABLE_VISUALIZATION: false, ...options });
+    populate(simulation, 2);
+    const timers = t.mock.method(globalThis, 'setTimeout');
+    const steps = [];
+    await simulation.runSimulation(25, (world, step) => steps.push(step));
+    timers.mock.restore();
+    assert.equal(steps.length, 25);
+    return timers.mock.callCount();
+  };
+
+  assert.equal(await yields({}), 2, 'after ticks 10 and 20, not after the last one');
+  assert.equal(await yields({ YIELD_INTERVAL: 1 }), 24);
+  assert.equal(await yields({ YIELD_INTERVAL: 0 }), 0);
+});
@@ -0,0 +1,146 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addComponent, hasComponent, defineComponent, Types } from 'bitecs';
+import { createWorld, addEntity, removeEntity, isEntityRemoved, registerComponent, getRandomStream, getScheduler, Position, Energy, Goals } from '../src/core/ArgOS-Framework.js';
+import { SlotBuffer } from '../src/core/slot-buffer.js';
+import { snapshot, restore, registerSnapshotProvider } from '../src/core/snapshot.js';
+
+const populate = () => {
+  const world = createWorld({ seed: 42 });
+  for (let i = 0; i < 5; i++) {
+    const entity = addEntity(world);
+    addComponent(world, Position, entity);
+    Position.x[entity] = i * 10;
+    Position.y[entity] = i;
+    if (i % 2 === 0) {
+      addComponent(world, Energy, entity);
+      Energy.current[entity] = 50 + i;
+    }
+  }
+  world.time = 17;
+  getRandomStream(world, 'test').random();
+  return world;
+};
+
+test('worlds created side by side keep their own entities and data', () => {
+  const first = createWorld();
+  const kept = addEntity(first);
+  addComponent(first, Position, kept);
+  Position.x[kept] = 12;
+
+  const second = createWorld();
+  const [a, b] = [addEntity(second), addEntity(second)];
+  assert.ok(![a, b].includes(kept));
+  assert.deepEqual(second.entities, [a, b]);
+  assert.deepEqual(first.entities, [kept]);
+  assert.equal(Position.x[kept], 12);
+  assert.equal(removeEntity(second, kept), false, 'a world cannot remove another world\'s entity');
+  assert.ok(hasComponent(first, Position, kept));
+});
+
+test('a snapshot restores entities, components, time and random state', () => {
+  const world = populate();
+  removeEntity(world, world.entities[3]);
+  const counter = { value: 4, serialize() { return this.value; }, restore(data) { this.value = data; } };
+  registerSnapshotProvider(world, 'counter', counter);
+
+  const document = JSON.parse(JSON.stringify(snapshot(world)));
+  const expectedDraw = getRandomStream(world, 'test').random();
+
+  const restored = createWorld();
+  const restoredCounter = { value: 0, serialize() { return this.value; }, restore(data) { this.value = data; } };
+  registerSnapshotProvider(restored, 'counter', restoredCounter);
+  restore(document, restored);
+
+  const saved = document.world.entities;
+  const ids = restored.restoredEntities;
+  assert.deepEqual(restored.entities, saved.map(entity => ids.get(entity)));
+  assert.ok(isEntityRemoved(restored, ids.get(saved[3])));
+  assert.equal(restored.time, 17);
+  assert.equal(getRandomStream(restored, 'test').random(), expectedDraw);
+  assert.equal(restoredCounter.value, 4);
+  [0, 1, 2, 4].forEach(i => {
+    const entity = ids.get(saved[i]);
+    assert.ok(hasComponent(restored, Position, entity));
+    assert.equal(Position.x[entity], i * 10);
+    assert.equal(hasComponent(restored, Energy, entity), i % 2 === 0);
+  });
+  assert.equal(Energy.current[ids.get(saved[4])], 54);
+});
+
+test('restoring next to a live world renumbers entities and the references to them', () => {
+  const live = populate();
+  const [agent, target] = live.entities;
+  addComponent(live, Goals, agent);
+  Goals.targetEntity[agent] = target;
+  const Tagged = defineComponent({ other: Types.eid });
+  registerComponent(live, 'Tagged', Tagged, ['other']);
+  addComponent(live, Tagged, agent);
+  Tagged.other[agent] = target;
+  const slots = new SlotBuffer(Float32Array, 2);
+  slots.set(agent, 1, 7);
+  const provider = {
+    known: new Map([[agent, target]]),
+    slots,
+    serialize() { return { known: Array.from(this.known), slots: this.slots.serialize() }; },
+    restore(data, entityMap) {
+      this.known = new Map(data.known.map(([holder, entity]) => [entityMap.get(holder), entityMap.get(entity)]));
+      this.slots = new SlotBuffer(Float32Array, 2).restore(data.slots, entityMap);
+    }
+  };
+  registerSnapshotProvider(live, 'known', provider);
+  const document = JSON.parse(JSON.stringify(snapshot(live)));
+
+  const restored = createWorld();
+  registerComponent(restored, 'Tagged', Tagged, ['other']);
+  const restoredProvider = { ...provider, known: null, slots: null };
+  registerSnapshotProvider(restored, 'known', restoredProvider);
+  restore(document, restored);
+
+  const ids = restored.restoredEntities;
+  const [newAgent, newTarget] = [ids.get(agent), ids.get(target)];
+  assert.ok(!live.entities.includes(newAgent) && !live.entities.includes(newTarget));
+  assert.equal(Goals.targetEntity[newAgent], newTarget);
+  assert.equal(Tagged.other[newAgent], newTarget);
+  assert.deepEqual(Array.from(restoredProvider.known), [[newAgent, newTarget]]);
+  assert.equal(restoredProvider.slots.get(newAgent, 1), 7);
+
+  // The live world is untouched
+  assert.equal(Goals.targetEntity[agent], target);
+  assert.equal(Position.x[target], 10);
+  assert.ok(hasComponent(live, Position, target));
+});
+
+test('restoring into a populated world is refused', () => {
+  const document = snapshot(populate());
+  const world = createWorld();
+  addEntity(world);
+  assert.throws(() => restore(document, world), /without entities/);
+});
+
+test('new entities start with cleared component data', () => {
+  const world = populate();
+  removeEntity(world, world.entities[4]);
+
+  const fresh = createWorld();
+  const [first, second] = [addEntity(fresh), addEntity(fresh)];
+  addComponent(fresh, Position, second);
+  assert.equal(Position.x[second], 0);
+  assert.equal(Energy.current[first], 0);
+});
+
+test('the scheduler tick count and accumulator travel with snapshots', async () => {
+  const world = createWorld({ seed: 1, timestep: 10 });
+  const runs = [];
+  getScheduler(world).add(() => runs.push('original'), { interval: 3, name: 'every-third' });
+  await getScheduler(world).advance(world, 47);
+  assert.deepEqual([getScheduler(world).tickCount, getScheduler(world).accumulator], [4, 7]);
+
+  const restored = restore(JSON.parse(JSON.stringify(snapshot(world))), createWorld({ seed: 1, timestep: 10 }));
+  const scheduler = getScheduler(restored);
+  assert.deepEqual([scheduler.tickCount, scheduler.accumulator], [4, 7]);
+  const ticks = [];
+  scheduler.add(() => ticks.push(scheduler.tickCount), { interval: 3, name: 'every-third' });
+  await scheduler.advance(restored, 23);
+  assert.deepEqual(ticks, [6], 'interval systems keep their rhythm across a restore');
+});
@@ -0,0 +1,77 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { EnhancedMemory } from '../src/memory/argos-memory-extension.js';
+import { createCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+
+const simulate = (options = {}) => createCognitiveSimulation({
+  SEED: 19,
+  LOG: () => {},
+  ENABLE_VISUALIZATION: false,
+  ENABLE_REPRODUCTION: false,
+  MEMORY_OPTIONS: { ENABLE_CLOUD_SYNC: false },
+  ...options
+});
+
+// The observer sees the rival at x, heading for a resource at target
+const sight = (simulation, observer, rival, x, target, resource) => {
+  simulation.world.time += 1;
+  return simulation.memoryManager.recordEpisodicMemory(observer, {
+    entityId: rival,
+    entityType: 3,
+    position: { x, y: 50 },
+    importance: 0.5,
+    observed: { memoryId: EnhancedMemory.memoryId[rival], goalType: 1, target, targetEntity: resource }
+  });
+};
+
+test('agents form beliefs about the agents they see', async () => {
+  const simulation = await simulate({ ENABLE_CONSCIOUSNESS: false });
+  const observer = simulation.createAgent({ x: 50, y: 50 });
+  const other = simulation.createAgent({ x: 54, y: 50 });
+  await simulation.runSimulation(3);
+
+  const [belief] = simulation.memoryManager.getBeliefs(observer);
+  assert.equal(belief.subject, EnhancedMemory.memoryId[other]);
+  assert.equal(belief.entity, other);
+  assert.ok(belief.observations > 0);
+  assert.ok(belief.goal, 'the goal the other was pursuing is seen');
+
+  const [sighting] = simulation.memoryManager.queryMemories({ agent: observer, entityId: other });
+  assert.equal(sighting.entityType, 3);
+  assert.equal(sighting.context.observed.memoryId, EnhancedMemory.memoryId[other]);
+});
+
+test('a rival seen heading for a resource is predicted to keep going', async () => {
+  const simulation = await simulate({ ENABLE_CONSCIOUSNESS: false });
+  const memory = simulation.memoryManager;
+  const observer = simulation.createAgent({ x: 10, y: 10 });
+  const rival = simulation.createAgent({ x: 20, y: 50 });
+  const resource = simulation.createEnvironmentalEntity(0, 40, 50);
+  const target = { x: 40, y: 50 };
+  [20, 21, 22, 23, 24].forEach(x => sight(simulation, observer, rival, x, target, resource));
+
+  const prediction = memory.predictAgent(observer, rival, 5);
+  assert.equal(prediction.goal, 'resource');
+  assert.equal(prediction.targetEntity, resource);
+  assert.ok(prediction.position.x > 28 && prediction.position.x <= 29, 'moves on towards the target at about its observed speed');
+  assert.equal(prediction.position.y, 50);
+  assert.ok(prediction.confidence > 0.9);
+
+  const belief = memory.getBelief(observer, rival);
+  assert.ok(belief.knowledge.some(k => k.entity === resource && k.reason === 'target'));
+  assert.equal(memory.predictAgent(rival, observer), null, 'nothing is predicted about unseen agents');
+});
+
+test('imagination counts the rivals expected at a scenario\'s resources', async () => {
+  const simulation = await simulate();
+  const observer = simulation.createAgent({ x: 10, y: 10 });
+  const rival = simulation.createAgent({ x: 20, y: 50 });
+  const resource = simulation.createEnvironmentalEntity(0, 40, 50);
+  [20, 22, 24, 26, 28].forEach(x => sight(simulation, observer, rival, x, { x: 40, y: 50 }, resource));
+
+  const imagination = simulation.consciousnessManager.imaginations.get(observer);
+  const contested = imagination.anticipateRivals({ entityType: 0, entityPositions: [{ x: 40, y: 50 }] });
+  assert.ok(contested > 0.9);
+  assert.equal(imagination.anticipateRivals({ entityType: 0, entityPositions: [{ x: 140, y: 10 }] }), 0);
+  assert.equal(imagination.anticipateRivals({ entityType: 2, entityPositions: [{ x: 40, y: 50 }] }), 0, 'only resources are contested');
+});
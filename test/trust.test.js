@@ -0,0 +1,88 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { getEventBus } from '../src/core/ArgOS-Framework.js';
+import { EnhancedMemory } from '../src/memory/argos-memory-extension.js';
+import { TrustModel } from '../src/memory/trust-model.js';
+import { createCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+
+const simulate = () => createCognitiveSimulation({
+  SEED: 17,
+  LOG: () => {},
+  ENABLE_VISUALIZATION: false,
+  ENABLE_CONSCIOUSNESS: false,
+  ENABLE_REPRODUCTION: false,
+  MEMORY_OPTIONS: { ENABLE_CLOUD_SYNC: false, DEFAULT_TRUST: 0.5, TRUST_PRIOR_WEIGHT: 2 }
+});
+
+// The listener hears from the teller that an entity of a type is at a position
+const tell = (memory, teller, listener, entityId, entityType, position) =>
+  memory.recordEpisodicMemory(listener, {
+    entityId,
+    entityType,
+    position,
+    importance: 0.6,
+    source: { agent: teller, memoryId: EnhancedMemory.memoryId[teller], channel: 'message' }
+  });
+
+const see = (memory, agent, entityId, entityType, position) =>
+  memory.recordEpisodicMemory(agent, { entityId, entityType, position, importance: 0.6 });
+
+test('trust follows the beta-reputation estimate', () => {
+  const trust = new TrustModel({ defaultTrust: 0.5, priorWeight: 2 });
+  assert.equal(trust.get(1, 2), 0.5);
+  assert.equal(trust.observe(1, 2, true), 2 / 3);
+  assert.equal(trust.observe(1, 2, false), 2 / 4);
+  trust.set(1, 2, 1);
+  assert.equal(trust.get(1, 2), 3 / 4, 'evidence still counts after the base changes');
+  assert.deepEqual(new TrustModel().restore(trust.serialize()).table(1), trust.table(1));
+});
+
+test('heard knowledge the listener confirms raises trust in the teller', async () => {
+  const simulation = await simulate();
+  const memory = simulation.memoryManager;
+  const teller = simulation.createAgent({ x: 10, y: 10 });
+  const listener = simulation.createAgent({ x: 80, y: 80 });
+  const hazard = simulation.createEnvironmentalEntity(2, 40, 40);
+  const updates = [];
+  getEventBus(simulation.world).on('trust:updated', ({ confirmed, trust }) => updates.push([confirmed, trust]));
+
+  const heard = tell(memory, teller, listener, hazard, 2, { x: 40, y: 40 });
+  assert.equal(heard.context.source.verified, null);
+  see(memory, listener, hazard, 2, { x: 42, y: 40 });
+
+  assert.equal(heard.context.source.verified, 'confirmed');
+  assert.deepEqual(updates, [[true, 2 / 3]]);
+  assert.equal(memory.getSourceTrust(listener, EnhancedMemory.memoryId[teller]), 2 / 3);
+  assert.equal(memory.getTrustTable(listener)[0].confirmed, 1);
+});
+
+test('heard knowledge the listener contradicts lowers trust in the teller', async () => {
+  const simulation = await simulate();
+  const memory = simulation.memoryManager;
+  const teller = simulation.createAgent({ x: 10, y: 10 });
+  const listener = simulation.createAgent({ x: 80, y: 80 });
+  const obstacle = simulation.createEnvironmentalEntity(1, 40, 40);
+  const hazard = simulation.createEnvironmentalEntity(2, 60, 20);
+
+  const wrongType = tell(memory, teller, listener, obstacle, 2, { x: 40, y: 40 });
+  const wrongPlace = tell(memory, teller, listener, hazard, 2, { x: 20, y: 60 });
+  see(memory, listener, obstacle, 1, { x: 40, y: 40 });
+  see(memory, listener, hazard, 2, { x: 60, y: 20 });
+
+  assert.equal(wrongType.context.source.verified, 'contradicted');
+  assert.equal(wrongPlace.context.source.verified, 'contradicted');
+  assert.equal(memory.getSourceTrust(listener, EnhancedMemory.memoryId[teller]), 1 / 4);
+});
+
+test('heard knowledge about other agents is never checked', async () => {
+  const simulation = await simulate();
+  const memory = simulation.memoryManager;
+  const teller = simulation.createAgent({ x: 10, y: 10 });
+  const listener = simulation.createAgent({ x: 80, y: 80 });
+  const wanderer = simulation.createAgent({ x: 40, y: 40 });
+
+  const heard = tell(memory, teller, listener, wanderer, 3, { x: 40, y: 40 });
+  see(memory, listener, wanderer, 3, { x: 70, y: 70 });
+  assert.equal(heard.context.source.verified, undefined);
+  assert.deepEqual(memory.getTrustTable(listener), []);
+});
@@ -0,0 +1,135 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { addComponent, setRemovedRecycleThreshold } from 'bitecs';
+import {
+  createWorld,
+  addEntity,
+  isEntityRemoved,
+  getEventBus,
+  Position,
+  Environmental,
+  Energy,
+  Health,
+  VITALITY_DEFAULTS,
+  createVitalitySystem
+} from '../src/core/ArgOS-Framework.js';
+import { createCognitiveSimulation } from '../src/integration/ArgOS-Integration.js';
+
+const addLiving = (world, { x = 0, y = 0, energy = 100, health = 100 } = {}) => {
+  const entity = addEntity(world);
+  addComponent(world, Position, entity);
+  addComponent(world, Energy, entity);
+  addComponent(world, Health, entity);
+  Position.x[entity] = x;
+  Position.y[entity] = y;
+  Energy.max[entity] = 100;
+  Energy.current[entity] = energy;
+  Health.max[entity] = 100;
+  Health.current[entity] = health;
+  return entity;
+};
+
+const addHazard = (world, x, y, value = 0) => {
+  const hazard = addEntity(world);
+  addComponent(world, Position, hazard);
+  addComponent(world, Environmental, hazard);
+  Position.x[hazard] = x;
+  Position.y[hazard] = y;
+  Environmental.type[hazard] = 2;
+  Environmental.value[hazard] = value;
+  return hazard;
+};
+
+const close = (actual, expected) => assert.ok(Math.abs(actual - expected) < 1e-4, `${actual} != ${expected}`);
+
+test('hazards hurt the living within their radius', () => {
+  const world = createWorld();
+  const vitality = createVitalitySystem();
+  const near = addLiving(world, { health: 50 });
+  const far = addLiving(world, { x: 20, health: 50 });
+  addHazard(world, 3, 0);
+  addHazard(world, 0, 4, 6);
+  vitality(world);
+
+  close(Health.current[near], 50 - VITALITY_DEFAULTS.hazardDamage - 6 + VITALITY_DEFAULTS.recoveryRate);
+  close(Health.current[far], 50 + VITALITY_DEFAULTS.recoveryRate);
+  close(Energy.current[near], 100 - VITALITY_DEFAULTS.metabolism);
+});
+
+test('an agent out of energy starves', () => {
+  const world = createWorld();
+  const vitality = createVitalitySystem({ starvationDamage: 2 });
+  const agent = addLiving(world, { energy: 0.01, health: 10 });
+  vitality(world);
+  vitality(world);
+
+  assert.equal(Energy.current[agent], 0);
+  close(Health.current[agent], 6);
+});
+
+test('an agent whose health runs out is removed', () => {
+  const world = createWorld();
+  const vitality = createVitalitySystem();
+  const removed = [];
+  getEventBus(world).on('entity:removed', ({ entity }) => removed.push(entity));
+  const dying = addLiving(world, { energy: 0, health: 1 });
+  const healthy = addLiving(world, { x: 50 });
+  addHazard(world, 0, 0, 2);
+  vitality(world);
+
+  assert.ok(isEntityRemoved(world, dying));
+  assert.ok(!isEntityRemoved(world, healthy));
+  assert.deepEqual(removed, [dying]);
+});
+
+test('removing an agent clears its consciousness, temporal and cross-reality state, even when its id is reused', async () => {
+  const simulation = await createCognitiveSimulation({
+    SEED: 6,
+    LOG: () => {},
+    ENABLE_VISUALIZATION: false,
+    ENABLE_REPRODUCTION: false,
+    ENABLE_TEMPORAL_CONSCIOUSNESS: true,
+    ENABLE_CROSS_REALITY_KNOWLEDGE: true,
+    MEMORY_OPTIONS: { ENABLE_CLOUD_SYNC: false }
+  });
+  const { consciousnessManager, temporalConsciousnessManager: temporal, crossRealityManager } = simulation;
+  const agent = simulation.createAgent({ x: 40, y: 40 });
+  simulation.createAgent({ x: 44, y: 40 });
+  for (let i = 0; i < 4; i++) simulation.createEnvironmentalEntity(0, 38 + i * 3, 44);
+  await simulation.runSimulation(20);
+
+  const stateOf = (entity) => [
+    consciousnessManager.dreamStates.get(entity),
+    consciousnessManager.selfReflections.get(entity),
+    consciousnessManager.imaginations.get(entity),
+    consciousnessManager.narrativeConstructions.get(entity),
+    temporal.futureScenarios.get(entity),
+    temporal.temporalPatterns.get(entity),
+    temporal.narratives.get(entity),
+    crossRealityManager.agentKnowledge.get(entity)
+  ];
+  const before = stateOf(agent);
+  assert.ok(before.every(Boolean), 'every manager holds state for the agent');
+  const scenarioEntities = before[4].map(scenario => scenario.entityId);
+
+  assert.ok(simulation.removeAgent(agent));
+  assert.deepEqual(stateOf(agent), Array(8).fill(undefined));
+  assert.ok(scenarioEntities.every(entity => isEntityRemoved(simulation.world, entity)), 'scenario entities go with it');
+
+  // bitECS normally holds removed ids back until 1% of its capacity is pending;
+  // hand them out right away, then restore its default
+  let newcomer;
+  setRemovedRecycleThreshold(0);
+  try {
+    for (let i = 0; i < 100 && newcomer !== agent; i++) newcomer = simulation.createAgent({ x: 40, y: 40 });
+  } finally {
+    setRemovedRecycleThreshold(0.01);
+  }
+  assert.equal(newcomer, agent, 'the removed agent\'s id is handed out again');
+  await simulation.runSimulation(1);
+
+  const after = stateOf(agent);
+  after.forEach((state, i) => assert.notEqual(state, before[i], 'the new agent starts from fresh state'));
+  assert.equal(after[0].agent, agent, 'and consciousness is set up for it again');
+  assert.equal(after[0].dreamMemories.length, 0);
+});